@@ -2,11 +2,31 @@
 // This file provides a minimal Deno backend that mimics parts of Puter's API.
 // - No external dependencies
 // - Works on Deno Deploy (uses Deno.serve + Deno KV)
-// - Simple auth model: derives a "user id" from Authorization header or anonymous
+// - Session auth: bearer tokens issued by /login resolve to a username (anonymous is opt-in)
+// - Accounts: /signup, /login, /passwd, /delete-own-user with PBKDF2-hashed passwords
+// - Popup sign-in page for puter.auth.signIn(): /action/sign-in
+// - 2FA: TOTP enrollment under /auth/configure-2fa/*, /login/otp and /login/recovery-code
 // - Implements basic routes: /api/simple, /api/hello, /api/randName
-// - KV Store: /api/kv/set, /api/kv/get, /api/kv/delete, /api/kv/list
-// - FS Store (KV-backed): /api/fs/write, /api/fs/read, /api/fs/mkdir, /api/fs/copy, /api/fs/move, /api/fs/delete, /api/fs/list
+// - KV Store: /api/kv/set, /api/kv/get, /api/kv/incr, /api/kv/decr, /api/kv/expire, /api/kv/delete, /api/kv/list,
+//   /api/kv/mget, /api/kv/mset, /api/kv/mdelete, /api/kv/flush, /api/kv/limits
+// - FS Store (KV-backed): /api/fs/write, /api/fs/read, /api/fs/mkdir, /api/fs/copy, /api/fs/move, /api/fs/delete, /api/fs/list,
+//   /api/fs/raw (binary download/upload with Range + ETag), /api/fs/upload (multipart),
+//   /api/fs/stat, /api/fs/rename (Puter-shaped entries; list takes depth/recursive),
+//   /api/fs/share, /api/fs/unshare, /api/fs/shares, /api/fs/shared (grants between users),
+//   /api/fs/links + /s/<token> (public share links),
+//   /api/fs/trash[/restore|/empty], /api/fs/versions[/read|/restore], /api/fs/space (usage + quota),
+//   /api/fs/search (name/glob/type/size/mtime/content filters, paged),
+//   /api/fs/zip, /api/fs/unzip (zip export/import of directory trees)
+// - Change events for FS and KV: /api/events (Server-Sent Events or WebSocket)
+// - Static hosting (puter.hosting): /api/hosting/{create,update,get,list,delete},
+//   sites served at /sites/<name>/ or by Host header (<name>.localhost)
+// - Apps registry (puter.apps): /api/apps/{create,update,get,list,delete}, plus
+//   /auth/get-user-app-token for app-scoped KV/FS namespaces
+// - Workers (puter.workers): /api/workers/{create,get,list,logs,delete}; FS scripts
+//   with a router API run in permissionless Deno Workers at /workers/<name>/
 // - AI Chat (stub, optionally uses OPENAI_API_KEY if present): /api/ai/chat
+// - OpenAI-compatible API over the same providers: /v1/chat/completions, /v1/models,
+//   /v1/embeddings
 //
 // Notes:
 // - For KV and FS, a mandatory "myscope_" prefix is used to avoid collisions (similar to docs).
@@ -14,16 +34,28 @@
 // - Responses are JSON and CORS-enabled for simple frontend usage.
 // - Keep error messages concise; comments explain key parts inline.
 
-const kv = await Deno.openKv();
+// KV_PATH selects the database file (":memory:" for a throwaway one); by
+// default Deno picks its own store for this project
+const kv = await Deno.openKv(safeEnv("KV_PATH"));
 
 // ------------------------------
 // Utilities
 // ------------------------------
 
+// Time source for expiry checks (sessions, OTP logins, KV TTLs) and for the
+// timestamps the server records. Exported so tests can move time forward
+// instead of sleeping.
+export const clock = {
+  now: () => Date.now(),
+};
+
 const CORS_HEADERS = {
   "Access-Control-Allow-Origin": "*",
-  "Access-Control-Allow-Methods": "GET,POST,DELETE,OPTIONS",
-  "Access-Control-Allow-Headers": "Content-Type, Authorization",
+  "Access-Control-Allow-Methods": "GET,HEAD,POST,PUT,DELETE,OPTIONS",
+  "Access-Control-Allow-Headers":
+    "Content-Type, Authorization, Range, If-Match, If-None-Match, If-Modified-Since, If-Range, Last-Event-ID",
+  "Access-Control-Expose-Headers":
+    "Content-Length, Content-Range, Accept-Ranges, ETag, Last-Modified",
 };
 
 function json(status, data) {
@@ -42,9 +74,77 @@ function badRequest(message = "Bad Request") {
 function notFound(message = "Not Found") {
   return json(404, { error: message });
 }
+function unauthorized(message = "Unauthorized") {
+  return json(401, { error: message });
+}
 function ok(data) {
   return json(200, data);
 }
+function html(status, body) {
+  return new Response(body, {
+    status,
+    headers: { "Content-Type": "text/html; charset=utf-8" },
+  });
+}
+function fail(result) {
+  // Maps an internal { error, code?, status? } result to an error response
+  const body = { error: result.error };
+  if (result.code) body.code = result.code;
+  return json(result.status || 400, body);
+}
+
+function safeEnv(name) {
+  try {
+    return Deno.env.get(name) || undefined;
+  } catch (_) {
+    return undefined;
+  }
+}
+
+function envNumber(name, fallback) {
+  // Positive number from the environment, or fallback when unset/invalid
+  const n = Number(safeEnv(name));
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function envFlag(name) {
+  return /^(1|true|yes|on)$/i.test(safeEnv(name) || "");
+}
+
+function newToken() {
+  // 128 bits of randomness, hex encoded
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+function escapeHtml(text) {
+  return String(text ?? "").replace(/[&<>"']/g, (c) =>
+    ({
+      "&": "&amp;",
+      "<": "&lt;",
+      ">": "&gt;",
+      '"': "&quot;",
+      "'": "&#39;",
+    })[c]);
+}
+
+// Upper bound for string key ranges: sorts after any realistic key suffix
+const RANGE_END = "\u{10FFFF}";
+
+function prefixRange(base, prefix) {
+  // Deno KV's { prefix } selector matches whole key parts; this selects every
+  // key [...base, s] where the string s starts with prefix.
+  return { start: [...base, prefix], end: [...base, prefix + RANGE_END] };
+}
+
+function bytesToBase64(bytes) {
+  // btoa needs a binary string; build it in slices to stay clear of argument limits
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
 
 function ensureScopeKey(key) {
   // Mimic the "add a mandatory prefix" described in docs
@@ -52,14 +152,13 @@ function ensureScopeKey(key) {
   return key;
 }
 
-function parseAuthUser(req) {
-  // Simple user-id derivation:
-  // - If Authorization: Bearer <token> => uid = token
-  // - Else, uid = "anonymous"
+function parseBearerToken(req) {
+  // Authorization: Bearer <token> => token
+  // ?auth_token=<token> is accepted too, for URLs used directly in <img>/<video> tags
   const auth = req.headers.get("authorization") || "";
   const m = auth.match(/^Bearer\s+(.+)$/i);
   if (m) return m[1].trim();
-  return "anonymous";
+  return new URL(req.url).searchParams.get("auth_token") || null;
 }
 
 function randName() {
@@ -96,474 +195,5166 @@ function randName() {
 }
 
 // ------------------------------
-// KV API
+// Users
 // ------------------------------
 //
-// Keys are stored under ["kv", uid, key]
-// Values are stored as JSON directly.
+// Accounts are stored under ["users", username] with value:
+// { uuid, username, email, email_confirmed, created_at, feature_flags, password: { salt, hash, iterations } }
+// ["users_by_email", email] maps an email back to its username (keeps emails unique).
+//
+// Passwords are hashed with PBKDF2-SHA256 (WebCrypto), never stored in clear text.
 
-async function kvSet(uid, key, value) {
-  const scopedKey = ensureScopeKey(key);
-  const k = ["kv", uid, scopedKey];
-  await kv.set(k, value);
-  return { saved: true, key: scopedKey };
+const USERNAME_RE = /^[A-Za-z0-9_-]{3,45}$/;
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 6;
+const PBKDF2_ITERATIONS = 100_000;
+const RESERVED_USERNAMES = new Set(["anonymous", "admin", "system"]);
+const DEFAULT_FEATURE_FLAGS = {
+  share: true,
+  hosting: true,
+};
+
+function toHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, "0")).join("");
 }
 
-async function kvGet(uid, key) {
-  const scopedKey = ensureScopeKey(key);
-  const k = ["kv", uid, scopedKey];
-  const r = await kv.get(k);
+function fromHex(hex) {
+  const out = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < out.length; i++) {
+    out[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  }
+  return out;
+}
+
+async function hashPassword(password, salt, iterations = PBKDF2_ITERATIONS) {
+  salt = salt || crypto.getRandomValues(new Uint8Array(16));
+  const keyMaterial = await crypto.subtle.importKey(
+    "raw",
+    new TextEncoder().encode(password),
+    "PBKDF2",
+    false,
+    ["deriveBits"],
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    keyMaterial,
+    256,
+  );
+  return { salt: toHex(salt), hash: toHex(new Uint8Array(bits)), iterations };
+}
+
+async function verifyPassword(password, stored) {
+  if (!stored?.salt || !stored?.hash) return false;
+  const { hash } = await hashPassword(
+    password,
+    fromHex(stored.salt),
+    stored.iterations,
+  );
+  // Constant-time comparison
+  if (hash.length !== stored.hash.length) return false;
+  let diff = 0;
+  for (let i = 0; i < hash.length; i++) {
+    diff |= hash.charCodeAt(i) ^ stored.hash.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+function publicUser(user) {
+  // Strip secrets before returning a user record to clients
+  return {
+    uuid: user.uuid,
+    username: user.username,
+    email: user.email,
+    email_confirmed: user.email_confirmed,
+    created_at: user.created_at,
+    otp: Boolean(user.otp?.enabled),
+    feature_flags: { ...DEFAULT_FEATURE_FLAGS, ...user.feature_flags },
+  };
+}
+
+async function getUser(username) {
+  if (!username) return null;
+  const r = await kv.get(["users", username]);
   return r.value ?? null;
 }
 
-async function kvDelete(uid, key) {
-  const scopedKey = ensureScopeKey(key);
-  const k = ["kv", uid, scopedKey];
-  const r = await kv.delete(k);
-  return { deleted: r.ok, key: scopedKey };
+async function findUser(usernameOrEmail) {
+  // Accepts either a username or an email address
+  const id = String(usernameOrEmail || "").trim();
+  if (!id.includes("@")) return await getUser(id);
+  const r = await kv.get(["users_by_email", id.toLowerCase()]);
+  return r.value ? await getUser(r.value) : null;
 }
 
-async function kvList(uid, prefix = "") {
-  const scopedPrefix = ensureScopeKey(prefix);
-  const iter = kv.list({ prefix: ["kv", uid, scopedPrefix] });
-  const items = [];
-  for await (const entry of iter) {
-    const keyArr = entry.key; // ["kv", uid, "myscope_..."]
-    const k = keyArr[2];
-    items.push({ key: k, value: entry.value });
+async function createUser({ username, email, password }) {
+  username = String(username || "").trim();
+  email = email ? String(email).trim().toLowerCase() : null;
+  password = String(password || "");
+  if (!USERNAME_RE.test(username)) {
+    return {
+      error:
+        "username must be 3-45 characters: letters, digits, '_' or '-' only",
+    };
   }
-  return items;
+  if (RESERVED_USERNAMES.has(username.toLowerCase())) {
+    return { error: "username is reserved" };
+  }
+  if (email && !EMAIL_RE.test(email)) return { error: "Invalid email" };
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return {
+      error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    };
+  }
+
+  const user = {
+    uuid: crypto.randomUUID(),
+    username,
+    email,
+    email_confirmed: false,
+    created_at: clock.now(),
+    feature_flags: {},
+    password: await hashPassword(password),
+  };
+
+  // Atomically claim both the username and the email
+  const op = kv.atomic()
+    .check({ key: ["users", username], versionstamp: null })
+    .set(["users", username], user);
+  if (email) {
+    op.check({ key: ["users_by_email", email], versionstamp: null })
+      .set(["users_by_email", email], username);
+  }
+  const r = await op.commit();
+  if (!r.ok) return { error: "Username or email already taken", status: 409 };
+  return { user };
 }
 
-// ------------------------------
-// FS API (KV-backed)
-// ------------------------------
-//
-// Filesystem object stored in KV:
-// - Files are stored at key ["fs", uid, path] with value: { type: "file", ctime, mtime, size, content: Uint8Array }
-// - Directories at ["fs", uid, dirPathWithSlash] with value: { type: "dir", ctime, mtime }
-//
-// Conventions:
-// - Root dir is "/"
-// - Directory keys always end with "/"
-// - File keys never end with "/"
+async function changePassword(username, oldPassword, newPassword) {
+  const user = await getUser(username);
+  if (!user) return { error: "User not found", status: 404 };
+  if (!(await verifyPassword(String(oldPassword || ""), user.password))) {
+    return { error: "Incorrect password", status: 403 };
+  }
+  newPassword = String(newPassword || "");
+  if (newPassword.length < MIN_PASSWORD_LENGTH) {
+    return {
+      error: `password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+    };
+  }
+  user.password = await hashPassword(newPassword);
+  await kv.set(["users", username], user);
+  return { changed: true };
+}
 
-function normalizePath(path) {
-  if (!path || typeof path !== "string") return "/";
-  try {
-    // Clean multiple slashes, keep leading slash
-    path = "/" + path.replace(/^\/*/, "").replace(/\/*$/, "");
-    if (path === "/") return "/";
-    return path;
-  } catch (_) {
-    return "/";
+async function deleteByPrefix(prefix) {
+  let count = 0;
+  for await (const entry of kv.list({ prefix })) {
+    await kv.delete(entry.key);
+    count++;
   }
+  return count;
 }
 
-function isDirPath(path) {
-  return path === "/" || path.endsWith("/");
+async function deleteUser(username, password) {
+  const user = await getUser(username);
+  if (!user) return { error: "User not found", status: 404 };
+  if (!(await verifyPassword(String(password || ""), user.password))) {
+    return { error: "Incorrect password", status: 403 };
+  }
+  // Remove the account and everything it owns; outstanding tokens stop
+  // resolving because resolveAuth requires a user record with their user_uuid.
+  await kv.delete(["users", username]);
+  if (user.email) await kv.delete(["users_by_email", user.email]);
+  await deleteStorage(username);
+  for await (const entry of kv.list({ prefix: ["app_data", username] })) {
+    await deleteStorage(appDataUid(username, entry.key[2]));
+    await kv.delete(entry.key);
+  }
+  await hostingDropSites(username);
+  await appDropOwned(username);
+  await workerDropOwned(username);
+  await deleteByPrefix(["ai_usage", username]);
+  return { deleted: true, username };
 }
 
-function asDirPath(path) {
-  path = normalizePath(path);
-  if (path === "/") return "/";
-  return path.endsWith("/") ? path : path + "/";
+async function deleteStorage(uid) {
+  // KV, FS and change-event data of a storage uid: a username, or an app's
+  // namespace for that user
+  await deleteByPrefix(["kv", uid]);
+  await kv.delete(["kv_count", uid]);
+  await kv.delete(["kv_limits", uid]);
+  await deleteByPrefix(["fs", uid]);
+  await kv.delete(["fs_root", uid]);
+  await deleteByPrefix(["fs_entry", uid]);
+  await deleteByPrefix(["fs_node", uid]);
+  await deleteByPrefix(["fs_trash", uid]);
+  await deleteByPrefix(["fs_version", uid]);
+  await kv.delete(["fs_usage", uid]);
+  await kv.delete(["fs_quota", uid]);
+  await deleteByPrefix(["fs_chunk", uid]);
+  await fsDropShares(uid);
+  await fsDropLinks(uid);
+  await deleteByPrefix(["event", uid]);
+  await kv.delete(["event_seq", uid]);
 }
 
-function asFilePath(path) {
-  path = normalizePath(path);
-  return path.endsWith("/") ? path.slice(0, -1) : path;
+// ------------------------------
+// Two-factor auth (TOTP)
+// ------------------------------
+//
+// Enrollment state lives on the user record as
+// user.otp = { secret, enabled, recovery_codes: [sha256 hex, ...], last_step? }.
+//
+// - Codes follow RFC 6238 (HMAC-SHA1, 30 s period, 6 digits), accepted within ±TOTP_WINDOW steps
+// - A login records the step it used (last_step); codes from that step or earlier are refused
+// - Recovery codes are one-time: each is removed from the record once used
+// - Pending logins are stored under ["auth", "otp", otp_jwt_token] and expire after OTP_TOKEN_TTL_MS
+// - A pending login allows OTP_MAX_ATTEMPTS wrong codes, then it is dropped and
+//   the user has to sign in again
+
+const TOTP_PERIOD_S = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const OTP_MAX_ATTEMPTS = 5;
+const DEFAULT_OTP_TOKEN_TTL_MS = 5 * 60 * 1000;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const b of bytes) {
+    value = (value << 8) | b;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return out;
 }
 
-function parentDirOf(path) {
-  path = normalizePath(path);
-  if (path === "/") return null;
-  const parts = path.split("/").filter(Boolean);
-  if (parts.length <= 1) return "/";
-  return "/" + parts.slice(0, -1).join("/") + "/";
+function base32Decode(str) {
+  const clean = String(str).toUpperCase().replace(/=+$/, "");
+  const out = [];
+  let bits = 0;
+  let value = 0;
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) continue;
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(out);
 }
 
-async function ensureDir(uid, dirPath) {
-  const dp = asDirPath(dirPath);
-  const key = ["fs", uid, dp];
-  const r = await kv.get(key);
-  if (!r.value) {
-    const now = Date.now();
-    await kv.set(key, { type: "dir", ctime: now, mtime: now });
+async function totpAt(secret, step) {
+  // HOTP(secret, step) with dynamic truncation (RFC 4226 section 5.3)
+  const counter = new Uint8Array(8);
+  let c = step;
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = c & 0xff;
+    c = Math.floor(c / 256);
   }
+  const key = await crypto.subtle.importKey(
+    "raw",
+    base32Decode(secret),
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign("HMAC", key, counter));
+  const offset = mac[mac.length - 1] & 0x0f;
+  const bin = ((mac[offset] & 0x7f) << 24) | (mac[offset + 1] << 16) |
+    (mac[offset + 2] << 8) | mac[offset + 3];
+  return String(bin % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
 }
 
-async function fsStat(uid, path) {
-  // Returns value or null
-  const key = ["fs", uid, isDirPath(path) ? asDirPath(path) : asFilePath(path)];
-  const r = await kv.get(key);
-  return r.value ?? null;
+async function matchTotpStep(secret, code, now = clock.now()) {
+  // Returns the time step the code belongs to, or null if it matches none in the window
+  code = String(code || "").trim();
+  if (!/^[0-9]{6}$/.test(code)) return null;
+  const step = Math.floor(now / 1000 / TOTP_PERIOD_S);
+  for (let d = -TOTP_WINDOW; d <= TOTP_WINDOW; d++) {
+    if ((await totpAt(secret, step + d)) === code) return step + d;
+  }
+  return null;
 }
 
-async function fsWrite(uid, path, contentBytes) {
-  // Ensure parent dir exists, then write file
-  const fp = asFilePath(path);
-  const pdir = parentDirOf(fp);
-  if (!pdir) return { error: "Cannot write to root" };
-  await ensureDir(uid, pdir);
-  const now = Date.now();
-  const val = {
-    type: "file",
-    ctime: now,
-    mtime: now,
-    size: contentBytes.byteLength,
-    content: contentBytes,
-  };
-  await kv.set(["fs", uid, fp], val);
-  return { saved: true, path: fp, size: contentBytes.byteLength };
+async function verifyTotp(secret, code, now = clock.now()) {
+  return (await matchTotpStep(secret, code, now)) !== null;
 }
 
-async function fsRead(uid, path) {
-  const fp = asFilePath(path);
-  const r = await kv.get(["fs", uid, fp]);
-  const v = r.value;
-  if (!v || v.type !== "file") return null;
-  return v;
+async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(text),
+  );
+  return toHex(new Uint8Array(digest));
 }
 
-async function fsMkdir(uid, dirPath) {
-  const dp = asDirPath(dirPath);
-  const pdir = parentDirOf(dp);
-  if (pdir) await ensureDir(uid, pdir);
-  await ensureDir(uid, dp);
-  return { created: true, path: dp };
+function otpTokenTtlMs() {
+  return envNumber("OTP_TOKEN_TTL_MS", DEFAULT_OTP_TOKEN_TTL_MS);
 }
 
-async function fsDelete(uid, path) {
-  // If it's a file, delete it
-  // If it's a dir, delete recursively
-  const isDir = isDirPath(path) || ((await fsStat(uid, path))?.type === "dir");
-  if (!isDir) {
-    const fp = asFilePath(path);
-    await kv.delete(["fs", uid, fp]);
-    return { deleted: true, path: fp };
-  }
-
-  // Recursive delete of dir subtree
-  const dp = asDirPath(path);
-  const iter = kv.list({ prefix: ["fs", uid, dp] });
-  let count = 0;
-  for await (const entry of iter) {
-    await kv.delete(entry.key);
-    count++;
+async function setup2fa(username) {
+  const user = await getUser(username);
+  if (!user) return { error: "User not found", status: 404 };
+  if (user.otp?.enabled) {
+    return { error: "2FA is already enabled", status: 409 };
   }
-  // Delete the directory entry itself
-  await kv.delete(["fs", uid, dp]);
-  return { deleted: true, path: dp, removedChildren: count };
+  const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+  const codes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    () => newToken().slice(0, 8),
+  );
+  user.otp = {
+    secret,
+    enabled: false,
+    recovery_codes: await Promise.all(codes.map(sha256Hex)),
+  };
+  await kv.set(["users", username], user);
+  const label = encodeURIComponent(`Puter:${username}`);
+  const url =
+    `otpauth://totp/${label}?secret=${secret}&issuer=Puter&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_S}`;
+  return { secret, url, codes };
 }
 
-async function fsCopy(uid, src, dest) {
-  // Handles file->file and file->directory copy.
-  const s = await fsStat(uid, src);
-  if (!s) return { error: "Source not found" };
-
-  // If source is dir, copy recursively
-  if (s.type === "dir") {
-    const sd = asDirPath(src);
-    const dd = asDirPath(dest);
-    await ensureDir(uid, dd);
+async function test2fa(username, code) {
+  const user = await getUser(username);
+  if (!user?.otp?.secret) return { error: "2FA setup not started" };
+  return { ok: await verifyTotp(user.otp.secret, code) };
+}
 
-    // Copy subtree
-    const iter = kv.list({ prefix: ["fs", uid, sd] });
-    for await (const entry of iter) {
-      const rel = entry.key[2].slice(sd.length - 1); // includes leading slash in sd except root edge
-      const target = (dd + rel).replace(/\/{2,}/g, "/");
-      if (entry.value?.type === "dir") {
-        await ensureDir(uid, target);
-      } else if (entry.value?.type === "file") {
-        await fsWrite(uid, target, entry.value.content);
-      }
-    }
-    return { copied: true, from: sd, to: dd };
+async function enable2fa(username, code) {
+  const user = await getUser(username);
+  if (!user?.otp?.secret) return { error: "2FA setup not started" };
+  if (user.otp.enabled) return { error: "2FA is already enabled", status: 409 };
+  if (!(await verifyTotp(user.otp.secret, code))) {
+    return { error: "Invalid OTP code" };
   }
+  user.otp.enabled = true;
+  await kv.set(["users", username], user);
+  return { enabled: true };
+}
 
-  // Source is file
-  const fpSrc = asFilePath(src);
-  // If dest ends with "/", copy inside directory with same filename
-  let targetPath = dest;
-  if (isDirPath(dest)) {
-    const dd = asDirPath(dest);
-    await ensureDir(uid, dd);
-    const baseName = fpSrc.split("/").pop();
-    targetPath = dd + baseName;
+async function disable2fa(username, password) {
+  const user = await getUser(username);
+  if (!user) return { error: "User not found", status: 404 };
+  if (!(await verifyPassword(String(password || ""), user.password))) {
+    return { error: "Incorrect password", status: 403 };
   }
-  await fsWrite(uid, targetPath, s.content);
-  return { copied: true, from: fpSrc, to: asFilePath(targetPath) };
+  delete user.otp;
+  await kv.set(["users", username], user);
+  return { disabled: true };
 }
 
-async function fsMove(uid, src, dest) {
-  // Move implemented as copy + delete
-  const copyRes = await fsCopy(uid, src, dest);
-  if (copyRes.error) return copyRes;
-  await fsDelete(uid, src);
-  return { moved: true, from: src, to: dest };
+async function createOtpChallenge(username) {
+  const otpToken = newToken();
+  const ttl = otpTokenTtlMs();
+  const now = clock.now();
+  await kv.set(["auth", "otp", otpToken], {
+    username,
+    created_at: now,
+    expires_at: now + ttl,
+  }, { expireIn: ttl });
+  return otpToken;
 }
 
-async function fsList(uid, dirPath) {
-  const dp = asDirPath(dirPath || "/");
-  // Ensure directory exists
-  await ensureDir(uid, dp);
+async function consumeOtpChallenge(otpToken, code, { recovery = false } = {}) {
+  // Verifies a TOTP (or recovery) code against a pending login and returns its user.
+  // The pending login and the user record are checked in the commit that uses
+  // the code, so concurrent requests can't spend the same code or step twice.
+  const key = ["auth", "otp", otpToken];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const r = await kv.get(key);
+    const pending = r.value;
+    if (!pending || pending.expires_at <= clock.now()) {
+      if (pending) await kv.delete(key);
+      return { error: "Invalid or expired token" };
+    }
+    const userKey = ["users", pending.username];
+    const u = await kv.get(userKey);
+    const user = u.value;
+    if (!user?.otp?.enabled) {
+      await kv.delete(key);
+      return { error: "Invalid or expired token" };
+    }
 
-  // List immediate children by scanning prefix
-  const iter = kv.list({ prefix: ["fs", uid, dp] });
-  const seen = new Map();
-  for await (const entry of iter) {
-    const full = entry.key[2]; // the path (with or without trailing slash)
-    const rel = full.slice(dp.length);
-    if (!rel) continue;
-    const first = rel.split("/")[0];
-    if (!first) continue;
-
-    // Child may be a file or a subdir
-    const childPath = dp + first + (rel.indexOf("/") !== -1 ? "/" : "");
-    if (!seen.has(childPath)) {
-      seen.set(
-        childPath,
-        entry.value?.type || (childPath.endsWith("/") ? "dir" : "file"),
-      );
+    let error = null;
+    if (recovery) {
+      const hash = await sha256Hex(String(code || "").trim().toLowerCase());
+      const idx = user.otp.recovery_codes.indexOf(hash);
+      if (idx === -1) error = "Invalid recovery code";
+      else user.otp.recovery_codes.splice(idx, 1);
+    } else {
+      const step = await matchTotpStep(user.otp.secret, code);
+      if (step === null || step <= (user.otp.last_step ?? -1)) {
+        error = "Invalid OTP code";
+      } else {
+        user.otp.last_step = step;
+      }
     }
-  }
 
-  // Build final list with stats
-  const items = [];
-  for (const [childPath, guessedType] of seen.entries()) {
-    const st = await fsStat(uid, childPath);
-    if (st) {
-      items.push({
-        name: childPath.split("/").filter(Boolean).pop() || "/",
-        path: childPath,
-        type: st.type,
-        size: st.type === "file" ? st.size : 0,
-        mtime: st.mtime,
-        ctime: st.ctime,
-      });
+    const op = kv.atomic().check(r).check(u);
+    if (error) {
+      const attempts = (pending.attempts ?? 0) + 1;
+      if (attempts >= OTP_MAX_ATTEMPTS) {
+        op.delete(key);
+      } else {
+        op.set(key, { ...pending, attempts }, {
+          expireIn: Math.max(1, pending.expires_at - clock.now()),
+        });
+      }
+      if ((await op.commit()).ok) {
+        return attempts >= OTP_MAX_ATTEMPTS
+          ? { error: "Too many attempts, sign in again", status: 429 }
+          : { error };
+      }
     } else {
-      // If missing, fallback to guessed type
-      items.push({
-        name: childPath.split("/").filter(Boolean).pop() || "/",
-        path: childPath,
-        type: guessedType,
-        size: 0,
-        mtime: null,
-        ctime: null,
-      });
+      op.set(userKey, user).delete(key);
+      if ((await op.commit()).ok) return { user };
     }
+    await kvBackoff(attempt);
   }
-
-  return items.sort((a, b) => a.name.localeCompare(b.name));
+  return { error: "Too much contention, try again", status: 409 };
 }
 
 // ------------------------------
-// AI Chat (stub with optional OpenAI passthrough)
+// Sessions
 // ------------------------------
 //
-// POST /api/ai/chat
-// Body:
-// {
-//   "messages": [
-//     { "role": "user", "content": "Hello" },
-//     ...
-//   ]
-// }
+// Tokens issued by /login and /login/otp are stored under ["auth", "token", token]
+// with value { username, user_uuid, created_at, expires_at, via?, app? }.
+// user_uuid ties a token to one account: a token outlives its deleted account
+// in KV, but not into a new account that reuses the username.
 //
-// If OPENAI_API_KEY is set, attempts to call OpenAI's Chat Completions (gpt-4o-mini).
-// Otherwise, responds with a trivial assistant message.
+// - SESSION_TTL_MS controls the session lifetime (default: 7 days)
+// - ALLOW_ANONYMOUS=true lets requests without a token act as "anonymous"
+// - Unknown, revoked or expired tokens are always rejected with 401
+// - Tokens from /auth/get-user-app-token carry the app uid (see "Apps registry")
 
-function safeEnv(name) {
-  try {
-    return Deno.env.get(name) || undefined;
-  } catch (_) {
-    return undefined;
+const DEFAULT_SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+function sessionTtlMs() {
+  return envNumber("SESSION_TTL_MS", DEFAULT_SESSION_TTL_MS);
+}
+
+async function createSession(user, extra = {}) {
+  const token = newToken();
+  const now = clock.now();
+  const ttl = sessionTtlMs();
+  const session = {
+    username: user.username,
+    user_uuid: user.uuid,
+    created_at: now,
+    expires_at: now + ttl,
+    ...extra,
+  };
+  // expireIn lets Deno KV purge the record eventually; expires_at is authoritative
+  await kv.set(["auth", "token", token], session, { expireIn: ttl });
+  return { token, session };
+}
+
+async function passwordLogin(login, password) {
+  // Shared by /login and the popup sign-in page.
+  // Returns { user, token }, { user, otp_jwt_token } when 2FA is pending, or { error }.
+  const user = await findUser(login);
+  if (!user) {
+    return {
+      error: login.includes("@") ? "Email not found." : "Username not found.",
+    };
   }
+  if (!(await verifyPassword(password, user.password))) {
+    return { error: "Incorrect password." };
+  }
+  if (user.otp?.enabled) {
+    return { user, otp_jwt_token: await createOtpChallenge(user.username) };
+  }
+  const { token } = await createSession(user);
+  return { user, token };
 }
 
-function estimateTokensFromText(text) {
-  const len = (text || "").length;
-  return Math.max(1, Math.floor(len / 4));
+async function getSession(token) {
+  if (!token) return null;
+  const r = await kv.get(["auth", "token", token]);
+  const session = r.value;
+  if (!session) return null;
+  if (session.expires_at && session.expires_at <= clock.now()) {
+    await kv.delete(["auth", "token", token]);
+    return null;
+  }
+  return session;
 }
 
-function estimatePromptTokens(messages) {
-  const joined = (messages || []).map((m) => String(m?.content || "")).join(
-    "\n",
-  );
-  return estimateTokensFromText(joined);
+async function revokeSession(token) {
+  await kv.delete(["auth", "token", token]);
 }
 
-async function recordUsage(uid, usage) {
-  try {
-    const key = ["ai_usage", uid, Date.now()];
-    await kv.set(key, usage);
-  } catch (_) {
-    // silent catch
+async function resolveAuth(req) {
+  // Returns { uid, session, token, user } or { error } when the request can't be authenticated
+  const token = parseBearerToken(req);
+  if (!token) {
+    if (envFlag("ALLOW_ANONYMOUS")) {
+      return { uid: "anonymous", session: null, token: null, user: null };
+    }
+    return { error: "Authentication required" };
   }
+  const session = await getSession(token);
+  if (!session) return { error: "Invalid or expired token" };
+  const user = await getUser(session.username);
+  // App tokens stop working once their app is deleted
+  const app = session.app && (await kv.get(["app_by_uid", session.app])).value;
+  if (!user || user.uuid !== session.user_uuid || (session.app && !app)) {
+    await revokeSession(token);
+    return { error: "Invalid or expired token" };
+  }
+  return { uid: session.username, session, token, user };
 }
 
-async function aiChatComplete(uid, messages, model) {
-  const openaiKey = safeEnv("OPENAI_API_KEY");
-  const openaiBase = safeEnv("OPENAI_BASE_URL") || "https://api.openai.com";
-  const selectedModel = model || (openaiKey ? "gpt-4o-mini" : "mock-echo");
+// ------------------------------
+// Change events
+// ------------------------------
+//
+// FS and KV changes are appended to a per-user log, ["event", uid, seq], in
+// the same atomic operation that bumps ["event_seq", uid]. Subscribers
+// kv.watch() the sequence key and read the new range of the log, so an event
+// published by any instance reaches subscribers on every instance.
+//
+// Event types: fs.write, fs.mkdir, fs.copy, fs.move, fs.delete, fs.restore,
+// kv.set, kv.delete, kv.flush. FS events carry path (or from/to), KV events
+// carry key. Log entries expire after EVENT_TTL_MS; within that window a
+// reconnecting client can resume from the last id it saw.
 
-  if (
-    !openaiKey || selectedModel === "mock-echo" ||
-    selectedModel.startsWith("mock:")
-  ) {
-    const lastUser = [...messages].reverse().find((m) =>
-      m.role === "user"
-    )?.content || "";
-    const reply = `Echo: ${String(lastUser).slice(0, 200)}`;
-    const usage = {
-      prompt_tokens: estimatePromptTokens(messages),
-      completion_tokens: estimateTokensFromText(reply),
-      total_tokens: estimatePromptTokens(messages) +
-        estimateTokensFromText(reply),
-      model: selectedModel,
-      provider: "mock",
-    };
-    await recordUsage(uid, usage);
-    return {
-      object: "chat.completion",
-      model: selectedModel,
-      choices: [{
-        index: 0,
-        message: { role: "assistant", content: reply },
-        finish_reason: "stop",
-      }],
-      usage,
-      provider: "mock",
-    };
+const EVENT_TTL_MS = 5 * 60 * 1000;
+const EVENT_PING_MS = 15 * 1000;
+
+async function publishEvents(uid, events) {
+  // Best effort: the change itself already happened, so events that keep
+  // losing the race for the sequence number are dropped rather than failing it
+  if (!events.length) return;
+  const time = clock.now();
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const head = await kv.get(["event_seq", uid]);
+    const seq = head.value ?? 0;
+    const op = kv.atomic()
+      .check(head)
+      .set(["event_seq", uid], seq + events.length);
+    events.forEach((event, i) => {
+      const id = seq + i + 1;
+      op.set(["event", uid, id], { id, time, ...event }, {
+        expireIn: EVENT_TTL_MS,
+      });
+    });
+    if ((await op.commit()).ok) return;
+    await kvBackoff(attempt);
   }
+}
 
-  const payload = { model: selectedModel, messages, temperature: 0.2 };
-  const url = `${openaiBase.replace(/\/$/, "")}/v1/chat/completions`;
-  const res = await fetch(url, {
-    method: "POST",
+function eventFilter({ types, path, prefix } = {}) {
+  // types: ["fs", "kv.set", ...] (a family name matches all its types);
+  // path: FS events at or below it; prefix: KV events whose key starts with it
+  const dir = path ? asDirPath(path) : null;
+  const within = (p) => p && (p === normalizePath(dir) || p.startsWith(dir));
+  return (event) => {
+    if (
+      types?.length &&
+      !types.some((t) => t === event.type || t === event.type.split(".")[0])
+    ) return false;
+    if (event.type.startsWith("fs.") && dir && dir !== "/") {
+      return within(event.path) || within(event.from) || within(event.to);
+    }
+    if (event.type.startsWith("kv.") && prefix && event.key !== undefined) {
+      return event.key.startsWith(prefix);
+    }
+    return true;
+  };
+}
+
+function eventFeed(uid, { after = null, filter = () => true } = {}) {
+  // A ReadableStream of uid's events (objects) published after the id
+  // `after`, or from now on when after is null. Cancelling it ends the watch.
+  const watcher = kv.watch([["event_seq", uid]]).getReader();
+  let last = after;
+  const pending = [];
+  return new ReadableStream({
+    async pull(controller) {
+      while (!pending.length) {
+        const { done, value } = await watcher.read();
+        if (done) {
+          controller.close();
+          return;
+        }
+        const seq = value[0].value ?? 0;
+        // The first notification carries the current head; an id past it
+        // (e.g. from before the log was reset) resumes from there as well
+        if (last === null || last > seq) last = seq;
+        if (seq === last) continue;
+        for await (
+          const entry of kv.list({
+            start: ["event", uid, last + 1],
+            end: ["event", uid, seq + 1],
+          })
+        ) {
+          if (filter(entry.value)) pending.push(entry.value);
+        }
+        last = seq;
+      }
+      controller.enqueue(pending.shift());
+    },
+    cancel() {
+      return watcher.cancel();
+    },
+  });
+}
+
+function eventStreamResponse(feed) {
+  // Server-Sent Events: one "event: <type>" message per event, plus comment
+  // pings so idle connections aren't dropped by proxies
+  const encoder = new TextEncoder();
+  const reader = feed.getReader();
+  let timer;
+  const body = new ReadableStream({
+    start(controller) {
+      const send = (text) => controller.enqueue(encoder.encode(text));
+      send(": connected\n\n");
+      timer = setInterval(() => send(": ping\n\n"), EVENT_PING_MS);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) {
+        clearInterval(timer);
+        controller.close();
+        return;
+      }
+      controller.enqueue(encoder.encode(
+        `id: ${value.id}\nevent: ${value.type}\ndata: ${
+          JSON.stringify(value)
+        }\n\n`,
+      ));
+    },
+    cancel() {
+      clearInterval(timer);
+      return reader.cancel();
+    },
+  });
+  return new Response(body, {
     headers: {
-      Authorization: `Bearer ${openaiKey}`,
-      "Content-Type": "application/json",
+      ...CORS_HEADERS,
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
     },
-    body: JSON.stringify(payload),
   });
+}
 
-  if (!res.ok) {
-    const text = await res.text().catch(() => "");
-    const reply = `AI error (${res.status}): ${text.slice(0, 200)}`;
-    const usage = {
-      prompt_tokens: estimatePromptTokens(messages),
-      completion_tokens: estimateTokensFromText(reply),
-      total_tokens: estimatePromptTokens(messages) +
-        estimateTokensFromText(reply),
-      model: selectedModel,
-      provider: "openai",
+function eventSocketResponse(req, feed) {
+  // WebSocket: every event is sent as a JSON text message
+  const { socket, response } = Deno.upgradeWebSocket(req);
+  const reader = feed.getReader();
+  socket.onopen = async () => {
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done || socket.readyState !== WebSocket.OPEN) break;
+        socket.send(JSON.stringify(value));
+      }
+    } catch {
+      // Feed cancelled because the socket closed
+    }
+  };
+  socket.onclose = () => reader.cancel();
+  return response;
+}
+
+// ------------------------------
+// KV API
+// ------------------------------
+//
+// Keys are stored under ["kv", uid, key]
+// Values are wrapped as { value, expires_at } where expires_at is null or epoch ms.
+//
+// Every entry carries a Deno KV versionstamp, exposed to clients as "version".
+// - kvSet accepts an expected version (null = key must not exist) for optimistic concurrency
+// - kvIncr retries a check-and-set loop so concurrent increments are never lost
+// - kvList pages with Deno KV cursors; glob patterns are applied on top of the prefix range
+// - Batch writes/deletes are single atomic operations (at most KV_BATCH_MAX keys)
+// - Expired entries are hidden from reads even before Deno KV purges them
+//   (expireIn is passed to Deno KV only so storage is reclaimed eventually)
+//
+// Limits (key bytes, value bytes, keys per user) come from DEFAULT_KV_LIMITS,
+// overridden globally by KV_MAX_KEY_BYTES / KV_MAX_VALUE_BYTES / KV_MAX_KEYS and
+// per user by ["kv_limits", uid]. Violations return { error, code, status }.
+// The number of stored keys is tracked in ["kv_count", uid] and updated in the
+// same atomic operation as the write that creates or removes a key.
+
+const KV_CAS_MAX_ATTEMPTS = 20;
+// Deno KV allows 100 checks per atomic operation: one per key plus the
+// key-count check
+const KV_BATCH_MAX = 99;
+const DEFAULT_KV_LIMITS = {
+  max_key_bytes: 1024,
+  // Deno KV rejects values over 64 KiB; keep headroom for the entry envelope
+  max_value_bytes: 60 * 1024,
+  max_keys: 10_000,
+};
+const KV_LIMIT_NAMES = Object.keys(DEFAULT_KV_LIMITS);
+
+function kvIsLive(entry) {
+  // True when the entry exists and hasn't expired according to clock.now()
+  const expiresAt = entry?.value?.expires_at;
+  return entry?.value != null && (expiresAt == null || expiresAt > clock.now());
+}
+
+function kvWrap(value, expiresAt) {
+  return { value, expires_at: expiresAt ?? null };
+}
+
+function kvSetOptions(expiresAt) {
+  if (expiresAt == null) return undefined;
+  return { expireIn: Math.max(1, expiresAt - clock.now()) };
+}
+
+function kvTtl(expiresAt) {
+  return expiresAt == null ? null : Math.max(0, expiresAt - clock.now());
+}
+
+function parseExpiry(body) {
+  // Reads { expireIn?, expireAt? } from a request body into { expireAt } (epoch ms or null)
+  const { expireIn, expireAt } = body ?? {};
+  if (expireIn != null && expireAt != null) {
+    return { error: "Use either expireIn or expireAt, not both" };
+  }
+  if (expireIn != null) {
+    if (typeof expireIn !== "number" || !(expireIn > 0)) {
+      return { error: "expireIn must be a positive number of milliseconds" };
+    }
+    return { expireAt: clock.now() + expireIn };
+  }
+  if (expireAt != null) {
+    if (typeof expireAt !== "number" || !(expireAt > clock.now())) {
+      return { error: "expireAt must be a future timestamp in milliseconds" };
+    }
+    return { expireAt };
+  }
+  return { expireAt: null };
+}
+
+async function kvLimits(uid) {
+  const limits = {
+    max_key_bytes: envNumber(
+      "KV_MAX_KEY_BYTES",
+      DEFAULT_KV_LIMITS.max_key_bytes,
+    ),
+    max_value_bytes: envNumber(
+      "KV_MAX_VALUE_BYTES",
+      DEFAULT_KV_LIMITS.max_value_bytes,
+    ),
+    max_keys: envNumber("KV_MAX_KEYS", DEFAULT_KV_LIMITS.max_keys),
+  };
+  const r = await kv.get(["kv_limits", uid]);
+  return { ...limits, ...r.value };
+}
+
+async function kvSetLimits(uid, overrides) {
+  // overrides: { max_key_bytes?, max_value_bytes?, max_keys? }; null removes an override
+  const r = await kv.get(["kv_limits", uid]);
+  const next = { ...r.value };
+  for (const [name, v] of Object.entries(overrides ?? {})) {
+    if (!KV_LIMIT_NAMES.includes(name)) {
+      return { error: `Unknown limit: ${name}`, code: "invalid_limit" };
+    }
+    if (v === null) {
+      delete next[name];
+    } else if (Number.isInteger(v) && v > 0) {
+      next[name] = v;
+    } else {
+      return {
+        error: `${name} must be a positive integer or null`,
+        code: "invalid_limit",
+      };
+    }
+  }
+  await kv.set(["kv_limits", uid], next);
+  return { limits: await kvLimits(uid) };
+}
+
+function kvCheckKey(key, limits) {
+  if (typeof key !== "string" || key === "") {
+    return {
+      error: "Key must be a non-empty string",
+      code: "invalid_key",
+      status: 400,
+    };
+  }
+  const size = new TextEncoder().encode(key).byteLength;
+  if (limits && size > limits.max_key_bytes) {
+    return {
+      error: `Key is ${size} bytes; the limit is ${limits.max_key_bytes}`,
+      code: "key_too_large",
+      status: 400,
+    };
+  }
+  return null;
+}
+
+function kvCheckValue(value, limits) {
+  const size = new TextEncoder().encode(JSON.stringify(value)).byteLength;
+  if (size > limits.max_value_bytes) {
+    return {
+      error: `Value is ${size} bytes; the limit is ${limits.max_value_bytes}`,
+      code: "value_too_large",
+      status: 413,
+    };
+  }
+  return null;
+}
+
+async function kvRecount(uid) {
+  // Slow path, used only when a write would exceed max_keys: drops expired
+  // leftovers and stores the exact number of live keys.
+  const countEntry = await kv.get(["kv_count", uid]);
+  let count = 0;
+  for await (const entry of kv.list({ prefix: ["kv", uid] })) {
+    if (kvIsLive(entry)) count++;
+    else await kv.atomic().check(entry).delete(entry.key).commit();
+  }
+  await kv.atomic().check(countEntry).set(["kv_count", uid], count).commit();
+}
+
+async function kvReserveKeys(uid, creates, limits) {
+  // Returns { countEntry, count } when `creates` new keys fit under max_keys
+  let countEntry = await kv.get(["kv_count", uid]);
+  if (creates > 0 && (countEntry.value ?? 0) + creates > limits.max_keys) {
+    await kvRecount(uid);
+    countEntry = await kv.get(["kv_count", uid]);
+    if ((countEntry.value ?? 0) + creates > limits.max_keys) {
+      return {
+        error: `Key limit of ${limits.max_keys} reached`,
+        code: "too_many_keys",
+        status: 413,
+      };
+    }
+  }
+  return { countEntry, count: countEntry.value ?? 0 };
+}
+
+function kvCountDelta(op, uid, reserved, delta) {
+  // Adds the key-count update (guarded by a check) to an atomic operation
+  if (!delta) return op;
+  return op
+    .check(reserved.countEntry)
+    .set(["kv_count", uid], Math.max(0, reserved.count + delta));
+}
+
+async function kvCommit(op) {
+  // Deno KV throws on oversized mutations and on operations with too many
+  // checks or mutations; report them like our own limit checks
+  try {
+    return await op.commit();
+  } catch (err) {
+    if (err instanceof TypeError && /too large/i.test(err.message)) {
+      return {
+        error: "Value too large for storage",
+        code: "value_too_large",
+        status: 413,
+      };
+    }
+    if (err instanceof TypeError && /too many/i.test(err.message)) {
+      return {
+        error: `Batch too large for storage: ${err.message}`,
+        code: "batch_too_large",
+        status: 400,
+      };
+    }
+    throw err;
+  }
+}
+
+async function kvBackoff(attempt) {
+  // Lost a race: back off a little (with jitter) before re-reading
+  await new Promise((res) =>
+    setTimeout(res, Math.random() * 5 * (attempt + 1))
+  );
+}
+
+async function kvSet(uid, key, value, { expectedVersion, expireAt } = {}) {
+  const limits = await kvLimits(uid);
+  const invalid = kvCheckKey(key, limits) || kvCheckValue(value, limits);
+  if (invalid) return invalid;
+  const scopedKey = ensureScopeKey(key);
+  const k = ["kv", uid, scopedKey];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(k);
+    if (expectedVersion !== undefined) {
+      // An expired entry counts as absent, so compare against its live version
+      const liveVersion = kvIsLive(cur) ? cur.versionstamp : null;
+      if (liveVersion !== expectedVersion) {
+        return {
+          error: "Version mismatch",
+          code: "version_mismatch",
+          status: 409,
+        };
+      }
+    }
+    const creates = cur.versionstamp === null ? 1 : 0;
+    const reserved = await kvReserveKeys(uid, creates, limits);
+    if (reserved.error) return reserved;
+    const op = kv.atomic()
+      .check(cur)
+      .set(k, kvWrap(value, expireAt), kvSetOptions(expireAt));
+    const r = await kvCommit(kvCountDelta(op, uid, reserved, creates));
+    if (r.error) return r;
+    if (r.ok) {
+      await publishEvents(uid, [{ type: "kv.set", key: scopedKey }]);
+      return {
+        saved: true,
+        key: scopedKey,
+        version: r.versionstamp,
+        expires_at: expireAt ?? null,
+      };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function kvGet(uid, key) {
+  // Returns { key, value, version, ttl }; value and version are null when the key
+  // doesn't exist (or has expired), ttl is null when the key never expires
+  const invalid = kvCheckKey(key);
+  if (invalid) return invalid;
+  const scopedKey = ensureScopeKey(key);
+  const r = await kv.get(["kv", uid, scopedKey]);
+  if (!kvIsLive(r)) {
+    return { key: scopedKey, value: null, version: null, ttl: null };
+  }
+  return {
+    key: scopedKey,
+    value: r.value.value,
+    version: r.versionstamp,
+    ttl: kvTtl(r.value.expires_at),
+  };
+}
+
+async function kvIncr(uid, key, amount = 1) {
+  const limits = await kvLimits(uid);
+  const invalid = kvCheckKey(key, limits);
+  if (invalid) return invalid;
+  const scopedKey = ensureScopeKey(key);
+  const k = ["kv", uid, scopedKey];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(k);
+    const live = kvIsLive(cur);
+    const current = live ? cur.value.value : 0;
+    if (typeof current !== "number") {
+      return { error: "Value is not a number", code: "not_a_number" };
+    }
+    // Like Redis INCR, an existing TTL is kept
+    const expiresAt = live ? cur.value.expires_at : null;
+    const next = current + amount;
+    const creates = cur.versionstamp === null ? 1 : 0;
+    const reserved = await kvReserveKeys(uid, creates, limits);
+    if (reserved.error) return reserved;
+    const op = kv.atomic()
+      .check(cur)
+      .set(k, kvWrap(next, expiresAt), kvSetOptions(expiresAt));
+    const r = await kvCommit(kvCountDelta(op, uid, reserved, creates));
+    if (r.error) return r;
+    if (r.ok) {
+      await publishEvents(uid, [{ type: "kv.set", key: scopedKey }]);
+      return { key: scopedKey, value: next, version: r.versionstamp };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function kvExpire(uid, key, expireAt) {
+  // Sets (or with expireAt = null, clears) the expiry of an existing key
+  const invalid = kvCheckKey(key);
+  if (invalid) return invalid;
+  const scopedKey = ensureScopeKey(key);
+  const k = ["kv", uid, scopedKey];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(k);
+    if (!kvIsLive(cur)) {
+      return { error: "Key not found", code: "not_found", status: 404 };
+    }
+    const r = await kv.atomic()
+      .check(cur)
+      .set(k, kvWrap(cur.value.value, expireAt), kvSetOptions(expireAt))
+      .commit();
+    if (r.ok) {
+      return {
+        key: scopedKey,
+        expires_at: expireAt ?? null,
+        ttl: kvTtl(expireAt),
+        version: r.versionstamp,
+      };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function kvDelete(uid, key) {
+  const invalid = kvCheckKey(key);
+  if (invalid) return invalid;
+  const scopedKey = ensureScopeKey(key);
+  const k = ["kv", uid, scopedKey];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(k);
+    if (cur.versionstamp === null) return { deleted: true, key: scopedKey };
+    const reserved = await kvReserveKeys(uid, 0);
+    const op = kv.atomic().check(cur).delete(k);
+    const r = await kvCountDelta(op, uid, reserved, -1).commit();
+    if (r.ok) {
+      await publishEvents(uid, [{ type: "kv.delete", key: scopedKey }]);
+      return { deleted: true, key: scopedKey };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+function globToRegExp(glob) {
+  // "*" matches any run of characters, "?" a single one; everything else is literal
+  const body = glob.replace(
+    /[.+^${}()|[\]\\*?]/g,
+    (c) => c === "*" ? ".*" : c === "?" ? "." : "\\" + c,
+  );
+  return new RegExp("^" + body + "$");
+}
+
+async function kvList(uid, options = {}) {
+  // Options: { prefix, pattern, limit, cursor, keysOnly, reverse }
+  // Returns { items, cursor } where cursor is null on the last page.
+  const { prefix = "", pattern, limit, cursor, keysOnly, reverse } = options;
+  let rangePrefix = ensureScopeKey(prefix);
+  let matcher = null;
+  if (pattern) {
+    const scopedPattern = ensureScopeKey(pattern);
+    matcher = globToRegExp(scopedPattern);
+    // Narrow the scanned range to the pattern's literal prefix when possible
+    const literal = scopedPattern.split(/[*?]/)[0];
+    if (literal.startsWith(rangePrefix)) rangePrefix = literal;
+    else if (!rangePrefix.startsWith(literal)) {
+      return { items: [], cursor: null };
+    }
+  }
+
+  const iter = kv.list(prefixRange(["kv", uid], rangePrefix), {
+    cursor: cursor || undefined,
+    reverse: Boolean(reverse),
+  });
+
+  const items = [];
+  let nextCursor = null;
+  for await (const entry of iter) {
+    if (!kvIsLive(entry)) continue;
+    const k = entry.key[2]; // ["kv", uid, "myscope_..."]
+    if (matcher && !matcher.test(k)) continue;
+    if (limit && items.length === limit) {
+      // Another match exists past this page: resume after the last returned item
+      return { items, cursor: nextCursor };
+    }
+    items.push(keysOnly ? { key: k } : { key: k, value: entry.value.value });
+    nextCursor = iter.cursor;
+  }
+  return { items, cursor: null };
+}
+
+async function kvGetEntries(uid, scopedKeys) {
+  // Deno KV's getMany accepts at most 10 keys per call
+  const entries = [];
+  for (let i = 0; i < scopedKeys.length; i += 10) {
+    const batch = scopedKeys.slice(i, i + 10).map((k) => ["kv", uid, k]);
+    entries.push(...await kv.getMany(batch));
+  }
+  return entries;
+}
+
+async function kvGetMany(uid, keys) {
+  for (const key of keys) {
+    const invalid = kvCheckKey(key);
+    if (invalid) return invalid;
+  }
+  const scopedKeys = keys.map(ensureScopeKey);
+  const entries = await kvGetEntries(uid, scopedKeys);
+  const items = entries.map((entry, i) => {
+    const live = kvIsLive(entry);
+    return {
+      key: scopedKeys[i],
+      value: live ? entry.value.value : null,
+      version: live ? entry.versionstamp : null,
+      ttl: live ? kvTtl(entry.value.expires_at) : null,
+    };
+  });
+  return { items };
+}
+
+async function kvSetMany(uid, items) {
+  // All-or-nothing: every item is written in a single atomic operation.
+  // Items: [{ key, value, expireAt? }]
+  const limits = await kvLimits(uid);
+  for (const item of items) {
+    const invalid = kvCheckKey(item.key, limits) ||
+      kvCheckValue(item.value, limits);
+    if (invalid) return invalid;
+  }
+  const scopedKeys = items.map((item) => ensureScopeKey(item.key));
+  // A key twice in one batch has no clear winner and would count as two keys
+  const duplicate = scopedKeys.find((key, i) => scopedKeys.indexOf(key) !== i);
+  if (duplicate !== undefined) {
+    return {
+      error: `Duplicate key in batch: ${duplicate}`,
+      code: "duplicate_key",
+      status: 400,
+    };
+  }
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const entries = await kvGetEntries(uid, scopedKeys);
+    const creates = entries.filter((e) => e.versionstamp === null).length;
+    const reserved = await kvReserveKeys(uid, creates, limits);
+    if (reserved.error) return reserved;
+    const op = kv.atomic();
+    items.forEach((item, i) => {
+      op.check(entries[i]).set(
+        entries[i].key,
+        kvWrap(item.value, item.expireAt),
+        kvSetOptions(item.expireAt),
+      );
+    });
+    const r = await kvCommit(kvCountDelta(op, uid, reserved, creates));
+    if (r.error) return r;
+    if (r.ok) {
+      await publishEvents(
+        uid,
+        scopedKeys.map((key) => ({ type: "kv.set", key })),
+      );
+      return { saved: true, keys: scopedKeys, version: r.versionstamp };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function kvDeleteMany(uid, keys) {
+  for (const key of keys) {
+    const invalid = kvCheckKey(key);
+    if (invalid) return invalid;
+  }
+  // Deleting a key twice is the same as deleting it once
+  const scopedKeys = [...new Set(keys.map(ensureScopeKey))];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const entries = await kvGetEntries(uid, scopedKeys);
+    const existing = entries.filter((e) => e.versionstamp !== null);
+    const reserved = await kvReserveKeys(uid, 0);
+    const op = kv.atomic();
+    for (const entry of existing) op.check(entry).delete(entry.key);
+    const r = await kvCommit(
+      kvCountDelta(op, uid, reserved, -existing.length),
+    );
+    if (r.error) return r;
+    if (r.ok) {
+      await publishEvents(
+        uid,
+        existing.map((entry) => ({ type: "kv.delete", key: entry.key[2] })),
+      );
+      return { deleted: true, keys: scopedKeys };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function kvFlush(uid) {
+  // Removes every key of the user in atomic batches. Each batch takes its keys
+  // off ["kv_count", uid] in the same operation, so writes that race the flush
+  // leave the count matching the keys that remain.
+  let count = 0;
+  let attempt = 0;
+  while (true) {
+    const entries = [];
+    const iter = kv.list({ prefix: ["kv", uid] }, { limit: KV_BATCH_MAX });
+    for await (const entry of iter) entries.push(entry);
+    if (!entries.length) break;
+    const reserved = await kvReserveKeys(uid, 0);
+    const op = kv.atomic();
+    for (const entry of entries) op.check(entry).delete(entry.key);
+    const r = await kvCountDelta(op, uid, reserved, -entries.length).commit();
+    if (r.ok) {
+      count += entries.length;
+      attempt = 0;
+      continue;
+    }
+    if (++attempt === KV_CAS_MAX_ATTEMPTS) {
+      return { error: "Too much contention, try again", status: 409 };
+    }
+    await kvBackoff(attempt);
+  }
+  await publishEvents(uid, [{ type: "kv.flush" }]);
+  return { flushed: true, removed: count };
+}
+
+async function kvUsage(uid) {
+  const r = await kv.get(["kv_count", uid]);
+  return { keys: r.value ?? 0 };
+}
+
+// ------------------------------
+// FS API (KV-backed)
+// ------------------------------
+//
+// Filesystem objects stored in KV, linked by uid (a random UUID that stays with
+// an item across overwrites, renames and moves; copies get a new one):
+// - The root directory is ["fs_root", uid] with value { type: "dir", uid, ctime, mtime }
+// - Every other item is an entry in its parent directory's index:
+//   ["fs_entry", uid, parentUid, name] with value
+//   { type: "file", uid, ctime, mtime, size, blob, chunks } or { type: "dir", uid, ctime, mtime }
+// - ["fs_node", uid, itemUid] = { parent, name } points back from an item to its entry
+//   ({ trash: true } while the item is in the trash)
+// - File contents live in ["fs_chunk", uid, blob, index] as Uint8Array chunks of
+//   at most FS_CHUNK_SIZE bytes, so files aren't capped by Deno KV's 64 KiB value limit
+//
+// Paths are resolved by walking the index one component at a time. Listing a
+// directory reads only its own entries, and renaming or moving a directory
+// rewrites a single entry however large its subtree is. fsEntry() turns a
+// record into Puter's stat/readdir shape.
+//
+// Writes store chunks under a fresh blob id first, then swap the metadata record
+// in one atomic operation; readers never see a half-written file. The replaced
+// blob becomes a version (see "FS trash and versions") or is deleted afterwards,
+// so a reader still holding the old record can find chunks gone: it then fails
+// with file_changed (409) instead of returning made-up bytes.
+//
+// Conventions:
+// - Root dir is "/"
+// - Directory paths are reported with a trailing "/" internally, file paths without
+// - Entries stored by path under ["fs", uid, path] by earlier versions are
+//   imported into the index the first time the user's root is created
+//
+// Write-like operations take Puter's options:
+// - overwrite: replace an existing item of the same type (write defaults to true, others to false)
+// - dedupeName: pick a free "name (n).ext" instead of failing on a conflict
+// - createMissingParents: create missing ancestor directories (default false)
+// Failures carry a Puter-style code, see FS_ERROR_STATUS.
+
+const FS_CHUNK_SIZE = 60 * 1024;
+// Deno KV caps an atomic operation at 800 KiB, so chunks are committed in groups
+const FS_CHUNKS_PER_COMMIT = 10;
+const FS_ERROR_STATUS = {
+  subject_does_not_exist: 404,
+  dest_does_not_exist: 422,
+  dest_is_not_a_directory: 422,
+  item_with_same_name_exists: 409,
+  cannot_overwrite_a_directory: 422,
+  cannot_move_item_into_itself: 422,
+  cannot_copy_item_into_itself: 422,
+  source_and_dest_are_the_same: 422,
+  cannot_write_to_root: 403,
+  invalid_file_name: 400,
+  subject_is_not_a_directory: 422,
+  forbidden: 403,
+  storage_limit_reached: 413,
+  invalid_archive: 400,
+  file_changed: 409,
+};
+
+function fsError(code, message) {
+  return { error: message, code, status: FS_ERROR_STATUS[code] };
+}
+
+function fsContentChanged() {
+  // Thrown where a chunk of the blob being read has been deleted; the request
+  // handler turns it into the file_changed error
+  const err = new Error("File changed while it was read");
+  err.fsError = fsError(
+    "file_changed",
+    "The file changed while it was read, try again",
+  );
+  return err;
+}
+
+function parseFsOptions(get) {
+  // Reads overwrite/dedupeName/createMissingParents/newName through get(name),
+  // which may return booleans (JSON bodies) or strings (query/form fields)
+  const flag = (name) => {
+    const v = get(name);
+    if (v === undefined || v === null || v === "") return undefined;
+    return v === true || v === "true" || v === "1";
+  };
+  const options = {};
+  for (const name of ["overwrite", "dedupeName", "createMissingParents"]) {
+    const v = flag(name);
+    if (v !== undefined) options[name] = v;
+  }
+  const newName = get("newName");
+  if (newName) options.newName = String(newName);
+  return options;
+}
+
+function baseNameOf(path) {
+  return normalizePath(path).split("/").filter(Boolean).pop() || "";
+}
+
+function normalizePath(path) {
+  if (!path || typeof path !== "string") return "/";
+  try {
+    // Clean multiple slashes, keep leading slash
+    path = "/" + path.replace(/^\/*/, "").replace(/\/*$/, "");
+    if (path === "/") return "/";
+    return path;
+  } catch (_) {
+    return "/";
+  }
+}
+
+function isDirPath(path) {
+  return path === "/" || path.endsWith("/");
+}
+
+function asDirPath(path) {
+  path = normalizePath(path);
+  if (path === "/") return "/";
+  return path.endsWith("/") ? path : path + "/";
+}
+
+function asFilePath(path) {
+  path = normalizePath(path);
+  return path.endsWith("/") ? path.slice(0, -1) : path;
+}
+
+function parentDirOf(path) {
+  path = normalizePath(path);
+  if (path === "/") return null;
+  const parts = path.split("/").filter(Boolean);
+  if (parts.length <= 1) return "/";
+  return "/" + parts.slice(0, -1).join("/") + "/";
+}
+
+async function fsRoot(uid) {
+  // The root directory record, created on first use (importing any entries
+  // stored by path before the directory index existed)
+  const key = ["fs_root", uid];
+  const r = await kv.get(key);
+  if (r.value) return r.value;
+  const now = clock.now();
+  const root = {
+    type: "dir",
+    uid: crypto.randomUUID(),
+    ctime: now,
+    mtime: now,
+  };
+  const res = await kv.atomic().check(r).set(key, root).commit();
+  if (!res.ok) return (await kv.get(key)).value;
+  await fsMigrateLegacy(uid, root.uid);
+  return root;
+}
+
+async function fsMigrateLegacy(uid, rootUid) {
+  // Legacy entries live at ["fs", uid, path]; a directory's key sorts before
+  // everything inside it, so parents are always linked before their children
+  const dirs = new Map([["/", rootUid]]);
+  for await (const entry of kv.list({ prefix: ["fs", uid] })) {
+    const path = entry.key[2];
+    const parent = dirs.get(parentDirOf(path));
+    if (path === "/" || !parent || !entry.value?.type) continue;
+    const name = baseNameOf(path);
+    const value = {
+      ...entry.value,
+      uid: entry.value.uid ?? crypto.randomUUID(),
+    };
+    if (value.type === "dir") dirs.set(path, value.uid);
+    await kv.atomic()
+      .set(["fs_entry", uid, parent, name], value)
+      .set(["fs_node", uid, value.uid], { parent, name })
+      .delete(entry.key)
+      .commit();
+  }
+  await kv.delete(["fs", uid, "/"]);
+}
+
+async function fsLookup(uid, path) {
+  // Finds whatever lives at path regardless of a trailing slash by walking the
+  // directory index one component at a time.
+  // Returns { type, path, value, key, versionstamp } (path in file or dir form;
+  // the root has no key) or null.
+  const root = await fsRoot(uid);
+  let found = { type: "dir", path: "/", value: root };
+  for (const name of normalizePath(path).split("/").filter(Boolean)) {
+    if (found.type !== "dir") return null;
+    const r = await kv.get(["fs_entry", uid, found.value.uid, name]);
+    if (!r.value) return null;
+    found = {
+      type: r.value.type,
+      path: found.path + name + (r.value.type === "dir" ? "/" : ""),
+      value: r.value,
+      key: r.key,
+      versionstamp: r.versionstamp,
+    };
+  }
+  return found;
+}
+
+async function fsLookupUid(uid, itemUid) {
+  // Finds an item by uid by following ["fs_node"] links up to the root.
+  // Returns the same shape as fsLookup, or null.
+  const root = (await kv.get(["fs_root", uid])).value;
+  if (!root) return null;
+  if (itemUid === root.uid) return { type: "dir", path: "/", value: root };
+  const node = (await kv.get(["fs_node", uid, itemUid])).value;
+  if (!node || node.trash) return null;
+  const r = await kv.get(["fs_entry", uid, node.parent, node.name]);
+  if (r.value?.uid !== itemUid) return null;
+  const names = [node.name];
+  for (let id = node.parent; id !== root.uid;) {
+    const up = (await kv.get(["fs_node", uid, id])).value;
+    if (!up || up.trash) return null;
+    names.unshift(up.name);
+    id = up.parent;
+  }
+  return {
+    type: r.value.type,
+    path: "/" + names.join("/") + (r.value.type === "dir" ? "/" : ""),
+    value: r.value,
+    key: r.key,
+    versionstamp: r.versionstamp,
+  };
+}
+
+async function fsInsert(uid, dirUid, name, value) {
+  // Links a new entry into a directory; false if the name is already taken
+  const key = ["fs_entry", uid, dirUid, name];
+  const r = await kv.atomic()
+    .check({ key, versionstamp: null })
+    .set(key, value)
+    .set(["fs_node", uid, value.uid], { parent: dirUid, name })
+    .commit();
+  return r.ok;
+}
+
+async function fsMakeDir(uid, dirUid, name) {
+  // Creates a directory entry unless the name exists; returns whatever the
+  // name refers to afterwards (a file if one was already there)
+  const now = clock.now();
+  const value = {
+    type: "dir",
+    uid: crypto.randomUUID(),
+    ctime: now,
+    mtime: now,
+  };
+  if (await fsInsert(uid, dirUid, name, value)) return value;
+  return (await kv.get(["fs_entry", uid, dirUid, name])).value;
+}
+
+async function fsMkdirp(uid, dirPath) {
+  // Creates dirPath and any missing ancestors; returns the directory's lookup,
+  // or an error if one of them is a file
+  let dir = await fsLookup(uid, "/");
+  for (const name of normalizePath(dirPath).split("/").filter(Boolean)) {
+    const value = await fsMakeDir(uid, dir.value.uid, name);
+    if (value?.type !== "dir") {
+      return fsError(
+        "dest_is_not_a_directory",
+        `${dir.path}${name} is a file, not a directory`,
+      );
+    }
+    dir = { type: "dir", path: dir.path + name + "/", value };
+  }
+  return dir;
+}
+
+async function fsPrepareParent(uid, path, { createMissingParents } = {}) {
+  // Makes sure the parent directory of path exists (or creates it when
+  // allowed); returns the parent's lookup or an error
+  const pdir = parentDirOf(normalizePath(path));
+  if (!pdir) return fsError("cannot_write_to_root", "Cannot write to root");
+  const parent = await fsLookup(uid, pdir);
+  if (parent?.type === "dir") return parent;
+  if (parent?.type === "file") {
+    return fsError(
+      "dest_is_not_a_directory",
+      `${parent.path} is a file, not a directory`,
+    );
+  }
+  if (!createMissingParents) {
+    return fsError("dest_does_not_exist", `Directory ${pdir} does not exist`);
+  }
+  return await fsMkdirp(uid, pdir);
+}
+
+async function fsDedupePath(uid, path, isDir) {
+  // "report.txt" -> "report (1).txt", "photos" -> "photos (1)", ...
+  const name = baseNameOf(path);
+  const dir = parentDirOf(normalizePath(path)) || "/";
+  const dot = isDir ? -1 : name.lastIndexOf(".");
+  const stem = dot > 0 ? name.slice(0, dot) : name;
+  const ext = dot > 0 ? name.slice(dot) : "";
+  for (let n = 1;; n++) {
+    const candidate = `${dir}${stem} (${n})${ext}`;
+    if (!(await fsLookup(uid, candidate))) {
+      return isDir ? asDirPath(candidate) : candidate;
+    }
+  }
+}
+
+async function fsResolveTarget(uid, path, type, options) {
+  // Applies overwrite/dedupeName to a target path of the given type ("file" | "dir").
+  // Returns { path, existing } where existing is the item to replace (if any), or an error.
+  const target = type === "dir" ? asDirPath(path) : asFilePath(path);
+  const existing = await fsLookup(uid, target);
+  if (!existing) return { path: target, existing: null };
+  if (options.dedupeName) {
+    return {
+      path: await fsDedupePath(uid, target, type === "dir"),
+      existing: null,
+    };
+  }
+  const name = baseNameOf(target);
+  if (!options.overwrite) {
+    return fsError(
+      "item_with_same_name_exists",
+      `An item with name '${name}' already exists`,
+    );
+  }
+  if (existing.type === "dir" && type === "file") {
+    return fsError(
+      "cannot_overwrite_a_directory",
+      `'${name}' is a directory and can't be overwritten by a file`,
+    );
+  }
+  if (existing.type === "file" && type === "dir") {
+    return fsError(
+      "item_with_same_name_exists",
+      `A file with name '${name}' already exists`,
+    );
+  }
+  return { path: target, existing };
+}
+
+async function fsStoreBlob(uid, bytes) {
+  // Writes bytes as chunks under a new blob id; returns { blob, chunks }
+  const blob = crypto.randomUUID();
+  const chunks = Math.ceil(bytes.byteLength / FS_CHUNK_SIZE);
+  for (let i = 0; i < chunks; i += FS_CHUNKS_PER_COMMIT) {
+    const op = kv.atomic();
+    for (let j = i; j < Math.min(chunks, i + FS_CHUNKS_PER_COMMIT); j++) {
+      const part = bytes.subarray(j * FS_CHUNK_SIZE, (j + 1) * FS_CHUNK_SIZE);
+      op.set(["fs_chunk", uid, blob, j], part);
+    }
+    await op.commit();
+  }
+  return { blob, chunks };
+}
+
+async function fsCloneBlob(uid, meta) {
+  // Copies a file's chunks to a new blob without loading the whole file
+  const blob = crypto.randomUUID();
+  for (let i = 0; i < meta.chunks; i += FS_CHUNKS_PER_COMMIT) {
+    const keys = [];
+    for (let j = i; j < Math.min(meta.chunks, i + FS_CHUNKS_PER_COMMIT); j++) {
+      keys.push(["fs_chunk", uid, meta.blob, j]);
+    }
+    const entries = await fsGetChunks(keys);
+    if (entries.some((entry) => !entry.value)) {
+      await fsDeleteBlob(uid, blob);
+      throw fsContentChanged();
+    }
+    const op = kv.atomic();
+    entries.forEach((entry, n) => {
+      op.set(["fs_chunk", uid, blob, i + n], entry.value);
+    });
+    await op.commit();
+  }
+  return { blob, chunks: meta.chunks };
+}
+
+async function fsGetChunks(keys) {
+  // Deno KV's getMany accepts at most 10 keys per call
+  const entries = [];
+  for (let i = 0; i < keys.length; i += 10) {
+    entries.push(...await kv.getMany(keys.slice(i, i + 10)));
+  }
+  return entries;
+}
+
+async function fsDeleteBlob(uid, blob) {
+  if (!blob) return;
+  await deleteByPrefix(["fs_chunk", uid, blob]);
+}
+
+// Usage is the total size of the user's files, trash included (versions are
+// free). It lives in ["fs_usage", uid], is recounted from the tree when
+// missing, and is checked against ["fs_quota", uid] or FS_QUOTA_BYTES.
+const DEFAULT_FS_QUOTA_BYTES = 1024 * 1024 * 1024;
+
+async function fsCapacity(uid) {
+  const r = await kv.get(["fs_quota", uid]);
+  return r.value ?? envNumber("FS_QUOTA_BYTES", DEFAULT_FS_QUOTA_BYTES);
+}
+
+async function fsSetCapacity(uid, capacity) {
+  // A number of bytes, or null to fall back to FS_QUOTA_BYTES
+  if (capacity === null) {
+    await kv.delete(["fs_quota", uid]);
+  } else if (Number.isInteger(capacity) && capacity >= 0) {
+    await kv.set(["fs_quota", uid], capacity);
+  } else {
+    return { error: "capacity must be a non-negative integer or null" };
+  }
+  return await fsSpace(uid);
+}
+
+async function fsTreeSize(uid, item) {
+  // Total size of the files in a looked-up item (a file or a whole directory)
+  if (item.type === "file") return item.value.size ?? 0;
+  let size = 0;
+  const queue = [item.value.uid];
+  while (queue.length) {
+    for (const { value } of await fsChildren(uid, queue.shift())) {
+      if (value.type === "dir") queue.push(value.uid);
+      else size += value.size ?? 0;
+    }
+  }
+  return size;
+}
+
+async function fsRecountUsage(uid) {
+  const root = await fsRoot(uid);
+  let used = await fsTreeSize(uid, { type: "dir", value: root });
+  for await (const entry of kv.list({ prefix: ["fs_trash", uid] })) {
+    const { value } = entry.value;
+    used += await fsTreeSize(uid, { type: value.type, value });
+  }
+  return used;
+}
+
+async function fsUsageEntry(uid) {
+  // The ["fs_usage", uid] entry, recounted first if it doesn't exist yet
+  const key = ["fs_usage", uid];
+  const cur = await kv.get(key);
+  if (cur.value !== null) return cur;
+  const used = await fsRecountUsage(uid);
+  await kv.atomic().check(cur).set(key, used).commit();
+  return await kv.get(key);
+}
+
+async function fsHasSpace(uid, bytes) {
+  if (bytes <= 0) return true;
+  const usage = await fsUsageEntry(uid);
+  return usage.value + bytes <= await fsCapacity(uid);
+}
+
+function fsStorageFull() {
+  return fsError("storage_limit_reached", "Storage capacity limit reached");
+}
+
+async function fsSpace(uid) {
+  // Same shape as puter.fs.space()
+  const usage = await fsUsageEntry(uid);
+  return { used: usage.value, capacity: await fsCapacity(uid) };
+}
+
+async function fsCommitFile(uid, dirUid, name, stored, size, options = {}) {
+  // Points a directory entry at a stored blob, atomically replacing the
+  // previous content (the file keeps its uid) and updating the owner's usage.
+  // Options: { overwrite = true, conditions? }. Returns the new metadata, or
+  // an error (and drops the blob) if the name belongs to a directory, is taken
+  // while overwrite is false, the quota would be exceeded or `conditions`
+  // ({ ifMatch, ifNoneMatch }) don't hold for the content being replaced.
+  const { overwrite = true, conditions } = options;
+  const key = ["fs_entry", uid, dirUid, name];
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    // The commit checks cur, so a name found free here is still free then
+    const cur = await kv.get(key);
+    if (cur.value && !overwrite) {
+      await fsDeleteBlob(uid, stored.blob);
+      return fsError(
+        "item_with_same_name_exists",
+        `An item with name '${name}' already exists`,
+      );
+    }
+    if (cur.value?.type === "dir") {
+      await fsDeleteBlob(uid, stored.blob);
+      return fsError(
+        "cannot_overwrite_a_directory",
+        `'${name}' is a directory and can't be overwritten by a file`,
+      );
+    }
+    if (conditions && fsPreconditionFailed(conditions, cur.value)) {
+      await fsDeleteBlob(uid, stored.blob);
+      return { error: "Precondition failed", status: 412 };
+    }
+    const usage = await fsUsageEntry(uid);
+    const delta = size - (cur.value?.size ?? 0);
+    if (delta > 0 && usage.value + delta > await fsCapacity(uid)) {
+      await fsDeleteBlob(uid, stored.blob);
+      return fsStorageFull();
+    }
+    const now = clock.now();
+    const meta = {
+      type: "file",
+      uid: cur.value?.uid ?? crypto.randomUUID(),
+      ctime: cur.value?.ctime ?? now,
+      mtime: now,
+      size,
+      blob: stored.blob,
+      chunks: stored.chunks,
+    };
+    const op = kv.atomic()
+      .check(cur)
+      .check(usage)
+      .set(key, meta)
+      .set(["fs_node", uid, meta.uid], { parent: dirUid, name })
+      .set(usage.key, usage.value + delta);
+    // The replaced content is kept as a version (see fsPruneVersions)
+    const version = cur.value && fsMaxVersions() > 0
+      ? fsVersionOf(cur.value, now)
+      : null;
+    if (version) op.set(["fs_version", uid, meta.uid, version.id], version);
+    const r = await op.commit();
+    if (r.ok) {
+      if (version) await fsPruneVersions(uid, meta.uid);
+      else await fsDeleteBlob(uid, cur.value?.blob);
+      return meta;
+    }
+    await kvBackoff(attempt);
+  }
+  await fsDeleteBlob(uid, stored.blob);
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function fsWrite(uid, path, contentBytes, options = {}) {
+  // Options: { overwrite = true, dedupeName = false, createMissingParents = false,
+  // conditions? } (conditions: see fsCommitFile)
+  options = { overwrite: true, ...options };
+  const parent = await fsPrepareParent(uid, path, options);
+  if (parent.error) return parent;
+  const target = await fsResolveTarget(uid, path, "file", options);
+  if (target.error) return target;
+  const fp = target.path;
+  // Refuse before storing anything; fsCommitFile re-checks atomically
+  const replaced = target.existing?.type === "file"
+    ? target.existing.value.size
+    : 0;
+  if (!(await fsHasSpace(uid, contentBytes.byteLength - replaced))) {
+    return fsStorageFull();
+  }
+  const stored = await fsStoreBlob(uid, contentBytes);
+  const meta = await fsCommitFile(
+    uid,
+    parent.value.uid,
+    baseNameOf(fp),
+    stored,
+    contentBytes.byteLength,
+    {
+      // A name picked as free (or by dedupeName) must still be free
+      overwrite: options.overwrite && !options.dedupeName,
+      conditions: options.conditions,
+    },
+  );
+  if (meta.error) return meta;
+  await publishEvents(uid, [
+    { type: "fs.write", path: fp, size: contentBytes.byteLength },
+  ]);
+  return { saved: true, path: fp, size: contentBytes.byteLength };
+}
+
+async function fsRead(uid, path) {
+  // Returns the file's metadata (without content) or null
+  const found = await fsLookup(uid, asFilePath(path));
+  if (found?.type !== "file") return null;
+  return found.value;
+}
+
+async function fsReadContent(uid, meta, start = 0, end = meta.size) {
+  // Returns bytes [start, end) of a file, fetching only the chunks that overlap
+  start = Math.max(0, start);
+  end = Math.min(meta.size, end);
+  const out = new Uint8Array(Math.max(0, end - start));
+  if (!out.length) return out;
+  if (meta.content) {
+    // Files written before chunked storage keep their bytes inline
+    out.set(new Uint8Array(meta.content).subarray(start, end));
+    return out;
+  }
+  const first = Math.floor(start / FS_CHUNK_SIZE);
+  const last = Math.floor((end - 1) / FS_CHUNK_SIZE);
+  const keys = [];
+  for (let i = first; i <= last; i++) {
+    keys.push(["fs_chunk", uid, meta.blob, i]);
+  }
+  const entries = await fsGetChunks(keys);
+  entries.forEach((entry, n) => {
+    const chunkStart = (first + n) * FS_CHUNK_SIZE;
+    if (!entry.value) throw fsContentChanged();
+    const bytes = entry.value;
+    const from = Math.max(start, chunkStart) - chunkStart;
+    const to = Math.min(end, chunkStart + bytes.length) - chunkStart;
+    out.set(bytes.subarray(from, to), chunkStart + from - start);
+  });
+  return out;
+}
+
+async function fsMkdir(uid, dirPath, options = {}) {
+  // Options: { overwrite = false, dedupeName = false, createMissingParents = false }
+  if (normalizePath(dirPath) === "/") {
+    return fsError("item_with_same_name_exists", "The root directory exists");
+  }
+  const parent = await fsPrepareParent(uid, dirPath, options);
+  if (parent.error) return parent;
+  const target = await fsResolveTarget(uid, dirPath, "dir", options);
+  if (target.error) return target;
+  // Overwriting a directory replaces it with an empty one
+  if (target.existing) {
+    const removed = await fsDelete(uid, target.path);
+    if (removed.error) return removed;
+  }
+  await fsMakeDir(uid, parent.value.uid, baseNameOf(target.path));
+  await publishEvents(uid, [
+    { type: "fs.mkdir", path: normalizePath(target.path) },
+  ]);
+  return { created: true, path: target.path };
+}
+
+async function fsChildren(uid, dirUid, options) {
+  // A directory's entries straight from the index, as Deno KV entries
+  // (the name is the last key part)
+  const entries = [];
+  for await (
+    const entry of kv.list({ prefix: ["fs_entry", uid, dirUid] }, options)
+  ) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+async function fsPurge(uid, top) {
+  // Permanently removes entries ({ key, value }, e.g. KV entries or lookups;
+  // key may be left out for items already unlinked) with everything below
+  // them, their versions and their blobs. The subtree is
+  // collected breadth-first through the index, then unlinked bottom-up so an
+  // interrupted purge never leaves unreachable entries. Each unlinking commit
+  // also subtracts the sizes of the files it removes from the owner's usage.
+  // Returns { removed } (the number of entries), or an error if a commit gave
+  // up; what is still linked then stays in place for another try.
+  const doomed = [...top];
+  const queue = top.filter((e) => e.value.type === "dir").map((e) =>
+    e.value.uid
+  );
+  while (queue.length) {
+    for (const entry of await fsChildren(uid, queue.shift())) {
+      doomed.push(entry);
+      if (entry.value.type === "dir") queue.push(entry.value.uid);
+    }
+  }
+  const perCommit = Math.floor(KV_BATCH_MAX / 2);
+  let unlinked = doomed.length;
+  let failed = null;
+  while (unlinked > 0 && !failed) {
+    const start = Math.max(0, unlinked - perCommit);
+    failed = await fsUnlink(uid, doomed.slice(start, unlinked));
+    if (!failed) unlinked = start;
+  }
+  for (const entry of doomed.slice(unlinked)) {
+    if (entry.value.type !== "file") continue;
+    await fsDeleteBlob(uid, entry.value.blob);
+    await fsDropVersions(uid, entry.value.uid);
+  }
+  return failed ?? { removed: doomed.length };
+}
+
+async function fsUnlink(uid, entries) {
+  // One of fsPurge's commits; returns null once it lands. If the usage entry
+  // stays contended for KV_CAS_MAX_ATTEMPTS, the last try drops it instead so
+  // the next read recounts it.
+  const freed = entries.reduce(
+    (n, e) => n + (e.value.type === "file" ? e.value.size ?? 0 : 0),
+    0,
+  );
+  for (let attempt = 0; attempt <= KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const op = kv.atomic();
+    for (const entry of entries) {
+      if (entry.key) op.delete(entry.key);
+      op.delete(["fs_node", uid, entry.value.uid]);
+    }
+    if (freed && attempt === KV_CAS_MAX_ATTEMPTS) {
+      op.delete(["fs_usage", uid]);
+    } else if (freed) {
+      const usage = await fsUsageEntry(uid);
+      op.check(usage).set(usage.key, Math.max(0, usage.value - freed));
+    }
+    if ((await op.commit()).ok) return null;
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function fsDelete(uid, path) {
+  // Permanently deletes a file, or a directory with everything below it.
+  // Deleting "/" empties the root directory.
+  const found = await fsLookup(uid, path);
+  if (!found) {
+    return {
+      deleted: true,
+      path: isDirPath(path) ? asDirPath(path) : asFilePath(path),
+    };
+  }
+  const event = { type: "fs.delete", path: normalizePath(found.path) };
+  const purged = await fsPurge(
+    uid,
+    found.key ? [found] : await fsChildren(uid, found.value.uid),
+  );
+  if (purged.error) return purged;
+  await publishEvents(uid, [event]);
+  if (found.type === "file") return { deleted: true, path: found.path };
+  return {
+    deleted: true,
+    path: found.path,
+    removedChildren: purged.removed - (found.key ? 1 : 0),
+  };
+}
+
+async function fsCopyFile(uid, meta, dirUid, name, overwrite = false) {
+  // Copies a file's contents into a directory through a cloned blob
+  const stored = meta.content
+    ? await fsStoreBlob(uid, new Uint8Array(meta.content))
+    : await fsCloneBlob(uid, meta);
+  const committed = await fsCommitFile(uid, dirUid, name, stored, meta.size, {
+    overwrite,
+  });
+  if (committed.error) return committed;
+  return { name };
+}
+
+async function fsResolveTransfer(uid, src, dest, options, verb) {
+  // Shared by copy and move: validates src/dest and resolves the final target.
+  // Returns { source, target, parent } (parent: the target directory's lookup)
+  // or an error result.
+  const source = await fsLookup(uid, src);
+  if (!source || source.path === "/") {
+    return fsError("subject_does_not_exist", `${src} does not exist`);
+  }
+
+  // Copy *into* dest when it's an existing dir, when newName is given, or when a
+  // file is copied to a path ending with "/"; otherwise dest is the target path.
+  if (options.newName && /[\\/]|^\.\.?$/.test(options.newName)) {
+    return fsError("invalid_file_name", `Invalid name: ${options.newName}`);
+  }
+  const destEntry = await fsLookup(uid, dest);
+  const into = Boolean(options.newName) || destEntry?.type === "dir" ||
+    (source.type === "file" && isDirPath(dest));
+  let targetPath = dest;
+  if (into) {
+    const dd = asDirPath(dest);
+    if (!destEntry) {
+      if (!options.createMissingParents) {
+        return fsError("dest_does_not_exist", `Directory ${dd} does not exist`);
+      }
+      const made = await fsMkdirp(uid, dd);
+      if (made.error) return made;
+    } else if (destEntry.type !== "dir") {
+      return fsError(
+        "dest_is_not_a_directory",
+        `${destEntry.path} is a file, not a directory`,
+      );
+    }
+    targetPath = dd + (options.newName || baseNameOf(source.path));
+  }
+  targetPath = source.type === "dir"
+    ? asDirPath(targetPath)
+    : asFilePath(targetPath);
+
+  if (targetPath === source.path) {
+    if (!options.dedupeName) {
+      return fsError(
+        "source_and_dest_are_the_same",
+        `Source and destination are the same: ${source.path}`,
+      );
+    }
+  } else if (source.type === "dir" && targetPath.startsWith(source.path)) {
+    return fsError(
+      `cannot_${verb}_item_into_itself`,
+      `Cannot ${verb} ${source.path} into itself`,
+    );
+  }
+
+  const parent = await fsPrepareParent(uid, targetPath, options);
+  if (parent.error) return parent;
+  const target = await fsResolveTarget(uid, targetPath, source.type, options);
+  if (target.error) return target;
+  return { source, target, parent };
+}
+
+async function fsCopyResolved(uid, { source, target, parent }) {
+  // Copies a looked-up source to a resolved target (see fsResolveTransfer).
+  // The target is only replaced once the copy exists, so a failed copy leaves
+  // it untouched.
+  const replaced = target.existing;
+  const name = baseNameOf(target.path);
+
+  // Source is file: its commit replaces the target's content
+  if (source.type === "file") {
+    const copied = await fsCopyFile(
+      uid,
+      source.value,
+      parent.value.uid,
+      name,
+      Boolean(replaced),
+    );
+    if (copied.error) return copied;
+    return { copied: true, from: source.path, to: target.path };
+  }
+
+  // Source is dir: mirror it breadth-first, one directory listing at a time,
+  // under a directory that isn't linked anywhere yet
+  const now = clock.now();
+  const root = {
+    type: "dir",
+    uid: crypto.randomUUID(),
+    ctime: now,
+    mtime: now,
+  };
+  const queue = [[source.value.uid, root.uid]];
+  try {
+    while (queue.length) {
+      const [from, to] = queue.shift();
+      for (const entry of await fsChildren(uid, from)) {
+        const childName = entry.key[3];
+        if (entry.value.type === "dir") {
+          const made = await fsMakeDir(uid, to, childName);
+          queue.push([entry.value.uid, made.uid]);
+        } else {
+          const copied = await fsCopyFile(uid, entry.value, to, childName);
+          if (copied.error) {
+            await fsPurge(uid, [{ value: root }]);
+            return copied;
+          }
+        }
+      }
+    }
+  } catch (err) {
+    // e.g. fsContentChanged from a source file deleted mid-copy
+    await fsPurge(uid, [{ value: root }]);
+    throw err;
+  }
+  // Then link it in place of the target in one commit, as fsMove does
+  const key = ["fs_entry", uid, parent.value.uid, name];
+  const op = kv.atomic()
+    .check(replaced ?? { key, versionstamp: null })
+    .set(key, root)
+    .set(["fs_node", uid, root.uid], { parent: parent.value.uid, name });
+  if (replaced) op.delete(["fs_node", uid, replaced.value.uid]);
+  if (!(await op.commit()).ok) {
+    await fsPurge(uid, [{ value: root }]);
+    return replaced
+      ? { error: "The target changed during the copy, try again", status: 409 }
+      : fsError(
+        "item_with_same_name_exists",
+        `An item with name '${name}' already exists`,
+      );
+  }
+  if (replaced) {
+    const purged = await fsPurge(uid, [{ value: replaced.value }]);
+    if (purged.error) return purged;
+  }
+  return { copied: true, from: source.path, to: target.path };
+}
+
+async function fsCopy(uid, src, dest, options = {}) {
+  // Options: { overwrite = false, dedupeName = false, createMissingParents = false, newName? }
+  const r = await fsResolveTransfer(uid, src, dest, options, "copy");
+  if (r.error) return r;
+  // A replaced file frees its space in the copy's commit; a replaced
+  // directory only once the new tree is in place, so it doesn't count here
+  const replaced = r.target.existing?.type === "file"
+    ? r.target.existing.value.size ?? 0
+    : 0;
+  if (!(await fsHasSpace(uid, await fsTreeSize(uid, r.source) - replaced))) {
+    return fsStorageFull();
+  }
+  const copied = await fsCopyResolved(uid, r);
+  if (copied.error) return copied;
+  const events = [];
+  if (r.target.existing) {
+    events.push({ type: "fs.delete", path: normalizePath(r.target.path) });
+  }
+  events.push({
+    type: "fs.copy",
+    from: normalizePath(copied.from),
+    to: normalizePath(copied.to),
+  });
+  await publishEvents(uid, events);
+  return copied;
+}
+
+async function fsMove(uid, src, dest, options = {}) {
+  // Options: { overwrite = false, dedupeName = false, createMissingParents = false, newName? }
+  // A move re-links one entry into its new directory atomically; a
+  // directory's contents hang off its uid and are never touched. An item it
+  // overwrites is unlinked in the same commit and only purged once the move
+  // has gone through, so a lost race never destroys it.
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const r = await fsResolveTransfer(uid, src, dest, options, "move");
+    if (r.error) return r;
+    const { source, target, parent } = r;
+    const replaced = target.existing;
+    const name = baseNameOf(target.path);
+    const key = ["fs_entry", uid, parent.value.uid, name];
+    const op = kv.atomic()
+      .check(source)
+      .check(replaced ?? { key, versionstamp: null })
+      .delete(source.key)
+      .set(key, source.value)
+      .set(["fs_node", uid, source.value.uid], {
+        parent: parent.value.uid,
+        name,
+      });
+    if (replaced) op.delete(["fs_node", uid, replaced.value.uid]);
+    const res = await op.commit();
+    if (res.ok) {
+      const events = [];
+      if (replaced) {
+        events.push({ type: "fs.delete", path: normalizePath(replaced.path) });
+      }
+      events.push({
+        type: "fs.move",
+        from: normalizePath(source.path),
+        to: normalizePath(target.path),
+      });
+      await publishEvents(uid, events);
+      // The replaced item's entry now belongs to the moved one
+      const purged = replaced &&
+        await fsPurge(uid, [{ value: replaced.value }]);
+      if (purged?.error) return purged;
+      return { moved: true, from: source.path, to: target.path };
+    }
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function fsIsEmpty(uid, dirUid) {
+  return (await fsChildren(uid, dirUid, { limit: 1 })).length === 0;
+}
+
+function fsEntry(owner, path, value, parentUid) {
+  // Puter-shaped entry, as returned by puter.fs.stat() and readdir()
+  const p = normalizePath(path);
+  const isDir = value.type === "dir";
+  const seconds = (ms) => (ms ? Math.floor(ms / 1000) : null);
+  return {
+    id: value.uid,
+    uid: value.uid,
+    name: p === "/" ? "" : baseNameOf(p),
+    path: p,
+    dirname: p === "/" ? null : normalizePath(parentDirOf(p)),
+    parent_uid: parentUid ?? null,
+    is_dir: isDir,
+    type: isDir ? null : mimeTypeOf(p).split(";")[0],
+    size: isDir ? null : value.size ?? 0,
+    created: seconds(value.ctime),
+    modified: seconds(value.mtime),
+    accessed: seconds(value.mtime),
+    immutable: p === "/",
+    is_shortcut: false,
+    owner: { username: owner },
+  };
+}
+
+async function fsStatEntry(uid, path) {
+  // Looks up path; returns a Puter-shaped entry or an error
+  const found = await fsLookup(uid, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  const entry = fsEntry(uid, found.path, found.value, found.key?.[2]);
+  if (entry.is_dir) entry.is_empty = await fsIsEmpty(uid, found.value.uid);
+  return entry;
+}
+
+async function fsList(uid, dirPath, { depth = 1 } = {}) {
+  // Lists a directory's entries down to `depth` levels (1 = immediate
+  // children, Infinity = the whole subtree), sorted by path
+  const dir = await fsLookup(uid, dirPath || "/");
+  if (!dir) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(dirPath)} does not exist`,
+    );
+  }
+  if (dir.type !== "dir") {
+    return fsError(
+      "subject_is_not_a_directory",
+      `${dir.path} is a file, not a directory`,
+    );
+  }
+
+  // One index read per listed directory; directories on the last level only
+  // get a one-key probe for is_empty
+  const items = [];
+  let level = [{ path: dir.path, uid: dir.value.uid }];
+  for (let d = 1; level.length; d++) {
+    const next = [];
+    for (const parent of level) {
+      const children = await fsChildren(uid, parent.uid);
+      if (parent.entry) parent.entry.is_empty = children.length === 0;
+      for (const { key, value } of children) {
+        const path = parent.path + key[3] + (value.type === "dir" ? "/" : "");
+        const entry = fsEntry(uid, path, value, parent.uid);
+        items.push(entry);
+        if (value.type !== "dir") continue;
+        if (d < depth) next.push({ path, uid: value.uid, entry });
+        else entry.is_empty = await fsIsEmpty(uid, value.uid);
+      }
+    }
+    level = next;
+  }
+  return items.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+async function fsRename(uid, path, newName) {
+  // Renames an item in place, keeping its uid and timestamps
+  const source = await fsLookup(uid, path);
+  if (!source) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  if (source.path === "/") {
+    return fsError(
+      "cannot_write_to_root",
+      "The root directory can't be renamed",
+    );
+  }
+  return await fsMove(uid, source.path, parentDirOf(source.path), { newName });
+}
+
+// ------------------------------
+// FS trash and versions
+// ------------------------------
+//
+// Deleting through /api/fs/delete moves an item to the owner's trash:
+//   ["fs_trash", uid, itemUid] = { value, path, deleted_at }
+// Only the entry moves out of its directory; a trashed directory's contents stay
+// linked to its uid, so trashing and restoring are single atomic operations
+// like moves. Shares and public links of trashed items stop resolving until
+// the item is restored. permanent=true and /api/fs/trash/empty purge for good.
+//
+// Overwriting a file keeps the replaced content as a version:
+//   ["fs_version", uid, fileUid, id] = { id, size, mtime, replaced_at, blob, chunks }
+// ids sort by age; only the newest FS_MAX_VERSIONS (default 10, 0 disables)
+// are kept. Restoring a version turns the current content into a version too.
+
+function fsMaxVersions() {
+  return Math.max(0, envNumber("FS_MAX_VERSIONS", 10));
+}
+
+function fsVersionOf(meta, replacedAt) {
+  // A version record for a file's current content; ids sort by age
+  const version = {
+    id: `${String(replacedAt).padStart(15, "0")}-${newToken().slice(0, 8)}`,
+    size: meta.size,
+    mtime: meta.mtime,
+    replaced_at: replacedAt,
+    blob: meta.blob ?? null,
+    chunks: meta.chunks ?? 0,
+  };
+  if (meta.content) version.content = meta.content;
+  return version;
+}
+
+async function fsVersions(uid, fileUid) {
+  // Version entries oldest first
+  const entries = [];
+  for await (const entry of kv.list({ prefix: ["fs_version", uid, fileUid] })) {
+    entries.push(entry);
+  }
+  return entries;
+}
+
+async function fsPruneVersions(uid, fileUid) {
+  const entries = await fsVersions(uid, fileUid);
+  const excess = entries.slice(
+    0,
+    Math.max(0, entries.length - fsMaxVersions()),
+  );
+  for (const entry of excess) {
+    await kv.delete(entry.key);
+    await fsDeleteBlob(uid, entry.value.blob);
+  }
+}
+
+async function fsDropVersions(uid, fileUid) {
+  for (const entry of await fsVersions(uid, fileUid)) {
+    await kv.delete(entry.key);
+    await fsDeleteBlob(uid, entry.value.blob);
+  }
+}
+
+async function fsLookupFile(uid, path) {
+  const found = await fsLookup(uid, path);
+  if (found?.type === "file") return found;
+  return fsError(
+    "subject_does_not_exist",
+    `File ${asFilePath(path)} does not exist`,
+  );
+}
+
+async function fsListVersions(uid, path) {
+  const found = await fsLookupFile(uid, path);
+  if (found.error) return found;
+  const entries = await fsVersions(uid, found.value.uid);
+  const versions = entries.reverse().map(({ value }) => ({
+    id: value.id,
+    size: value.size,
+    mtime: value.mtime,
+    replaced_at: value.replaced_at,
+  }));
+  return { path: found.path, versions };
+}
+
+async function fsReadVersion(uid, path, id) {
+  // Returns { path, version } (version usable with fsReadContent) or an error
+  const found = await fsLookupFile(uid, path);
+  if (found.error) return found;
+  const r = await kv.get(["fs_version", uid, found.value.uid, String(id)]);
+  if (!r.value) {
+    return fsError("subject_does_not_exist", `Version ${id} does not exist`);
+  }
+  return { path: found.path, version: r.value };
+}
+
+async function fsRestoreVersion(uid, path, id) {
+  const r = await fsReadVersion(uid, path, id);
+  if (r.error) return r;
+  const found = await fsLookupFile(uid, r.path);
+  if (found.error) return found;
+  const stored = r.version.content
+    ? await fsStoreBlob(uid, new Uint8Array(r.version.content))
+    : await fsCloneBlob(uid, r.version);
+  const meta = await fsCommitFile(
+    uid,
+    found.key[2],
+    baseNameOf(found.path),
+    stored,
+    r.version.size,
+  );
+  if (meta.error) return meta;
+  await publishEvents(uid, [
+    { type: "fs.write", path: r.path, size: meta.size },
+  ]);
+  return {
+    restored: true,
+    path: r.path,
+    version: r.version.id,
+    size: meta.size,
+  };
+}
+
+async function fsTrash(uid, path) {
+  // Moves an item to the trash; trashing "/" trashes each of its children
+  const found = await fsLookup(uid, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  const items = found.key
+    ? [found]
+    : (await fsChildren(uid, found.value.uid)).map((entry) => ({
+      ...entry,
+      path: "/" + entry.key[3] + (entry.value.type === "dir" ? "/" : ""),
+    }));
+  let trashed = 0;
+  for (const item of items) {
+    const r = await kv.atomic()
+      .check(item)
+      .delete(item.key)
+      .set(["fs_trash", uid, item.value.uid], {
+        value: item.value,
+        path: item.path,
+        deleted_at: clock.now(),
+      })
+      // Cuts the item (and so its subtree) off from fsLookupUid
+      .set(["fs_node", uid, item.value.uid], { trash: true })
+      .commit();
+    if (r.ok) trashed++;
+  }
+  await publishEvents(uid, [
+    { type: "fs.delete", path: normalizePath(found.path), trashed: true },
+  ]);
+  return { trashed: true, path: found.path, items: trashed };
+}
+
+async function fsListTrash(uid) {
+  const items = [];
+  for await (const entry of kv.list({ prefix: ["fs_trash", uid] })) {
+    const { value, path, deleted_at } = entry.value;
+    items.push({
+      ...fsEntry(uid, path, value),
+      original_path: normalizePath(path),
+      deleted_at,
+    });
+  }
+  return items.sort((a, b) => b.deleted_at - a.deleted_at);
+}
+
+async function fsRestore(uid, itemUid, options = {}) {
+  // Puts a trashed item back at its original path (or options.path).
+  // Options: { path?, overwrite = false, dedupeName = false, createMissingParents = true }
+  options = { createMissingParents: true, ...options };
+  const r = await kv.get(["fs_trash", uid, String(itemUid)]);
+  if (!r.value) {
+    return fsError("subject_does_not_exist", `${itemUid} is not in the trash`);
+  }
+  const { value, path } = r.value;
+  const dest = options.path || path;
+  const parent = await fsPrepareParent(uid, dest, options);
+  if (parent.error) return parent;
+  const target = await fsResolveTarget(uid, dest, value.type, options);
+  if (target.error) return target;
+  if (target.existing) {
+    const removed = await fsDelete(uid, target.existing.path);
+    if (removed.error) return removed;
+  }
+  const name = baseNameOf(target.path);
+  const key = ["fs_entry", uid, parent.value.uid, name];
+  const res = await kv.atomic()
+    .check(r)
+    .check({ key, versionstamp: null })
+    .delete(r.key)
+    .set(key, value)
+    .set(["fs_node", uid, value.uid], { parent: parent.value.uid, name })
+    .commit();
+  if (!res.ok) {
+    return fsError(
+      "item_with_same_name_exists",
+      `An item with name '${name}' already exists`,
+    );
+  }
+  await publishEvents(uid, [
+    { type: "fs.restore", path: normalizePath(target.path) },
+  ]);
+  return { restored: true, path: target.path };
+}
+
+async function fsEmptyTrash(uid) {
+  const entries = [];
+  for await (const entry of kv.list({ prefix: ["fs_trash", uid] })) {
+    entries.push({ key: entry.key, value: entry.value.value });
+  }
+  const purged = await fsPurge(uid, entries);
+  if (purged.error) return purged;
+  return { emptied: true, items: entries.length, removed: purged.removed };
+}
+
+// ------------------------------
+// FS search
+// ------------------------------
+//
+// fsSearch walks a directory depth-first through the index, children in name
+// order, and returns list-shaped entries that pass every given filter:
+// - name: case-insensitive substring, glob: case-insensitive "*"/"?" pattern (both on the name)
+// - type: "file" | "dir", mime: glob on the MIME type (e.g. "image/*")
+// - minSize / maxSize in bytes (files only)
+// - modifiedAfter / modifiedBefore in epoch seconds, like the entries' `modified`
+// - content: case-insensitive substring of text files up to FS_SEARCH_CONTENT_MAX_BYTES
+// Pages end with a cursor naming the last returned path; the next page resumes
+// after it without descending into directories that lie entirely before it.
+
+const FS_SEARCH_CONTENT_MAX_BYTES = 1024 * 1024;
+const FS_SEARCH_MAX_LIMIT = 1000;
+const FS_TEXT_MIME_TYPES = new Set([
+  "application/json",
+  "application/xml",
+  "image/svg+xml",
+]);
+
+function fsComparePaths(a, b) {
+  // Depth-first order over name-sorted children: compares component by
+  // component, and a directory sorts right before its contents
+  const pa = a.split("/").filter(Boolean);
+  const pb = b.split("/").filter(Boolean);
+  for (let i = 0; i < Math.min(pa.length, pb.length); i++) {
+    if (pa[i] !== pb[i]) return pa[i] < pb[i] ? -1 : 1;
+  }
+  return pa.length - pb.length;
+}
+
+function fsSearchFilter(query) {
+  // Returns a synchronous predicate over entries (content is checked separately)
+  const name = query.name?.toLowerCase();
+  const glob = query.glob
+    ? new RegExp(globToRegExp(query.glob).source, "i")
+    : null;
+  const mime = query.mime ? globToRegExp(query.mime) : null;
+  const sized = query.minSize !== undefined || query.maxSize !== undefined;
+  return (entry) => {
+    if (name && !entry.name.toLowerCase().includes(name)) return false;
+    if (glob && !glob.test(entry.name)) return false;
+    if (query.type === "file" && entry.is_dir) return false;
+    if (query.type === "dir" && !entry.is_dir) return false;
+    if (mime && !(entry.type && mime.test(entry.type))) return false;
+    if (sized && entry.size === null) return false;
+    if (query.minSize !== undefined && entry.size < query.minSize) return false;
+    if (query.maxSize !== undefined && entry.size > query.maxSize) return false;
+    if (
+      query.modifiedAfter !== undefined &&
+      !(entry.modified > query.modifiedAfter)
+    ) return false;
+    if (
+      query.modifiedBefore !== undefined &&
+      !(entry.modified < query.modifiedBefore)
+    ) return false;
+    return true;
+  };
+}
+
+async function fsContentMatches(uid, entry, value, needle) {
+  if (entry.is_dir || value.size > FS_SEARCH_CONTENT_MAX_BYTES) return false;
+  if (!entry.type.startsWith("text/") && !FS_TEXT_MIME_TYPES.has(entry.type)) {
+    return false;
+  }
+  const text = new TextDecoder().decode(await fsReadContent(uid, value));
+  return text.toLowerCase().includes(needle.toLowerCase());
+}
+
+async function fsSearch(uid, dirPath, query = {}) {
+  // query: filters (see above) plus { limit = 50, after? }.
+  // Returns { items, cursor } where cursor is null on the last page.
+  const dir = await fsLookup(uid, dirPath || "/");
+  if (!dir) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(dirPath)} does not exist`,
+    );
+  }
+  if (dir.type !== "dir") {
+    return fsError(
+      "subject_is_not_a_directory",
+      `${dir.path} is a file, not a directory`,
+    );
+  }
+  const limit = Math.min(query.limit ?? 50, FS_SEARCH_MAX_LIMIT);
+  const after = query.after ?? null;
+  const filter = fsSearchFilter(query);
+
+  const sortedChildren = async (parent) =>
+    (await fsChildren(uid, parent.uid))
+      .sort((a, b) => (a.key[3] < b.key[3] ? -1 : a.key[3] > b.key[3] ? 1 : 0))
+      .map(({ key, value }) => ({
+        path: parent.path + key[3] + (value.type === "dir" ? "/" : ""),
+        value,
+        parentUid: parent.uid,
+      }));
+
+  const items = [];
+  const stack = (await sortedChildren({ path: dir.path, uid: dir.value.uid }))
+    .reverse();
+  while (stack.length) {
+    const { path, value, parentUid } = stack.pop();
+    const order = after === null ? 1 : fsComparePaths(path, after);
+    // The cursor's own directory and its ancestors still have items after it
+    const isAncestor = value.type === "dir" && after !== null &&
+      (normalizePath(after) + "/").startsWith(path);
+    if (order <= 0 && !isAncestor) continue;
+
+    const entry = fsEntry(uid, path, value, parentUid);
+    if (value.type === "dir") {
+      const children = await sortedChildren({ path, uid: value.uid });
+      entry.is_empty = children.length === 0;
+      stack.push(...children.reverse());
+    }
+    if (order <= 0 || !filter(entry)) continue;
+    if (
+      query.content &&
+      !(await fsContentMatches(uid, entry, value, query.content))
+    ) {
+      continue;
+    }
+    if (items.length === limit) {
+      // Another match exists past this page: resume after the last returned item
+      return { items, cursor: items[items.length - 1].path };
+    }
+    items.push(entry);
+  }
+  return { items, cursor: null };
+}
+
+// ------------------------------
+// FS zip archives
+// ------------------------------
+//
+// Export streams a directory subtree as a zip: every file is read chunk by
+// chunk, deflated on the fly and followed by a data descriptor, so nothing is
+// buffered beyond one chunk. Import takes a zip (stored or deflated entries)
+// and checks every entry before writing anything (names, checksums, clashes
+// with existing items under the overwrite/dedupeName rules, the quota for the
+// whole archive), then extracts the checked contents through fsMkdirp/fsWrite.
+// Inflated data is only held as it arrives, and a deflated entry claiming more
+// than ZIP_MAX_RATIO times its compressed size is refused. If a concurrent
+// change still makes an entry fail, the error reports what was saved so far.
+// Zip64 and encrypted archives aren't supported.
+
+const ZIP_MAX_ENTRIES = 0xffff;
+const ZIP_MAX_BYTES = 0xffffffff;
+const ZIP_MAX_RATIO = 1032; // deflate can't expand data further
+const ZIP_UTF8_NAMES = 0x0800;
+const ZIP_DATA_DESCRIPTOR = 0x0008;
+
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0) {
+  // Pass the previous result as crc to continue over several buffers
+  crc = ~crc >>> 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return ~crc >>> 0;
+}
+
+function zipDosTime(ms) {
+  // MS-DOS date/time fields (UTC, 2-second resolution, years 1980..2107)
+  const d = new Date(Math.max(ms || 0, Date.UTC(1980, 0, 1)));
+  return {
+    time: (d.getUTCHours() << 11) | (d.getUTCMinutes() << 5) |
+      (d.getUTCSeconds() >> 1),
+    date: ((Math.min(d.getUTCFullYear(), 2107) - 1980) << 9) |
+      ((d.getUTCMonth() + 1) << 5) | d.getUTCDate(),
+  };
+}
+
+function zipRecord(signature, fields, name = new Uint8Array()) {
+  // fields: [[byteWidth (2 | 4), value], ...] written little-endian after the
+  // signature, followed by the file name
+  const size = 4 + fields.reduce((n, [width]) => n + width, 0);
+  const out = new Uint8Array(size + name.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, signature, true);
+  let pos = 4;
+  for (const [width, value] of fields) {
+    if (width === 2) view.setUint16(pos, value, true);
+    else view.setUint32(pos, value, true);
+    pos += width;
+  }
+  out.set(name, size);
+  return out;
+}
+
+async function* fsZipParts(uid, rootPath, items) {
+  // Yields the archive's bytes: local header, deflated data and descriptor
+  // per file, then the central directory
+  const central = [];
+  let offset = 0;
+  for (const item of items) {
+    const meta = item.is_dir ? null : await fsRead(uid, item.path);
+    // Skip files removed since the listing
+    if (!item.is_dir && !meta) continue;
+    const name = new TextEncoder().encode(
+      item.path.slice(rootPath.length) + (item.is_dir ? "/" : ""),
+    );
+    const { time, date } = zipDosTime(
+      item.is_dir ? item.modified * 1000 : meta.mtime,
+    );
+    const flags = ZIP_UTF8_NAMES | (item.is_dir ? 0 : ZIP_DATA_DESCRIPTOR);
+    const method = item.is_dir ? 0 : 8;
+    const header = zipRecord(0x04034b50, [
+      [2, 20],
+      [2, flags],
+      [2, method],
+      [2, time],
+      [2, date],
+      [4, 0],
+      [4, 0],
+      [4, 0],
+      [2, name.length],
+      [2, 0],
+    ], name);
+    yield header;
+
+    let crc = 0;
+    let compressed = 0;
+    if (meta) {
+      const data = fsContentStream(uid, meta, 0, meta.size)
+        .pipeThrough(
+          new TransformStream({
+            transform(chunk, controller) {
+              crc = crc32(chunk, crc);
+              controller.enqueue(chunk);
+            },
+          }),
+        )
+        .pipeThrough(new CompressionStream("deflate-raw"));
+      for await (const chunk of data) {
+        compressed += chunk.length;
+        yield chunk;
+      }
+      yield zipRecord(0x08074b50, [[4, crc], [4, compressed], [4, meta.size]]);
+    }
+    central.push(zipRecord(0x02014b50, [
+      [2, 20],
+      [2, 20],
+      [2, flags],
+      [2, method],
+      [2, time],
+      [2, date],
+      [4, crc],
+      [4, compressed],
+      [4, meta?.size ?? 0],
+      [2, name.length],
+      [2, 0],
+      [2, 0],
+      [2, 0],
+      [2, 0],
+      // MS-DOS directory attribute
+      [4, item.is_dir ? 0x10 : 0],
+      [4, offset],
+    ], name));
+    offset += header.length + compressed + (meta ? 16 : 0);
+    if (offset > ZIP_MAX_BYTES) throw new Error("Archive exceeds 4 GiB");
+  }
+  const size = central.reduce((n, record) => n + record.length, 0);
+  yield* central;
+  yield zipRecord(0x06054b50, [
+    [2, 0],
+    [2, 0],
+    [2, central.length],
+    [2, central.length],
+    [4, size],
+    [4, offset],
+    [2, 0],
+  ]);
+}
+
+async function fsZip(uid, dirPath) {
+  // Returns { name, stream } for a directory subtree, or an error
+  const items = await fsList(uid, dirPath, { depth: Infinity });
+  if (items.error) return items;
+  const total = items.reduce((n, item) => n + (item.size ?? 0), 0);
+  if (items.length > ZIP_MAX_ENTRIES || total > ZIP_MAX_BYTES) {
+    return { error: "Too large for a zip archive", status: 413 };
+  }
+  const rootPath = asDirPath(normalizePath(dirPath));
+  return {
+    name: baseNameOf(rootPath) || "files",
+    stream: ReadableStream.from(fsZipParts(uid, rootPath, items)),
+  };
+}
+
+function parseZip(bytes) {
+  // Reads the central directory; returns { entries } with each entry's path
+  // parts, or an invalid_archive / invalid_file_name error
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const invalid = (message) => fsError("invalid_archive", message);
+  let eocd = -1;
+  for (
+    let i = bytes.length - 22;
+    i >= Math.max(0, bytes.length - 22 - 0xffff);
+    i--
+  ) {
+    if (view.getUint32(i, true) === 0x06054b50) {
+      eocd = i;
+      break;
+    }
+  }
+  if (eocd < 0) return invalid("Not a zip archive");
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || pos === 0xffffffff) {
+    return invalid("Zip64 archives are not supported");
+  }
+
+  const entries = [];
+  for (let n = 0; n < count; n++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014b50) {
+      return invalid("Corrupt central directory");
+    }
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const name = new TextDecoder().decode(
+      bytes.subarray(pos + 46, pos + 46 + nameLength),
+    );
+    const entry = {
+      name,
+      method,
+      crc: view.getUint32(pos + 16, true),
+      compressedSize: view.getUint32(pos + 20, true),
+      size: view.getUint32(pos + 24, true),
+      isDir: name.endsWith("/") || name.endsWith("\\"),
+    };
+    const local = view.getUint32(pos + 42, true);
+    pos += 46 + nameLength + view.getUint16(pos + 30, true) +
+      view.getUint16(pos + 32, true);
+
+    if (flags & 0x0001) return invalid(`${name} is encrypted`);
+    if (method !== 0 && method !== 8) {
+      return invalid(`${name} uses an unsupported compression method`);
+    }
+    // Absolute paths, drive letters and ".." segments would escape the target
+    const parts = name.split(/[\\/]/).filter((p) => p && p !== ".");
+    if (
+      /^[\\/]/.test(name) || /^[a-zA-Z]:/.test(name) || parts.includes("..")
+    ) {
+      return fsError("invalid_file_name", `Unsafe path in archive: ${name}`);
+    }
+    if (!parts.length) continue;
+    entry.parts = parts;
+
+    if (
+      local + 30 > bytes.length || view.getUint32(local, true) !== 0x04034b50
+    ) {
+      return invalid(`Corrupt local header for ${name}`);
+    }
+    entry.start = local + 30 + view.getUint16(local + 26, true) +
+      view.getUint16(local + 28, true);
+    if (entry.start + entry.compressedSize > bytes.length) {
+      return invalid(`${name} is truncated`);
+    }
+    entries.push(entry);
+  }
+  return { entries };
+}
+
+async function zipEntryContent(bytes, entry) {
+  // Inflates an entry, refusing output past its declared size, and checks the
+  // CRC. The declared size allocates nothing by itself: output is collected
+  // as it is inflated.
+  const raw = bytes.subarray(entry.start, entry.start + entry.compressedSize);
+  let out = raw;
+  if (entry.method === 8) {
+    if (entry.size > Math.max(1, raw.length) * ZIP_MAX_RATIO) return null;
+    const parts = [];
+    let length = 0;
+    try {
+      const inflated = new Blob([raw]).stream()
+        .pipeThrough(new DecompressionStream("deflate-raw"));
+      for await (const chunk of inflated) {
+        length += chunk.length;
+        if (length > entry.size) return null;
+        parts.push(chunk);
+      }
+    } catch {
+      return null;
+    }
+    if (length !== entry.size) return null;
+    out = new Uint8Array(await new Blob(parts).arrayBuffer());
+  }
+  if (out.length !== entry.size || crc32(out) !== entry.crc) return null;
+  return out;
+}
+
+async function fsUnzipCheck(uid, dirPath, bytes, archive, options) {
+  // Everything fsUnzip can check before writing: each entry inflates to its
+  // checksum, no entry clashes with an existing item or another entry (unless
+  // overwrite/dedupeName allow it), and the whole archive fits the quota.
+  // Returns { contents } (a Map from file entry to its inflated bytes) or an
+  // error.
+  const contents = new Map();
+  const lookups = new Map();
+  const lookup = (path) => {
+    if (!lookups.has(path)) lookups.set(path, fsLookup(uid, path));
+    return lookups.get(path);
+  };
+  const planned = new Map(); // path => "dir" or the file's size
+  const capacity = await fsCapacity(uid);
+  const clash = (name, what) =>
+    fsError("item_with_same_name_exists", `${what} '${name}' already exists`);
+  let added = 0;
+  for (const entry of archive.entries) {
+    const name = entry.parts.at(-1);
+    for (let i = 1; i < entry.parts.length; i++) {
+      const dir = dirPath + entry.parts.slice(0, i).join("/");
+      const existing = await lookup(dir);
+      if (
+        (planned.has(dir) && planned.get(dir) !== "dir") ||
+        (!planned.has(dir) && existing?.type === "file")
+      ) {
+        return fsError(
+          "dest_is_not_a_directory",
+          `${dir} is a file, not a directory`,
+        );
+      }
+      planned.set(dir, "dir");
+    }
+    const path = dirPath + entry.parts.join("/");
+    const existing = planned.has(path)
+      ? { type: planned.get(path) === "dir" ? "dir" : "file" }
+      : await lookup(path);
+    if (entry.isDir) {
+      if (existing?.type === "file") {
+        return clash(name, "A file with name");
+      }
+      planned.set(path, "dir");
+      continue;
+    }
+    if (existing && !options.dedupeName) {
+      if (!options.overwrite) return clash(name, "An item with name");
+      if (existing.type === "dir") {
+        return fsError(
+          "cannot_overwrite_a_directory",
+          `'${name}' is a directory and can't be overwritten by a file`,
+        );
+      }
+      added -= planned.get(path) ?? existing.value.size ?? 0;
+    }
+    added += entry.size;
+    // Don't inflate what could never be stored
+    if (added > capacity) return fsStorageFull();
+    const content = await zipEntryContent(bytes, entry);
+    if (!content) {
+      return fsError("invalid_archive", `${entry.name} is corrupt`);
+    }
+    contents.set(entry, content);
+    if (!options.dedupeName || !existing) planned.set(path, entry.size);
+  }
+  if (!(await fsHasSpace(uid, added))) return fsStorageFull();
+  return { contents };
+}
+
+async function fsUnzip(uid, dirPath, bytes, options = {}) {
+  // Extracts a zip into dirPath. Options as for fsWrite; with
+  // createMissingParents the target directory is created too.
+  // Returns { path, saved, dirs }, or an error (with saved and dirs when an
+  // entry failed after others were written).
+  const archive = parseZip(bytes);
+  if (archive.error) return archive;
+  let target = await fsLookup(uid, dirPath || "/");
+  if (target?.type === "file") {
+    return fsError(
+      "dest_is_not_a_directory",
+      `${target.path} is a file, not a directory`,
+    );
+  }
+  if (!target) {
+    if (!options.createMissingParents) {
+      return fsError(
+        "dest_does_not_exist",
+        `Directory ${asDirPath(normalizePath(dirPath))} does not exist`,
+      );
+    }
+    target = await fsMkdirp(uid, dirPath);
+    if (target.error) return target;
+  }
+
+  const checked = await fsUnzipCheck(uid, target.path, bytes, archive, {
+    overwrite: true,
+    ...options,
+  });
+  if (checked.error) return checked;
+
+  const saved = [];
+  const dirs = [];
+  for (const entry of archive.entries) {
+    const path = target.path + entry.parts.join("/");
+    if (entry.isDir) {
+      const dir = await fsMkdirp(uid, path);
+      if (dir.error) return { ...dir, saved, dirs };
+      dirs.push(path);
+      continue;
+    }
+    const content = checked.contents.get(entry);
+    checked.contents.delete(entry);
+    const r = await fsWrite(uid, path, content, {
+      ...options,
+      createMissingParents: true,
+    });
+    if (r.error) return { ...r, saved, dirs };
+    saved.push({ ...r, type: mimeTypeOf(r.path) });
+  }
+  return { path: target.path, saved, dirs };
+}
+
+// ------------------------------
+// FS sharing
+// ------------------------------
+//
+// Owners grant other users "read" or "write" access to a file or directory:
+// - ["fs_share", owner, itemUid, grantee] = { access, created_at }
+// - ["fs_shared_with", grantee, owner, itemUid] mirrors it for "shared with me"
+// Grants are keyed by item uid, so they follow the item through renames and
+// moves. A grant on a directory covers everything below it; "write" implies "read".
+//
+// FS routes take an optional `owner` (username) to address another user's files.
+// Without a covering grant they answer 403, even for paths that don't exist, so
+// grantees can't probe outside what was shared. Copies and moves stay within
+// one owner's files.
+
+const FS_ACCESS_LEVELS = { read: 1, write: 2 };
+
+async function fsGrantFor(owner, path, user) {
+  // Strongest access user holds on path through a grant on it or an ancestor.
+  // The walk stops where the path stops existing, so a directory grant also
+  // covers items about to be created inside it.
+  const root = (await kv.get(["fs_root", owner])).value;
+  if (!root) return null;
+  const uids = [root.uid];
+  let cur = root;
+  for (const name of normalizePath(path).split("/").filter(Boolean)) {
+    if (cur.type !== "dir") break;
+    const r = await kv.get(["fs_entry", owner, cur.uid, name]);
+    if (!r.value) break;
+    uids.push(r.value.uid);
+    cur = r.value;
+  }
+  let best = null;
+  for (let i = 0; i < uids.length; i += 10) {
+    const grants = await kv.getMany(
+      uids.slice(i, i + 10).map((id) => ["fs_share", owner, id, user]),
+    );
+    for (const { value } of grants) {
+      const level = FS_ACCESS_LEVELS[value?.access] ?? 0;
+      if (level > (FS_ACCESS_LEVELS[best] ?? 0)) best = value.access;
+    }
+  }
+  return best;
+}
+
+async function fsAuthorize(uid, owner, checks) {
+  // checks: [[path, "read" | "write"], ...] against owner's files.
+  // Returns null when uid may proceed, otherwise a 403 error.
+  if (owner === uid) return null;
+  for (const [path, access] of checks) {
+    const granted = await fsGrantFor(owner, path, uid);
+    if ((FS_ACCESS_LEVELS[granted] ?? 0) < FS_ACCESS_LEVELS[access]) {
+      return fsError("forbidden", "Permission denied");
+    }
+  }
+  return null;
+}
+
+async function fsShare(owner, path, grantee, access) {
+  if (!FS_ACCESS_LEVELS[access]) {
+    return { error: "access must be 'read' or 'write'", status: 400 };
+  }
+  if (grantee === owner) {
+    return { error: "You can't share with yourself", status: 400 };
+  }
+  if (!(await getUser(grantee))) {
+    return { error: "User not found", status: 404 };
+  }
+  const found = await fsLookup(owner, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  const grant = { access, created_at: clock.now() };
+  await kv.atomic()
+    .set(["fs_share", owner, found.value.uid, grantee], grant)
+    .set(["fs_shared_with", grantee, owner, found.value.uid], grant)
+    .commit();
+  return { shared: true, path: found.path, username: grantee, access };
+}
+
+async function fsUnshare(owner, path, grantee) {
+  const found = await fsLookup(owner, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  await kv.atomic()
+    .delete(["fs_share", owner, found.value.uid, grantee])
+    .delete(["fs_shared_with", grantee, owner, found.value.uid])
+    .commit();
+  return { unshared: true, path: found.path, username: grantee };
+}
+
+async function fsSharesOf(owner, path) {
+  // Who an item is shared with (grants on ancestors are not included)
+  const found = await fsLookup(owner, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  const shares = [];
+  const iter = kv.list({ prefix: ["fs_share", owner, found.value.uid] });
+  for await (const entry of iter) {
+    shares.push({ username: entry.key[3], ...entry.value });
+  }
+  return { path: found.path, shares };
+}
+
+async function fsSharedWith(user) {
+  // Puter-shaped entries for everything shared with user, plus the access
+  // granted. Grants on purged items are dropped as they're found.
+  const items = [];
+  for await (const entry of kv.list({ prefix: ["fs_shared_with", user] })) {
+    const [, , owner, itemUid] = entry.key;
+    const found = await fsLookupUid(owner, itemUid);
+    if (!found) {
+      // Trashed items keep their node link and may come back
+      if ((await kv.get(["fs_node", owner, itemUid])).value) continue;
+      await kv.atomic()
+        .delete(entry.key)
+        .delete(["fs_share", owner, itemUid, user])
+        .commit();
+      continue;
+    }
+    items.push({
+      ...fsEntry(owner, found.path, found.value, found.key?.[2]),
+      access: entry.value.access,
+    });
+  }
+  return items;
+}
+
+async function fsDropShares(username) {
+  // Removes grants made by and to username, on both sides of the index
+  for await (const entry of kv.list({ prefix: ["fs_share", username] })) {
+    const [, , itemUid, grantee] = entry.key;
+    await kv.delete(["fs_shared_with", grantee, username, itemUid]);
+    await kv.delete(entry.key);
+  }
+  for await (const entry of kv.list({ prefix: ["fs_shared_with", username] })) {
+    const [, , owner, itemUid] = entry.key;
+    await kv.delete(["fs_share", owner, itemUid, username]);
+    await kv.delete(entry.key);
+  }
+}
+
+// ------------------------------
+// Raw file transfer (MIME types, Range, ETags)
+// ------------------------------
+//
+// GET/HEAD /api/fs/raw?path=...   streams file bytes with an inferred Content-Type
+// PUT      /api/fs/raw?path=...   stores the raw request body
+// POST     /api/fs/upload         multipart/form-data: "path" (target dir) + file parts
+//
+// - ETag is the blob id, so it changes on every write; Last-Modified is the mtime
+// - A single "bytes=" range is honored (206/416); multi-range requests get the full body
+// - If-None-Match / If-Modified-Since answer 304, If-Match / If-None-Match: * guard writes (412)
+
+const MIME_TYPES = {
+  txt: "text/plain; charset=utf-8",
+  md: "text/markdown; charset=utf-8",
+  csv: "text/csv; charset=utf-8",
+  html: "text/html; charset=utf-8",
+  htm: "text/html; charset=utf-8",
+  css: "text/css; charset=utf-8",
+  js: "text/javascript; charset=utf-8",
+  mjs: "text/javascript; charset=utf-8",
+  json: "application/json",
+  xml: "application/xml",
+  svg: "image/svg+xml",
+  png: "image/png",
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  ico: "image/x-icon",
+  avif: "image/avif",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  ogg: "audio/ogg",
+  mp4: "video/mp4",
+  webm: "video/webm",
+  mov: "video/quicktime",
+  pdf: "application/pdf",
+  zip: "application/zip",
+  gz: "application/gzip",
+  tar: "application/x-tar",
+  wasm: "application/wasm",
+  woff: "font/woff",
+  woff2: "font/woff2",
+  ttf: "font/ttf",
+};
+
+function mimeTypeOf(path) {
+  const name = String(path).split("/").pop() || "";
+  const dot = name.lastIndexOf(".");
+  if (dot <= 0) return "application/octet-stream";
+  return MIME_TYPES[name.slice(dot + 1).toLowerCase()] ||
+    "application/octet-stream";
+}
+
+function fileEtag(meta) {
+  return `"${meta.blob || `${meta.mtime}-${meta.size}`}"`;
+}
+
+function etagMatches(header, etag) {
+  // Weak comparison over a comma-separated If-(None-)Match list
+  if (!header) return false;
+  if (header.trim() === "*") return true;
+  const bare = etag.replace(/^W\//, "");
+  return header.split(",").some((t) => t.trim().replace(/^W\//, "") === bare);
+}
+
+function parseRange(header, size) {
+  // Returns null (serve everything), { start, end } (end exclusive) or { unsatisfiable: true }
+  const m = /^bytes=(\d*)-(\d*)$/.exec(String(header || "").trim());
+  if (!m || (m[1] === "" && m[2] === "")) return null;
+  let start;
+  let end;
+  if (m[1] === "") {
+    // Suffix range: the last N bytes
+    start = Math.max(0, size - Number(m[2]));
+    end = size;
+  } else {
+    start = Number(m[1]);
+    end = m[2] === "" ? size : Math.min(size, Number(m[2]) + 1);
+  }
+  if (start >= size || start >= end) return { unsatisfiable: true };
+  return { start, end };
+}
+
+function fsContentStream(uid, meta, start, end) {
+  // Streams [start, end) one chunk at a time so large files aren't buffered.
+  // If the file is replaced mid-stream the body errors out, cutting the
+  // response short rather than mixing in zeros.
+  let pos = start;
+  return new ReadableStream({
+    async pull(controller) {
+      if (pos >= end) {
+        controller.close();
+        return;
+      }
+      const next = Math.min(
+        end,
+        (Math.floor(pos / FS_CHUNK_SIZE) + 1) * FS_CHUNK_SIZE,
+      );
+      controller.enqueue(await fsReadContent(uid, meta, pos, next));
+      pos = next;
+    },
+  });
+}
+
+async function fsRawResponse(req, uid, path) {
+  const meta = await fsRead(uid, path);
+  if (!meta) return notFound("File not found");
+  const etag = fileEtag(meta);
+  const headers = {
+    ...CORS_HEADERS,
+    "Content-Type": mimeTypeOf(path),
+    "Accept-Ranges": "bytes",
+    "ETag": etag,
+    "Last-Modified": new Date(meta.mtime).toUTCString(),
+    "Cache-Control": "no-cache",
+  };
+
+  const ifNoneMatch = req.headers.get("if-none-match");
+  const ifModifiedSince = Date.parse(req.headers.get("if-modified-since"));
+  if (
+    ifNoneMatch
+      ? etagMatches(ifNoneMatch, etag)
+      : Math.floor(meta.mtime / 1000) * 1000 <= ifModifiedSince
+  ) {
+    return new Response(null, { status: 304, headers });
+  }
+
+  // If-Range: only honor Range when the client's copy is still current
+  const ifRange = req.headers.get("if-range");
+  const range = !ifRange || ifRange === etag
+    ? parseRange(req.headers.get("range"), meta.size)
+    : null;
+  if (range?.unsatisfiable) {
+    return new Response(null, {
+      status: 416,
+      headers: { ...headers, "Content-Range": `bytes */${meta.size}` },
+    });
+  }
+  const start = range ? range.start : 0;
+  const end = range ? range.end : meta.size;
+  headers["Content-Length"] = String(end - start);
+  if (range) {
+    headers["Content-Range"] = `bytes ${start}-${end - 1}/${meta.size}`;
+  }
+  const body = req.method === "HEAD"
+    ? null
+    : fsContentStream(uid, meta, start, end);
+  return new Response(body, { status: range ? 206 : 200, headers });
+}
+
+function fsWriteConditions(req) {
+  // If-Match / If-None-Match of a write, or undefined when it has neither
+  const ifMatch = req.headers.get("if-match");
+  const ifNoneMatch = req.headers.get("if-none-match");
+  if (!ifMatch && !ifNoneMatch) return undefined;
+  return { ifMatch, ifNoneMatch };
+}
+
+function fsPreconditionFailed({ ifMatch, ifNoneMatch }, meta) {
+  // Checks write conditions against a file's metadata (null: no file yet)
+  const etag = meta?.type === "file" ? fileEtag(meta) : null;
+  if (ifMatch && !(etag && etagMatches(ifMatch, etag))) return true;
+  return Boolean(ifNoneMatch && etag && etagMatches(ifNoneMatch, etag));
+}
+
+async function fsCheckWritePreconditions(uid, path, conditions) {
+  // Early refusal before the body is stored; fsCommitFile checks the
+  // conditions again in the atomic commit, so racing writers can't both pass
+  if (!conditions) return null;
+  if (fsPreconditionFailed(conditions, await fsRead(uid, path))) {
+    return { error: "Precondition failed", status: 412 };
+  }
+  return null;
+}
+
+// ------------------------------
+// Public share links
+// ------------------------------
+//
+// /api/fs/links creates an unguessable token for a file or directory:
+//   ["fs_link", token] = { owner, item, created_at, expires_at, password?, max_downloads, downloads }
+//   ["fs_links_by_owner", owner, token] = true   (listing, revoking, account deletion)
+// Links point at the item's uid, so they survive renames and moves.
+//
+// GET /s/<token> needs no account. A file link streams the file like
+// /api/fs/raw (Range, ETag); a directory link renders an index page and serves
+// the files below it at /s/<token>/<relative path>.
+// - Password-protected links take ?password= (index pages carry it along)
+// - Every full download (200, not HEAD/304/206 or index pages) counts towards max_downloads
+// - Expired or used-up links answer 410
+
+async function fsCreateLink(owner, path, options = {}) {
+  // Options: { expireIn?, expireAt?, password?, max_downloads? }
+  const expiry = parseExpiry(options);
+  if (expiry.error) return { error: expiry.error, status: 400 };
+  const maxDownloads = options.max_downloads ?? null;
+  if (
+    maxDownloads !== null &&
+    !(Number.isInteger(maxDownloads) && maxDownloads > 0)
+  ) {
+    return { error: "max_downloads must be a positive integer", status: 400 };
+  }
+  const found = await fsLookup(owner, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  const token = newToken() + newToken();
+  const link = {
+    owner,
+    item: found.value.uid,
+    created_at: clock.now(),
+    expires_at: expiry.expireAt,
+    password: options.password
+      ? await hashPassword(String(options.password))
+      : null,
+    max_downloads: maxDownloads,
+    downloads: 0,
+  };
+  const setOptions = expiry.expireAt
+    ? { expireIn: Math.max(1, expiry.expireAt - clock.now()) }
+    : undefined;
+  await kv.atomic()
+    .set(["fs_link", token], link, setOptions)
+    .set(["fs_links_by_owner", owner, token], true, setOptions)
+    .commit();
+  return fsLinkView(token, link, found.path);
+}
+
+function fsLinkView(token, link, path) {
+  // What the owner sees of a link (never the password hash)
+  return {
+    token,
+    url: `/s/${token}`,
+    path,
+    created_at: link.created_at,
+    expires_at: link.expires_at,
+    password: Boolean(link.password),
+    max_downloads: link.max_downloads,
+    downloads: link.downloads,
+  };
+}
+
+async function fsListLinks(owner) {
+  const links = [];
+  for await (const entry of kv.list({ prefix: ["fs_links_by_owner", owner] })) {
+    const token = entry.key[2];
+    const link = (await kv.get(["fs_link", token])).value;
+    if (!link) continue;
+    const found = await fsLookupUid(owner, link.item);
+    links.push(fsLinkView(token, link, found?.path ?? null));
+  }
+  return links;
+}
+
+async function fsRevokeLink(owner, token) {
+  const link = (await kv.get(["fs_link", token])).value;
+  if (link?.owner !== owner) return { error: "Link not found", status: 404 };
+  await kv.atomic()
+    .delete(["fs_link", token])
+    .delete(["fs_links_by_owner", owner, token])
+    .commit();
+  return { revoked: true, token };
+}
+
+async function fsDropLinks(owner) {
+  for await (const entry of kv.list({ prefix: ["fs_links_by_owner", owner] })) {
+    await kv.delete(["fs_link", entry.key[2]]);
+    await kv.delete(entry.key);
+  }
+}
+
+function fsLinkUsable(link) {
+  if (link.expires_at && link.expires_at <= clock.now()) return false;
+  return link.max_downloads === null || link.downloads < link.max_downloads;
+}
+
+async function fsCountDownload(token) {
+  // Atomically uses up one download; false if the link ran out meanwhile
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(["fs_link", token]);
+    if (!cur.value || !fsLinkUsable(cur.value)) return false;
+    const next = { ...cur.value, downloads: cur.value.downloads + 1 };
+    const setOptions = next.expires_at
+      ? { expireIn: Math.max(1, next.expires_at - clock.now()) }
+      : undefined;
+    const r = await kv.atomic()
+      .check(cur)
+      .set(["fs_link", token], next, setOptions)
+      .commit();
+    if (r.ok) return true;
+    await kvBackoff(attempt);
+  }
+  return false;
+}
+
+function linkPage(title, body) {
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)} (Puter mock)</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 640px; margin: 48px auto; }
+    table { border-collapse: collapse; width: 100%; }
+    td { padding: 4px 8px; border-bottom: 1px solid #eee; }
+    td.size { text-align: right; color: #666; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>`;
+}
+
+function linkPasswordPage(error) {
+  return linkPage(
+    "Password required",
+    `${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+  <form method="GET">
+    <label>Password <input name="password" type="password" autofocus></label>
+    <button type="submit">Open</button>
+  </form>`,
+  );
+}
+
+function linkIndexPage(token, title, rel, items, query) {
+  // rel: the listed directory relative to the link root ("" or "sub/dir/")
+  const href = (path) =>
+    `/s/${token}/${path.split("/").map(encodeURIComponent).join("/")}${query}`;
+  const rows = items.map((item) => {
+    const path = rel + item.name + (item.is_dir ? "/" : "");
+    return `<tr><td><a href="${escapeHtml(href(path))}">${
+      escapeHtml(item.name + (item.is_dir ? "/" : ""))
+    }</a></td><td class="size">${item.is_dir ? "" : item.size}</td></tr>`;
+  });
+  const up = rel
+    ? `<p><a href="${
+      escapeHtml(href(rel.split("/").slice(0, -2).map((p) => p + "/").join("")))
+    }">..</a></p>`
+    : "";
+  return linkPage(
+    title,
+    `${up}
+  <table>${rows.join("") || "<tr><td>(empty)</td></tr>"}</table>`,
+  );
+}
+
+async function fsLinkResponse(req, token, rest, searchParams) {
+  // Serves GET/HEAD /s/<token>/<rest> (rest is "" for the link target itself)
+  const link = (await kv.get(["fs_link", token])).value;
+  if (!link) return html(404, linkPage("Link not found", ""));
+  if (!fsLinkUsable(link)) {
+    return html(410, linkPage("This link is no longer available", ""));
+  }
+  const password = searchParams.get("password");
+  if (link.password) {
+    if (!password) return html(401, linkPasswordPage());
+    if (!(await verifyPassword(password, link.password))) {
+      return html(403, linkPasswordPage("Incorrect password"));
+    }
+  }
+
+  const item = await fsLookupUid(link.owner, link.item);
+  if (!item) return html(404, linkPage("Link not found", ""));
+  let target = item;
+  if (rest) {
+    if (item.type !== "dir") return html(404, linkPage("Not found", ""));
+    target = await fsLookup(link.owner, item.path + rest);
+    if (!target) return html(404, linkPage("Not found", ""));
+  }
+
+  if (target.type === "dir") {
+    const items = await fsList(link.owner, target.path);
+    const rel = target.path.slice(item.path.length);
+    const title = (baseNameOf(item.path) || "/") + (rel ? "/" + rel : "/");
+    const query = link.password
+      ? `?password=${encodeURIComponent(password)}`
+      : "";
+    return html(200, linkIndexPage(token, title, rel, items, query));
+  }
+
+  const res = await fsRawResponse(req, link.owner, target.path);
+  if (req.method === "GET" && res.status === 200) {
+    if (!(await fsCountDownload(token))) {
+      await res.body?.cancel();
+      return html(410, linkPage("This link is no longer available", ""));
+    }
+  }
+  return res;
+}
+
+// ------------------------------
+// Static site hosting (puter.hosting)
+// ------------------------------
+//
+// A site maps a subdomain name to a directory in its owner's FS:
+//   ["site", name] = { uid, name, owner, dir, created_at, updated_at }   (dir: directory uid)
+//   ["sites_by_owner", owner, name] = true
+// Like share links, sites follow their directory through renames and moves.
+//
+// Sites are public and served from the FS with /api/fs/raw semantics (MIME
+// type, ETag, Range), either by Host header (<name>.<HOSTING_DOMAIN>, default
+// "localhost", so http://blog.localhost:8000/) or at /sites/<name>/.
+// - A directory serves its index.html; without a trailing slash it redirects first
+// - Missing files get the site's own /404.html when it has one
+
+const SITE_NAME_RE = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+
+function hostingDomain() {
+  return (safeEnv("HOSTING_DOMAIN") || "localhost").toLowerCase();
+}
+
+function siteNameFromHost(host) {
+  // "blog.localhost:8000" => "blog"; null for anything else
+  const hostname = (host || "").toLowerCase().replace(/:\d+$/, "");
+  const suffix = "." + hostingDomain();
+  if (!hostname.endsWith(suffix)) return null;
+  const name = hostname.slice(0, -suffix.length);
+  return SITE_NAME_RE.test(name) ? name : null;
+}
+
+async function siteDirectory(owner, path) {
+  // The directory a site may be published from, or an error
+  const found = await fsLookup(owner, path);
+  if (!found) {
+    return fsError(
+      "subject_does_not_exist",
+      `${normalizePath(path)} does not exist`,
+    );
+  }
+  if (found.type !== "dir") {
+    return fsError(
+      "subject_is_not_a_directory",
+      `${found.path} is a file, not a directory`,
+    );
+  }
+  return found;
+}
+
+async function siteView(site) {
+  // What the owner sees of a site; root_dir is null once the directory is gone
+  const dir = await fsLookupUid(site.owner, site.dir);
+  return {
+    uid: site.uid,
+    subdomain: site.name,
+    root_dir: dir
+      ? fsEntry(site.owner, dir.path, dir.value, dir.key?.[2])
+      : null,
+    url: `/sites/${site.name}/`,
+    created_at: site.created_at,
+    updated_at: site.updated_at,
+  };
+}
+
+async function hostingCreate(owner, name, path) {
+  // A random name is picked when none is given
+  name = name ? String(name).toLowerCase() : randName();
+  if (!SITE_NAME_RE.test(name)) {
+    return {
+      error: "subdomain must be 1-63 letters, digits or inner hyphens",
+      status: 400,
+    };
+  }
+  const dir = await siteDirectory(owner, path);
+  if (dir.error) return dir;
+  const now = clock.now();
+  const site = {
+    uid: crypto.randomUUID(),
+    name,
+    owner,
+    dir: dir.value.uid,
+    created_at: now,
+    updated_at: now,
+  };
+  const r = await kv.atomic()
+    .check({ key: ["site", name], versionstamp: null })
+    .set(["site", name], site)
+    .set(["sites_by_owner", owner, name], true)
+    .commit();
+  if (!r.ok) {
+    return { error: `Subdomain ${name} is already taken`, status: 409 };
+  }
+  return await siteView(site);
+}
+
+async function hostingGetOwn(owner, name) {
+  // Another user's site looks the same as a missing one
+  const r = await kv.get(["site", String(name).toLowerCase()]);
+  if (r.value?.owner !== owner) {
+    return { error: `Site ${name} not found`, status: 404 };
+  }
+  return r;
+}
+
+async function hostingUpdate(owner, name, path) {
+  // Points an existing site at another directory
+  const dir = await siteDirectory(owner, path);
+  if (dir.error) return dir;
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await hostingGetOwn(owner, name);
+    if (cur.error) return cur;
+    const site = { ...cur.value, dir: dir.value.uid, updated_at: clock.now() };
+    const r = await kv.atomic().check(cur).set(cur.key, site).commit();
+    if (r.ok) return await siteView(site);
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function hostingDelete(owner, name) {
+  const cur = await hostingGetOwn(owner, name);
+  if (cur.error) return cur;
+  await kv.atomic()
+    .check(cur)
+    .delete(cur.key)
+    .delete(["sites_by_owner", owner, cur.value.name])
+    .commit();
+  return { deleted: true, subdomain: cur.value.name };
+}
+
+async function hostingList(owner) {
+  const sites = [];
+  for await (const entry of kv.list({ prefix: ["sites_by_owner", owner] })) {
+    const site = (await kv.get(["site", entry.key[2]])).value;
+    if (site) sites.push(await siteView(site));
+  }
+  return sites;
+}
+
+async function hostingDropSites(owner) {
+  for await (const entry of kv.list({ prefix: ["sites_by_owner", owner] })) {
+    await kv.delete(["site", entry.key[2]]);
+    await kv.delete(entry.key);
+  }
+}
+
+async function siteResponse(req, name, rest) {
+  // Serves GET/HEAD for the path rest ("" for the site root) of a site
+  const site = (await kv.get(["site", name])).value;
+  const root = site && (await fsLookupUid(site.owner, site.dir));
+  if (root?.type !== "dir") return html(404, linkPage("Site not found", ""));
+
+  let target = rest ? await fsLookup(site.owner, root.path + rest) : root;
+  if (target?.type === "dir") {
+    if (rest && !rest.endsWith("/")) {
+      // Relative links in the index page need the trailing slash
+      const location = new URL(req.url);
+      location.pathname += "/";
+      return new Response(null, {
+        status: 301,
+        headers: { ...CORS_HEADERS, Location: location.href },
+      });
+    }
+    target = await fsLookup(site.owner, target.path + "index.html");
+  }
+  if (target?.type === "file") {
+    return await fsRawResponse(req, site.owner, target.path);
+  }
+
+  const page = await fsLookup(site.owner, root.path + "404.html");
+  if (page?.type !== "file") return html(404, linkPage("Not found", ""));
+  // Conditional headers refer to the requested URL, not to the error page
+  const res = await fsRawResponse(
+    new Request(req.url, { method: req.method }),
+    site.owner,
+    page.path,
+  );
+  return new Response(res.body, { status: 404, headers: res.headers });
+}
+
+// ------------------------------
+// Apps registry (puter.apps)
+// ------------------------------
+//
+// App names are unique across all users:
+//   ["app", name] = { uid, name, owner, title, index_url, icon, description, metadata, created_at, updated_at }
+//   ["app_by_uid", uid] = name
+//   ["apps_by_owner", owner, name] = true
+// Anyone signed in can get or list apps (launcher / app store); only the owner
+// can update or delete them.
+//
+// An app gets its own data namespace per user: /auth/get-user-app-token issues
+// a token bound to the app, and KV, FS and event routes called with it act on
+// the storage uid "<username>@<app uid>" instead of the user's own (usernames
+// can't contain "@"). ["app_data", username, app uid] records the namespaces a
+// user has, so deleting the account removes them too.
+//
+// App tokens are refused (403) everywhere else except AI chat and the read-only
+// GET /api/user (puter.auth.getUser()): account, hosting, apps and workers
+// routes would otherwise reach the user's own data.
+
+const APP_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,99}$/;
+const APP_TOKEN_ROUTES = /^\/api\/(kv|fs|events)\b/;
+const APP_TOKEN_SHARED_ROUTES = /^\/api\/(ai\b|user$)/;
+const APP_METADATA_MAX_BYTES = 16 * 1024;
+const APP_FIELDS = ["title", "index_url", "icon", "description", "metadata"];
+
+function appDataUid(username, appUid) {
+  return `${username}@${appUid}`;
+}
+
+function appView(app) {
+  return {
+    uid: app.uid,
+    name: app.name,
+    title: app.title,
+    index_url: app.index_url,
+    icon: app.icon,
+    description: app.description,
+    metadata: app.metadata,
+    owner: { username: app.owner },
+    created_at: app.created_at,
+    updated_at: app.updated_at,
+  };
+}
+
+function appCheckFields(fields) {
+  // Validates the writable fields present in `fields`; returns an error or null
+  const invalid = (error) => ({ error, status: 400 });
+  if ("index_url" in fields) {
+    let url;
+    try {
+      url = new URL(String(fields.index_url));
+    } catch {
+      return invalid("index_url must be an absolute URL");
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      return invalid("index_url must be an http(s) URL");
+    }
+  }
+  for (const name of ["title", "icon", "description"]) {
+    if (fields[name] != null && typeof fields[name] !== "string") {
+      return invalid(`${name} must be a string`);
+    }
+  }
+  if (fields.metadata != null) {
+    if (typeof fields.metadata !== "object" || Array.isArray(fields.metadata)) {
+      return invalid("metadata must be an object");
+    }
+    const bytes = new TextEncoder().encode(JSON.stringify(fields.metadata));
+    if (bytes.length > APP_METADATA_MAX_BYTES) {
+      return invalid(
+        `metadata must be at most ${APP_METADATA_MAX_BYTES} bytes`,
+      );
+    }
+  }
+  return null;
+}
+
+function appCheckName(name) {
+  if (typeof name !== "string" || !APP_NAME_RE.test(name)) {
+    return {
+      error:
+        "name must be 1-100 lowercase letters, digits, hyphens or underscores",
+      status: 400,
+    };
+  }
+  return null;
+}
+
+async function appCreate(owner, fields) {
+  // fields: { name, index_url, title?, icon?, description?, metadata? }
+  const invalid = appCheckName(fields.name) ||
+    (fields.index_url ? appCheckFields(fields) : {
+      error: "index_url is required",
+      status: 400,
+    });
+  if (invalid) return invalid;
+  const now = clock.now();
+  const app = {
+    uid: `app-${crypto.randomUUID()}`,
+    name: fields.name,
+    owner,
+    title: fields.title ?? fields.name,
+    index_url: String(fields.index_url),
+    icon: fields.icon ?? null,
+    description: fields.description ?? "",
+    metadata: fields.metadata ?? {},
+    created_at: now,
+    updated_at: now,
+  };
+  const r = await kv.atomic()
+    .check({ key: ["app", app.name], versionstamp: null })
+    .set(["app", app.name], app)
+    .set(["app_by_uid", app.uid], app.name)
+    .set(["apps_by_owner", owner, app.name], true)
+    .commit();
+  if (!r.ok) {
+    return { error: `An app named ${app.name} already exists`, status: 409 };
+  }
+  return appView(app);
+}
+
+async function appGet(name) {
+  const app = (await kv.get(["app", String(name)])).value;
+  if (!app) return { error: `App ${name} not found`, status: 404 };
+  return appView(app);
+}
+
+async function appGetOwn(owner, name) {
+  // Another user's app can be read but not changed
+  const r = await kv.get(["app", String(name)]);
+  if (!r.value) return { error: `App ${name} not found`, status: 404 };
+  if (r.value.owner !== owner) {
+    return { error: `App ${name} belongs to another user`, status: 403 };
+  }
+  return r;
+}
+
+async function appUpdate(owner, name, fields) {
+  // fields: any of APP_FIELDS plus name to rename the app
+  const invalid = (fields.name !== undefined && appCheckName(fields.name)) ||
+    appCheckFields(fields);
+  if (invalid) return invalid;
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await appGetOwn(owner, name);
+    if (cur.error) return cur;
+    const app = { ...cur.value, updated_at: clock.now() };
+    for (const field of APP_FIELDS) {
+      if (fields[field] !== undefined) app[field] = fields[field];
+    }
+    app.index_url = String(app.index_url);
+    const op = kv.atomic().check(cur);
+    if (fields.name !== undefined && fields.name !== cur.value.name) {
+      app.name = fields.name;
+      const renamed = await kv.get(["app", app.name]);
+      if (renamed.value) {
+        return {
+          error: `An app named ${app.name} already exists`,
+          status: 409,
+        };
+      }
+      op.check(renamed)
+        .delete(cur.key)
+        .delete(["apps_by_owner", owner, cur.value.name])
+        .set(["apps_by_owner", owner, app.name], true)
+        .set(["app_by_uid", app.uid], app.name);
+    }
+    const r = await op.set(["app", app.name], app).commit();
+    if (r.ok) return appView(app);
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function appDelete(owner, name) {
+  // Users' data in the app's namespaces stays until they delete their accounts
+  const cur = await appGetOwn(owner, name);
+  if (cur.error) return cur;
+  await kv.atomic()
+    .check(cur)
+    .delete(cur.key)
+    .delete(["app_by_uid", cur.value.uid])
+    .delete(["apps_by_owner", owner, cur.value.name])
+    .commit();
+  return { deleted: true, name: cur.value.name };
+}
+
+async function appList(owner, options = {}) {
+  // Options: { all, query, limit = 50, cursor }. Lists owner's apps, or every
+  // app with all; query matches name, title or description (case-insensitive).
+  // Returns { items, cursor } where cursor is null on the last page.
+  const { all, query, limit = 50, cursor } = options;
+  const needle = query?.toLowerCase();
+  const iter = kv.list({ prefix: all ? ["app"] : ["apps_by_owner", owner] }, {
+    cursor: cursor || undefined,
+  });
+  const items = [];
+  let nextCursor = null;
+  for await (const entry of iter) {
+    const app = all ? entry.value : (await kv.get(["app", entry.key[2]])).value;
+    if (!app) continue;
+    if (
+      needle &&
+      ![app.name, app.title, app.description].some((text) =>
+        String(text ?? "").toLowerCase().includes(needle)
+      )
+    ) continue;
+    if (items.length === limit) return { items, cursor: nextCursor };
+    items.push(appView(app));
+    nextCursor = iter.cursor;
+  }
+  return { items, cursor: null };
+}
+
+async function appToken(user, appUid) {
+  // Issues a session token whose KV/FS calls use the app's data namespace
+  const name = (await kv.get(["app_by_uid", String(appUid)])).value;
+  if (!name) return { error: `App ${appUid} not found`, status: 404 };
+  await kv.set(["app_data", user.username, String(appUid)], true);
+  const { token } = await createSession(user, { app: String(appUid) });
+  return { token, app_uid: String(appUid) };
+}
+
+async function appDropOwned(owner) {
+  for await (const entry of kv.list({ prefix: ["apps_by_owner", owner] })) {
+    const app = (await kv.get(["app", entry.key[2]])).value;
+    if (app) await kv.delete(["app_by_uid", app.uid]);
+    await kv.delete(["app", entry.key[2]]);
+    await kv.delete(entry.key);
+  }
+}
+
+// ------------------------------
+// Workers (puter.workers)
+// ------------------------------
+//
+// A worker maps a name to a script file in its owner's FS:
+//   ["worker", name] = { name, owner, file, created_at, updated_at }   (file: file uid)
+//   ["workers_by_owner", owner, name] = true
+//   ["worker_log", name, seq] = { time, level, message }   (expire after WORKER_LOG_TTL_MS)
+//   ["worker_log_seq", name] = last seq; writing line seq drops line
+//   seq - WORKER_MAX_STORED_LOGS, so each worker keeps its newest lines only
+//
+// Requests to /workers/<name>/<path> are public. Each one loads the script
+// (so edits take effect immediately) into a fresh Deno Worker without any
+// permissions; workerRuntime below is its prelude. Scripts register handlers
+// with router.get/post/put/patch/delete/options/any(path, handler), where path
+// may contain ":param" segments and a trailing "*". Handlers get
+// { request, params } and return a Response, a string or JSON-able data.
+// puter.kv and puter.fs are forwarded to this process (see WORKER_OPS) and act
+// on the owner's storage; console output goes to the worker's logs. That is why
+// only the owner's own session can deploy or manage workers: the auth gate
+// refuses app tokens here, which would otherwise publish the user's storage.
+// For the same reason the caller's credentials (WORKER_HIDDEN_HEADERS and the
+// auth_token query parameter) never reach the script.
+//
+// Limits: WORKER_TIMEOUT_MS per request (default 10 s); WORKER_MAX_BODY_BYTES
+// per request and response body; WORKER_MAX_LOG_LINES per request. The memory
+// limit, WORKER_MEMORY_MB (default 128), is best effort only: Deno can't cap a
+// Worker's heap, so a watchdog samples the growth of the whole process's RSS.
+// Other requests running at the same time count towards it too, and a worker
+// allocating fast enough can still exhaust memory between two samples.
+// Running workers needs --unstable-worker-options (set in deno.json); Deno
+// Deploy has no Workers, so requests answer 501 there.
+
+const DEFAULT_WORKER_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_WORKER_MEMORY_MB = 128;
+const WORKER_MAX_SCRIPT_BYTES = 1024 * 1024;
+const WORKER_MAX_BODY_BYTES = 10 * 1024 * 1024;
+const WORKER_MAX_LOG_LINES = 100;
+const WORKER_MAX_STORED_LOGS = 1000;
+const WORKER_LOG_MAX_CHARS = 2000;
+const WORKER_LOG_TTL_MS = 24 * 60 * 60 * 1000;
+const WORKER_MEMORY_CHECK_MS = 50;
+const WORKER_HIDDEN_HEADERS = new Set(["authorization", "cookie"]);
+
+function workerRuntime() {
+  // Runs inside the Worker (serialized with Function#toString, so it can't
+  // use anything from this module)
+  const routes = [];
+  const pending = new Map();
+  let nextId = 0;
+  const call = (op, ...args) =>
+    new Promise((resolve, reject) => {
+      const id = ++nextId;
+      pending.set(id, { resolve, reject });
+      self.postMessage({ type: "call", id, op, args });
+    });
+  const route = (method) => (path, handler) => {
+    routes.push({ method, path, handler });
+  };
+  const bytesOf = async (data) => {
+    if (data instanceof Blob) return new Uint8Array(await data.arrayBuffer());
+    if (data instanceof Uint8Array) return data;
+    return new TextEncoder().encode(String(data));
+  };
+  globalThis.router = {
+    get: route("GET"),
+    post: route("POST"),
+    put: route("PUT"),
+    patch: route("PATCH"),
+    delete: route("DELETE"),
+    options: route("OPTIONS"),
+    any: route("*"),
+  };
+  globalThis.puter = {
+    kv: {
+      set: (key, value) => call("kv.set", key, value),
+      get: (key) => call("kv.get", key),
+      del: (key) => call("kv.del", key),
+      incr: (key, amount = 1) => call("kv.incr", key, amount),
+      list: (prefix = "") => call("kv.list", prefix),
+    },
+    fs: {
+      read: async (path) => new Blob([await call("fs.read", path)]),
+      write: async (path, data) => call("fs.write", path, await bytesOf(data)),
+      readdir: (path) => call("fs.readdir", path),
+      stat: (path) => call("fs.stat", path),
+      mkdir: (path) => call("fs.mkdir", path),
+      delete: (path) => call("fs.delete", path),
+    },
+  };
+  for (const level of ["log", "info", "warn", "error", "debug"]) {
+    console[level] = (...args) => {
+      const message = args
+        .map((a) => typeof a === "string" ? a : Deno.inspect(a))
+        .join(" ");
+      self.postMessage({ type: "log", level, message });
+    };
+  }
+
+  const match = (pattern, path) => {
+    // Returns the route params, or null when path doesn't match
+    const want = pattern.split("/").filter(Boolean);
+    const got = path.split("/").filter(Boolean);
+    const params = {};
+    for (let i = 0; i < want.length; i++) {
+      if (want[i] === "*") {
+        params["*"] = got.slice(i).map(decodeURIComponent).join("/");
+        return params;
+      }
+      if (i >= got.length) return null;
+      if (want[i].startsWith(":")) {
+        params[want[i].slice(1)] = decodeURIComponent(got[i]);
+      } else if (want[i] !== got[i]) return null;
+    }
+    return want.length === got.length ? params : null;
+  };
+
+  self.onmessage = async ({ data }) => {
+    if (data.type === "result") {
+      const call = pending.get(data.id);
+      pending.delete(data.id);
+      if (data.error) call.reject(new Error(data.error));
+      else call.resolve(data.value);
+      return;
+    }
+    try {
+      await import(data.script);
+      const request = new Request(data.url, {
+        method: data.method,
+        headers: data.headers,
+        body: data.body,
+      });
+      const path = new URL(data.url).pathname;
+      let params = null;
+      const found = routes.find((r) =>
+        (r.method === "*" || r.method === data.method ||
+          (r.method === "GET" && data.method === "HEAD")) &&
+        (params = match(r.path, path))
+      );
+      const result = found
+        ? await found.handler({ request, params })
+        : new Response("Not found", { status: 404 });
+      const response = result instanceof Response
+        ? result
+        : typeof result === "string"
+        ? new Response(result, {
+          headers: { "Content-Type": "text/plain; charset=utf-8" },
+        })
+        : Response.json(result ?? null);
+      self.postMessage({
+        type: "response",
+        status: response.status,
+        headers: [...response.headers],
+        body: new Uint8Array(await response.arrayBuffer()),
+      });
+    } catch (err) {
+      console.error(err?.stack ?? String(err));
+      self.postMessage({ type: "error", message: String(err?.message ?? err) });
+    }
+  };
+}
+
+const WORKER_OPS = {
+  // puter.kv / puter.fs calls from a worker: (owner, args) => value, or an
+  // { error } result that is rethrown inside the worker
+  "kv.set": async (uid, [key, value]) => {
+    const r = await kvSet(uid, key, value);
+    return r.error ? r : true;
+  },
+  "kv.get": async (uid, [key]) => {
+    const r = await kvGet(uid, key);
+    return r.error ? r : r.value;
+  },
+  "kv.del": async (uid, [key]) => {
+    const r = await kvDelete(uid, key);
+    return r.error ? r : true;
+  },
+  "kv.incr": async (uid, [key, amount]) => {
+    const r = await kvIncr(uid, key, Number(amount));
+    return r.error ? r : r.value;
+  },
+  "kv.list": async (uid, [prefix]) => {
+    const r = await kvList(uid, { prefix: String(prefix ?? "") });
+    return r.items;
+  },
+  "fs.read": async (uid, [path]) => {
+    const meta = await fsRead(uid, String(path));
+    if (!meta) {
+      return fsError("subject_does_not_exist", `${path} does not exist`);
+    }
+    return await fsReadContent(uid, meta);
+  },
+  "fs.write": (uid, [path, bytes]) =>
+    fsWrite(uid, String(path), bytes, { createMissingParents: true }),
+  "fs.readdir": (uid, [path]) => fsList(uid, String(path)),
+  "fs.stat": (uid, [path]) => fsStatEntry(uid, String(path)),
+  "fs.mkdir": (uid, [path]) =>
+    fsMkdir(uid, String(path), { createMissingParents: true }),
+  "fs.delete": (uid, [path]) => fsDelete(uid, String(path)),
+};
+
+function workerTimeoutMs() {
+  return envNumber("WORKER_TIMEOUT_MS", DEFAULT_WORKER_TIMEOUT_MS);
+}
+
+function workerMemoryBytes() {
+  return envNumber("WORKER_MEMORY_MB", DEFAULT_WORKER_MEMORY_MB) * 1024 * 1024;
+}
+
+async function workerView(worker) {
+  // What the owner sees of a worker; file_path is null once the script is gone
+  const file = await fsLookupUid(worker.owner, worker.file);
+  return {
+    name: worker.name,
+    url: `/workers/${worker.name}/`,
+    file_path: file ? normalizePath(file.path) : null,
+    created_at: worker.created_at,
+    updated_at: worker.updated_at,
+  };
+}
+
+async function workerDeploy(owner, name, filePath) {
+  // Creates a worker, or points the owner's existing worker at filePath
+  name = String(name).toLowerCase();
+  if (!SITE_NAME_RE.test(name)) {
+    return {
+      error: "name must be 1-63 letters, digits or inner hyphens",
+      status: 400,
+    };
+  }
+  const file = await fsLookupFile(owner, filePath);
+  if (file.error) return file;
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const cur = await kv.get(["worker", name]);
+    if (cur.value && cur.value.owner !== owner) {
+      return { error: `Worker name ${name} is already taken`, status: 409 };
+    }
+    const now = clock.now();
+    const worker = {
+      name,
+      owner,
+      file: file.value.uid,
+      created_at: cur.value?.created_at ?? now,
+      updated_at: now,
+    };
+    const r = await kv.atomic()
+      .check(cur)
+      .set(cur.key, worker)
+      .set(["workers_by_owner", owner, name], true)
+      .commit();
+    if (r.ok) return await workerView(worker);
+    await kvBackoff(attempt);
+  }
+  return { error: "Too much contention, try again", status: 409 };
+}
+
+async function workerGetOwn(owner, name) {
+  // Another user's worker looks the same as a missing one
+  const r = await kv.get(["worker", String(name).toLowerCase()]);
+  if (r.value?.owner !== owner) {
+    return { error: `Worker ${name} not found`, status: 404 };
+  }
+  return r;
+}
+
+async function workerList(owner) {
+  const workers = [];
+  for await (const entry of kv.list({ prefix: ["workers_by_owner", owner] })) {
+    const worker = (await kv.get(["worker", entry.key[2]])).value;
+    if (worker) workers.push(await workerView(worker));
+  }
+  return workers;
+}
+
+async function workerDelete(owner, name) {
+  const cur = await workerGetOwn(owner, name);
+  if (cur.error) return cur;
+  await kv.atomic()
+    .check(cur)
+    .delete(cur.key)
+    .delete(["workers_by_owner", owner, cur.value.name])
+    .commit();
+  await deleteByPrefix(["worker_log", cur.value.name]);
+  await kv.delete(["worker_log_seq", cur.value.name]);
+  return { deleted: true, name: cur.value.name };
+}
+
+async function workerDropOwned(owner) {
+  for await (const entry of kv.list({ prefix: ["workers_by_owner", owner] })) {
+    await kv.delete(["worker", entry.key[2]]);
+    await deleteByPrefix(["worker_log", entry.key[2]]);
+    await kv.delete(["worker_log_seq", entry.key[2]]);
+    await kv.delete(entry.key);
+  }
+}
+
+async function workerWriteLogs(name, lines) {
+  // Appends { level, message } lines to the worker's log and drops the lines
+  // that fall out of its last WORKER_MAX_STORED_LOGS. Best effort, like
+  // publishEvents: lines that keep losing the race for the sequence are dropped.
+  const time = clock.now();
+  for (let attempt = 0; attempt < KV_CAS_MAX_ATTEMPTS; attempt++) {
+    const head = await kv.get(["worker_log_seq", name]);
+    const seq = head.value ?? 0;
+    const op = kv.atomic()
+      .check(head)
+      .set(["worker_log_seq", name], seq + lines.length);
+    lines.forEach(({ level, message }, i) => {
+      const n = seq + i + 1;
+      op.set(["worker_log", name, n], {
+        time,
+        level,
+        message: String(message).slice(0, WORKER_LOG_MAX_CHARS),
+      }, { expireIn: WORKER_LOG_TTL_MS });
+      if (n > WORKER_MAX_STORED_LOGS) {
+        op.delete(["worker_log", name, n - WORKER_MAX_STORED_LOGS]);
+      }
+    });
+    if ((await op.commit()).ok) return;
+    await kvBackoff(attempt);
+  }
+}
+
+async function workerLogs(owner, name, limit = 100) {
+  // Newest first
+  const cur = await workerGetOwn(owner, name);
+  if (cur.error) return cur;
+  const logs = [];
+  const iter = kv.list({ prefix: ["worker_log", cur.value.name] }, {
+    reverse: true,
+    limit,
+  });
+  for await (const entry of iter) logs.push(entry.value);
+  return { name: cur.value.name, logs };
+}
+
+async function workerRequestBody(req) {
+  // Reads the request body, or returns null as soon as it is known to exceed
+  // WORKER_MAX_BODY_BYTES (from Content-Length, else counted while streaming)
+  if (Number(req.headers.get("content-length")) > WORKER_MAX_BODY_BYTES) {
+    return null;
+  }
+  const parts = [];
+  let size = 0;
+  for await (const part of req.body ?? []) {
+    size += part.length;
+    if (size > WORKER_MAX_BODY_BYTES) return null;
+    parts.push(part);
+  }
+  return new Uint8Array(await new Blob(parts).arrayBuffer());
+}
+
+async function workerResponse(req, name, rest) {
+  // Runs a worker for any method on /workers/<name>/<rest>
+  const worker = (await kv.get(["worker", name])).value;
+  if (!worker) return json(404, { error: `Worker ${name} not found` });
+  const file = await fsLookupUid(worker.owner, worker.file);
+  if (file?.type !== "file") {
+    return json(404, { error: `The script of worker ${name} is missing` });
+  }
+  if (file.value.size > WORKER_MAX_SCRIPT_BYTES) {
+    return json(413, { error: "Worker script too large" });
+  }
+  let body = null;
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    body = await workerRequestBody(req);
+    if (!body) return json(413, { error: "Request body too large" });
+  }
+  const script = await fsReadContent(worker.owner, file.value);
+  const runtime = new TextEncoder().encode(`(${workerRuntime})();`);
+  let thread;
+  try {
+    thread = new Worker(
+      `data:text/javascript;base64,${bytesToBase64(runtime)}`,
+      { type: "module", deno: { permissions: "none" } },
+    );
+  } catch {
+    return json(501, {
+      error: "Workers need Deno's --unstable-worker-options (not on Deploy)",
+    });
+  }
+
+  const url = new URL(req.url);
+  if (url.searchParams.has("auth_token")) url.searchParams.delete("auth_token");
+  const started = clock.now();
+  const lines = [];
+  const log = (level, message) => {
+    if (lines.length < WORKER_MAX_LOG_LINES) lines.push({ level, message });
+  };
+  return await new Promise((resolve) => {
+    let done = false;
+    const finish = async (response) => {
+      if (done) return;
+      done = true;
+      clearTimeout(timer);
+      clearInterval(watchdog);
+      thread.terminate();
+      lines.push({
+        level: "info",
+        message: `${req.method} /${rest} ${response.status} ${
+          clock.now() - started
+        }ms`,
+      });
+      await workerWriteLogs(name, lines);
+      resolve(response);
+    };
+    const abort = (status, error) => {
+      log("error", error);
+      finish(json(status, { error }));
+    };
+    const timer = setTimeout(
+      () => abort(504, `Worker timed out after ${workerTimeoutMs()}ms`),
+      workerTimeoutMs(),
+    );
+    const baseline = Deno.memoryUsage().rss;
+    const watchdog = setInterval(() => {
+      if (Deno.memoryUsage().rss - baseline > workerMemoryBytes()) {
+        abort(503, "Worker exceeded its memory limit");
+      }
+    }, WORKER_MEMORY_CHECK_MS);
+
+    thread.onmessage = async ({ data }) => {
+      if (data.type === "log") {
+        log(data.level, data.message);
+      } else if (data.type === "call") {
+        const op = WORKER_OPS[data.op];
+        let value;
+        try {
+          value = op
+            ? await op(worker.owner, data.args)
+            : { error: `Unknown operation ${data.op}` };
+        } catch (err) {
+          value = { error: String(err?.message ?? err) };
+        }
+        if (done) return;
+        thread.postMessage(
+          value?.error
+            ? { type: "result", id: data.id, error: value.error }
+            : { type: "result", id: data.id, value },
+        );
+      } else if (data.type === "response") {
+        if (data.body.length > WORKER_MAX_BODY_BYTES) {
+          abort(502, "Worker response too large");
+          return;
+        }
+        try {
+          finish(
+            new Response(
+              req.method === "HEAD" || data.body.length === 0
+                ? null
+                : data.body,
+              {
+                status: data.status,
+                headers: {
+                  ...CORS_HEADERS,
+                  ...Object.fromEntries(data.headers),
+                },
+              },
+            ),
+          );
+        } catch (err) {
+          abort(502, `Invalid worker response: ${err.message}`);
+        }
+      } else if (data.type === "error") {
+        finish(json(500, { error: `Worker error: ${data.message}` }));
+      }
     };
+    thread.onerror = (event) => {
+      event.preventDefault();
+      abort(500, `Worker error: ${event.message}`);
+    };
+    thread.postMessage({
+      type: "request",
+      script: `data:text/javascript;base64,${bytesToBase64(script)}`,
+      method: req.method,
+      url: new URL("/" + rest + url.search, url.origin).href,
+      headers: [...req.headers].filter(([k]) => !WORKER_HIDDEN_HEADERS.has(k)),
+      body,
+    });
+  });
+}
+
+// ------------------------------
+// AI Chat (stub with optional OpenAI passthrough)
+// ------------------------------
+//
+// POST /api/ai/chat
+// Body:
+// {
+//   "messages": [
+//     { "role": "user", "content": "Hello" },
+//     ...
+//   ]
+// }
+//
+// If OPENAI_API_KEY is set, attempts to call OpenAI's Chat Completions (gpt-4o-mini).
+// Otherwise, responds with a trivial assistant message.
+//
+// With "stream": true the answer arrives as NDJSON events:
+//   { type: "start", model } { type: "delta", data }* { type: "usage", usage } { type: "end" }
+// or, when the upstream fails midway, { type: "error", error, status? } as the last line.
+// Upstream deltas are relayed as they arrive. The mock replies word by word,
+// AI_MOCK_DELAY_MS (default 5) apart; "mock": { chunk_size, delay_ms, fail_after }
+// in the body overrides that per request.
+//
+// OpenAI-compatible API under /v1, so the official SDKs can use this server as
+// their base URL: POST /v1/chat/completions (SSE "data:" chunks when streaming),
+// GET /v1/models[/<id>] and POST /v1/embeddings. Same providers and usage
+// records as /api/ai/*; errors use OpenAI's { error: { message, type } } shape.
+
+const DEFAULT_AI_MOCK_DELAY_MS = 5;
+const DEFAULT_AI_MOCK_EMBEDDING_DIMENSIONS = 256;
+const AI_MAX_EMBEDDING_DIMENSIONS = 4096;
+
+// Per kind of request: upstream path, default upstream model and mock model
+const AI_ENDPOINTS = {
+  chat: {
+    path: "/v1/chat/completions",
+    model: "gpt-4o-mini",
+    mock: "mock-echo",
+  },
+  embeddings: {
+    path: "/v1/embeddings",
+    model: "text-embedding-3-small",
+    mock: "mock-embedding",
+  },
+};
+
+function estimateTokensFromText(text) {
+  const len = (text || "").length;
+  return Math.max(1, Math.floor(len / 4));
+}
+
+function estimatePromptTokens(messages) {
+  const joined = (messages || []).map((m) => String(m?.content || "")).join(
+    "\n",
+  );
+  return estimateTokensFromText(joined);
+}
+
+async function recordUsage(uid, usage) {
+  try {
+    const key = ["ai_usage", uid, clock.now()];
+    await kv.set(key, usage);
+  } catch (_) {
+    // silent catch
+  }
+}
+
+function aiProvider(model, kind = "chat") {
+  // Picks the provider for a request: the OpenAI-compatible upstream when
+  // OPENAI_API_KEY is set, unless a mock model is asked for
+  const endpoint = AI_ENDPOINTS[kind];
+  const openaiKey = safeEnv("OPENAI_API_KEY");
+  const openaiBase = safeEnv("OPENAI_BASE_URL") || "https://api.openai.com";
+  const selectedModel = model || (openaiKey ? endpoint.model : endpoint.mock);
+  if (
+    !openaiKey || selectedModel === endpoint.mock ||
+    selectedModel.startsWith("mock:")
+  ) {
+    return { name: "mock", model: selectedModel };
+  }
+  return {
+    name: "openai",
+    model: selectedModel,
+    key: openaiKey,
+    url: `${openaiBase.replace(/\/$/, "")}${endpoint.path}`,
+  };
+}
+
+function aiUsage(messages, content, provider, upstream) {
+  // Token counts from the upstream when it reports them, estimates otherwise
+  const prompt = upstream?.prompt_tokens ?? estimatePromptTokens(messages);
+  const completion = upstream?.completion_tokens ??
+    estimateTokensFromText(content);
+  return {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+    model: provider.model,
+    provider: provider.name,
+  };
+}
+
+function aiMockReply(messages) {
+  const lastUser =
+    [...messages].reverse().find((m) => m.role === "user")?.content || "";
+  return `Echo: ${String(lastUser).slice(0, 200)}`;
+}
+
+async function aiChatComplete(uid, messages, model) {
+  const provider = aiProvider(model);
+  const completion = async (content, upstreamUsage) => {
+    const usage = aiUsage(messages, content, provider, upstreamUsage);
     await recordUsage(uid, usage);
     return {
       object: "chat.completion",
-      model: selectedModel,
-      choices: [{
-        index: 0,
-        message: { role: "assistant", content: reply },
-        finish_reason: "stop",
-      }],
-      usage,
-      provider: "openai",
-    };
+      model: provider.model,
+      choices: [{
+        index: 0,
+        message: { role: "assistant", content },
+        finish_reason: "stop",
+      }],
+      usage,
+      provider: provider.name,
+    };
+  };
+
+  if (provider.name === "mock") return await completion(aiMockReply(messages));
+
+  const payload = { model: provider.model, messages, temperature: 0.2 };
+  const res = await fetch(provider.url, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${provider.key}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify(payload),
+  });
+
+  if (!res.ok) {
+    const text = await res.text().catch(() => "");
+    return {
+      ...await completion(`AI error (${res.status}): ${text.slice(0, 200)}`),
+      upstream_status: res.status,
+    };
+  }
+
+  const data = await res.json();
+  return await completion(
+    data?.choices?.[0]?.message?.content ?? "",
+    data?.usage,
+  );
+}
+
+async function aiAvailableModels() {
+  const openaiKey = safeEnv("OPENAI_API_KEY");
+  const openaiBase = safeEnv("OPENAI_BASE_URL") || "https://api.openai.com";
+  const models = [{
+    id: "mock-echo",
+    provider: "mock",
+    type: "chat",
+    context: 4096,
+  }, {
+    id: "mock-embedding",
+    provider: "mock",
+    type: "embedding",
+    context: 8192,
+  }];
+  if (!openaiKey) return models;
+  const url = `${openaiBase.replace(/\/$/, "")}/v1/models`;
+  try {
+    const res = await fetch(url, {
+      headers: { Authorization: `Bearer ${openaiKey}` },
+    });
+    if (!res.ok) return models;
+    const data = await res.json();
+    const list = Array.isArray(data?.data) ? data.data : [];
+    const normalized = list.map((m) => ({
+      id: String(m.id),
+      provider: "openai",
+      type: "chat",
+      context: 128000,
+    }));
+    return models.concat(normalized);
+  } catch (_) {
+    return models;
+  }
+}
+
+function abortableSleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+async function* aiMockChunks(reply, options = {}, signal) {
+  // Options: { chunk_size? (characters; default: word by word), delay_ms?,
+  // fail_after? (throw after that many chunks, to exercise error handling) }
+  const chunkSize = options.chunk_size ?? envNumber("AI_MOCK_CHUNK_SIZE", 0);
+  const delayMs = options.delay_ms ??
+    envNumber("AI_MOCK_DELAY_MS", DEFAULT_AI_MOCK_DELAY_MS);
+  const chunks = chunkSize > 0
+    ? reply.match(new RegExp(`[^]{1,${Math.floor(chunkSize)}}`, "g")) ?? []
+    : reply.match(/\s*\S+\s*/g) ?? [];
+  for (let i = 0; i < chunks.length; i++) {
+    if (options.fail_after !== undefined && i >= options.fail_after) {
+      throw new Error(`Mock failure after ${options.fail_after} chunks`);
+    }
+    if (i > 0 && delayMs > 0) await abortableSleep(delayMs, signal);
+    yield chunks[i];
+  }
+}
+
+async function* sseData(body) {
+  // Yields the data payload of each Server-Sent Event in a response body
+  const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) return;
+      buffer += value;
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split(/\r?\n/)
+          .filter((line) => line.startsWith("data:"))
+          .map((line) => line.slice(5).replace(/^ /, ""))
+          .join("\n");
+        if (data) yield data;
+      }
+    }
+  } finally {
+    await reader.cancel().catch(() => {});
+  }
+}
+
+async function* aiChatEvents(uid, messages, model, options = {}, signal) {
+  // Yields start, delta* and then usage + end, or error. Deltas come straight
+  // from the upstream's own stream; aborting `signal` cancels the upstream
+  // request. Usage (estimated for partial answers) is recorded either way.
+  const provider = aiProvider(model);
+  let content = "";
+  let upstreamUsage;
+  yield { type: "start", model: provider.model };
+  try {
+    if (provider.name === "mock") {
+      for await (
+        const chunk of aiMockChunks(aiMockReply(messages), options.mock, signal)
+      ) {
+        content += chunk;
+        yield { type: "delta", data: chunk };
+      }
+    } else {
+      const res = await fetch(provider.url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${provider.key}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          model: provider.model,
+          messages,
+          temperature: 0.2,
+          stream: true,
+          stream_options: { include_usage: true },
+        }),
+        signal,
+      });
+      if (!res.ok) {
+        const text = await res.text().catch(() => "");
+        yield {
+          type: "error",
+          error: `AI error (${res.status}): ${text.slice(0, 200)}`,
+          status: res.status,
+        };
+        return;
+      }
+      for await (const data of sseData(res.body)) {
+        if (data === "[DONE]") break;
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          yield {
+            type: "error",
+            error: String(chunk.error.message ?? chunk.error),
+          };
+          return;
+        }
+        const delta = chunk.choices?.[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          yield { type: "delta", data: delta };
+        }
+        if (chunk.usage) upstreamUsage = chunk.usage;
+      }
+    }
+    yield {
+      type: "usage",
+      usage: aiUsage(messages, content, provider, upstreamUsage),
+    };
+    yield { type: "end" };
+  } catch (err) {
+    // Nobody is listening after an abort
+    if (signal?.aborted) return;
+    yield { type: "error", error: String(err?.message ?? err) };
+  } finally {
+    await recordUsage(uid, aiUsage(messages, content, provider, upstreamUsage));
+  }
+}
+
+function aiEventResponse(events, abort, encode, headers) {
+  // Streams aiChatEvents through encode (event => text, "" to skip). A client
+  // that disconnects cancels the body, which aborts the upstream request.
+  const encoder = new TextEncoder();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      while (true) {
+        const { value, done } = await events.next();
+        if (done) return controller.close();
+        const text = encode(value);
+        if (text) return controller.enqueue(encoder.encode(text));
+      }
+    },
+    cancel() {
+      abort.abort();
+      events.return();
+    },
+  });
+  return new Response(stream, { headers: { ...CORS_HEADERS, ...headers } });
+}
+
+function aiChatStream(uid, messages, model, options = {}) {
+  // NDJSON: one aiChatEvents event per line
+  const abort = new AbortController();
+  return aiEventResponse(
+    aiChatEvents(uid, messages, model, options, abort.signal),
+    abort,
+    (event) => JSON.stringify(event) + "\n",
+    { "Content-Type": "application/x-ndjson" },
+  );
+}
+
+function aiMockEmbedding(text, dimensions) {
+  // Hashed bag of words, L2-normalized: deterministic, and texts sharing
+  // words come out close to each other
+  const vector = new Array(dimensions).fill(0);
+  for (
+    const word of String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) ?? []
+  ) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+      h = Math.imul(h ^ word.charCodeAt(i), 0x01000193) >>> 0;
+    }
+    vector[h % dimensions] += h & 0x80000000 ? -1 : 1;
+  }
+  const norm = Math.hypot(...vector) || 1;
+  return vector.map((x) => x / norm);
+}
+
+async function aiEmbeddings(uid, input, model, options = {}) {
+  // input: string or array of strings. Options: { dimensions?, encoding_format? }
+  // ("float" or "base64", little-endian float32 as OpenAI sends them)
+  const inputs = Array.isArray(input) ? input : [input];
+  if (!inputs.length || !inputs.every((x) => typeof x === "string")) {
+    return {
+      error: "input must be a string or an array of strings",
+      status: 400,
+    };
+  }
+  const { dimensions, encoding_format: format = "float" } = options;
+  if (
+    dimensions !== undefined &&
+    !(Number.isInteger(dimensions) && dimensions > 0 &&
+      dimensions <= AI_MAX_EMBEDDING_DIMENSIONS)
+  ) {
+    return {
+      error:
+        `dimensions must be an integer from 1 to ${AI_MAX_EMBEDDING_DIMENSIONS}`,
+      status: 400,
+    };
+  }
+  if (format !== "float" && format !== "base64") {
+    return {
+      error: 'encoding_format must be "float" or "base64"',
+      status: 400,
+    };
+  }
+  const provider = aiProvider(model, "embeddings");
+  let data;
+  let upstreamUsage;
+  if (provider.name === "mock") {
+    data = inputs.map((text, index) => {
+      const vector = aiMockEmbedding(
+        text,
+        dimensions ?? DEFAULT_AI_MOCK_EMBEDDING_DIMENSIONS,
+      );
+      const embedding = format === "base64"
+        ? bytesToBase64(new Uint8Array(new Float32Array(vector).buffer))
+        : vector;
+      return { object: "embedding", index, embedding };
+    });
+  } else {
+    const res = await fetch(provider.url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${provider.key}`,
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({
+        model: provider.model,
+        input: inputs,
+        dimensions,
+        encoding_format: format,
+      }),
+    });
+    if (!res.ok) {
+      const text = await res.text().catch(() => "");
+      return {
+        error: `AI error (${res.status}): ${text.slice(0, 200)}`,
+        status: res.status,
+      };
+    }
+    const body = await res.json();
+    data = Array.isArray(body?.data) ? body.data : [];
+    upstreamUsage = body?.usage;
+  }
+  const prompt = upstreamUsage?.prompt_tokens ??
+    estimateTokensFromText(inputs.join("\n"));
+  await recordUsage(uid, {
+    prompt_tokens: prompt,
+    completion_tokens: 0,
+    total_tokens: prompt,
+    model: provider.model,
+    provider: provider.name,
+  });
+  return {
+    object: "list",
+    data,
+    model: provider.model,
+    usage: { prompt_tokens: prompt, total_tokens: prompt },
+  };
+}
+
+function openaiError(status, message, code = null) {
+  return json(status, {
+    error: {
+      message,
+      type: status >= 500 ? "server_error" : "invalid_request_error",
+      param: null,
+      code,
+    },
+  });
+}
+
+function openaiUsage(usage) {
+  // Drops the provider/model fields recordUsage keeps alongside the counts
+  const { prompt_tokens, completion_tokens, total_tokens } = usage;
+  return { prompt_tokens, completion_tokens, total_tokens };
+}
+
+function openaiChatStream(uid, messages, model, includeUsage) {
+  // aiChatEvents as chat.completion.chunk objects on SSE "data:" lines,
+  // finished by "data: [DONE]"
+  const abort = new AbortController();
+  const id = `chatcmpl-${newToken().slice(0, 24)}`;
+  const created = Math.floor(clock.now() / 1000);
+  let chunkModel = model;
+  let usage;
+  const data = (payload) => `data: ${JSON.stringify(payload)}\n\n`;
+  const chunk = (choices, extra) =>
+    data({
+      id,
+      object: "chat.completion.chunk",
+      created,
+      model: chunkModel,
+      choices,
+      ...extra,
+    });
+  return aiEventResponse(
+    aiChatEvents(uid, messages, model, {}, abort.signal),
+    abort,
+    (event) => {
+      switch (event.type) {
+        case "start":
+          chunkModel = event.model;
+          return chunk([{
+            index: 0,
+            delta: { role: "assistant", content: "" },
+            finish_reason: null,
+          }]);
+        case "delta":
+          return chunk([{
+            index: 0,
+            delta: { content: event.data },
+            finish_reason: null,
+          }]);
+        case "usage":
+          usage = openaiUsage(event.usage);
+          return "";
+        case "end":
+          return chunk([{ index: 0, delta: {}, finish_reason: "stop" }]) +
+            (includeUsage && usage ? chunk([], { usage }) : "") +
+            "data: [DONE]\n\n";
+        case "error":
+          return data({
+            error: {
+              message: event.error,
+              type: "server_error",
+              param: null,
+              code: event.status ?? null,
+            },
+          });
+        default:
+          return "";
+      }
+    },
+    { "Content-Type": "text/event-stream", "Cache-Control": "no-cache" },
+  );
+}
+
+async function openaiResponse(req, pathname, auth) {
+  // Handles /v1/*. App tokens are fine here: AI usage is per user, not per app.
+  if (auth.error) return openaiError(401, auth.error, "invalid_api_key");
+  const uid = auth.uid;
+
+  if (req.method === "GET" && pathname.startsWith("/v1/models")) {
+    const models = (await aiAvailableModels()).map((m) => ({
+      id: m.id,
+      object: "model",
+      created: 0,
+      owned_by: m.provider,
+    }));
+    if (pathname === "/v1/models") return ok({ object: "list", data: models });
+    let id;
+    try {
+      id = decodeURIComponent(pathname.slice("/v1/models/".length));
+    } catch {
+      return openaiError(400, "Malformed model id");
+    }
+    const found = models.find((m) => m.id === id);
+    if (found) return ok(found);
+    return openaiError(
+      404,
+      `The model '${id}' does not exist`,
+      "model_not_found",
+    );
+  }
+
+  const isChat = pathname === "/v1/chat/completions";
+  if (req.method === "POST" && (isChat || pathname === "/v1/embeddings")) {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return openaiError(400, "Invalid JSON");
+    }
+    const model = typeof body?.model === "string" && body.model
+      ? body.model
+      : undefined;
+
+    if (!isChat) {
+      const r = await aiEmbeddings(uid, body?.input, model, {
+        dimensions: body?.dimensions,
+        encoding_format: body?.encoding_format,
+      });
+      if (r.error) return openaiError(r.status, r.error);
+      return ok(r);
+    }
+
+    const messages = body?.messages;
+    if (!Array.isArray(messages) || !messages.length) {
+      return openaiError(400, "messages must be a non-empty array");
+    }
+    if (body.stream) {
+      return openaiChatStream(
+        uid,
+        messages,
+        model,
+        Boolean(body.stream_options?.include_usage),
+      );
+    }
+    const r = await aiChatComplete(uid, messages, model);
+    if (r.upstream_status) {
+      return openaiError(r.upstream_status, r.choices[0].message.content);
+    }
+    return ok({
+      id: `chatcmpl-${newToken().slice(0, 24)}`,
+      object: "chat.completion",
+      created: Math.floor(clock.now() / 1000),
+      model: r.model,
+      choices: r.choices,
+      usage: openaiUsage(r.usage),
+    });
   }
 
-  const data = await res.json();
-  const content = data?.choices?.[0]?.message?.content ?? "";
-  const usage = {
-    prompt_tokens: data?.usage?.prompt_tokens ?? estimatePromptTokens(messages),
-    completion_tokens: data?.usage?.completion_tokens ??
-      estimateTokensFromText(content),
-    total_tokens:
-      (data?.usage?.prompt_tokens ?? estimatePromptTokens(messages)) +
-      (data?.usage?.completion_tokens ?? estimateTokensFromText(content)),
-    model: selectedModel,
-    provider: "openai",
-  };
-  await recordUsage(uid, usage);
-  return {
-    object: "chat.completion",
-    model: selectedModel,
-    choices: [{
-      index: 0,
-      message: { role: "assistant", content },
-      finish_reason: "stop",
-    }],
-    usage,
-    provider: "openai",
-  };
+  return openaiError(404, `Unknown endpoint: ${req.method} ${pathname}`);
 }
 
-async function aiAvailableModels() {
-  const openaiKey = safeEnv("OPENAI_API_KEY");
-  const openaiBase = safeEnv("OPENAI_BASE_URL") || "https://api.openai.com";
-  const models = [{
-    id: "mock-echo",
-    provider: "mock",
-    type: "chat",
-    context: 4096,
-  }];
-  if (!openaiKey) return models;
-  const url = `${openaiBase.replace(/\/$/, "")}/v1/models`;
+// ------------------------------
+// Popup sign-in (puter.auth.signIn)
+// ------------------------------
+//
+// puter.auth.signIn() opens /action/sign-in?embedded_in_popup=true&msg_id=<n>
+// and waits for window.opener to receive:
+//   { msg_id, success: true, token, username }   or   { msg_id, success: false, error }
+//
+// - GET renders a test login form (or auto-approves SIGNIN_AUTO_USER when set)
+// - POST runs the same credential / 2FA checks as /login and /login/otp
+//
+// The result is posted only to the opener's origin: ?origin= if given, else the
+// Referer's origin, else this server's. It must be this server, a loopback
+// origin or one listed in SIGNIN_ALLOWED_ORIGINS; other origins get a 403 page
+// and no session, so no page elsewhere can collect a token.
+
+const SIGNIN_LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+
+function signInOrigin(req, requested) {
+  // Returns the origin to post the result to, or null when it isn't allowed
+  const self = new URL(req.url).origin;
+  let origin;
   try {
-    const res = await fetch(url, {
-      headers: { Authorization: `Bearer ${openaiKey}` },
-    });
-    if (!res.ok) return models;
-    const data = await res.json();
-    const list = Array.isArray(data?.data) ? data.data : [];
-    const normalized = list.map((m) => ({
-      id: String(m.id),
-      provider: "openai",
-      type: "chat",
-      context: 128000,
-    }));
-    return models.concat(normalized);
-  } catch (_) {
-    return models;
+    origin = new URL(requested || req.headers.get("referer") || self).origin;
+  } catch {
+    return null;
   }
+  const allowed = (safeEnv("SIGNIN_ALLOWED_ORIGINS") || "").split(",")
+    .map((o) => o.trim()).filter(Boolean);
+  if (
+    origin === self || allowed.includes(origin) ||
+    (origin !== "null" &&
+      SIGNIN_LOOPBACK_HOSTS.includes(new URL(origin).hostname))
+  ) {
+    return origin;
+  }
+  return null;
 }
 
-async function aiChatStream(uid, messages, model) {
-  const res = await aiChatComplete(uid, messages, model);
-  const text = res?.choices?.[0]?.message?.content ?? "";
-  const encoder = new TextEncoder();
-  const stream = new ReadableStream({
-    async start(controller) {
-      controller.enqueue(
-        encoder.encode(
-          JSON.stringify({ type: "start", model: res.model }) + "\n",
-        ),
-      );
-      const parts = String(text).split(/\s+/);
-      for (const p of parts) {
-        controller.enqueue(
-          encoder.encode(
-            JSON.stringify({ type: "delta", data: p + " " }) + "\n",
-          ),
-        );
-        await new Promise((r) => setTimeout(r, 5));
-      }
-      controller.enqueue(
-        encoder.encode(
-          JSON.stringify({ type: "usage", usage: res.usage }) + "\n",
-        ),
-      );
-      controller.enqueue(
-        encoder.encode(JSON.stringify({ type: "end" }) + "\n"),
-      );
-      controller.close();
-    },
-  });
-  return new Response(stream, {
-    headers: { "Content-Type": "application/x-ndjson", ...CORS_HEADERS },
-  });
+function signInRefusedPage() {
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Sign in (Puter mock)</title></head>
+<body>
+  <p>This site isn't allowed to sign in here (see SIGNIN_ALLOWED_ORIGINS).</p>
+</body>
+</html>`;
+}
+
+function signInPage({ msgId, origin, error, otpToken }) {
+  const hidden = `<input type="hidden" name="msg_id" value="${
+    escapeHtml(msgId)
+  }">
+    <input type="hidden" name="origin" value="${escapeHtml(origin)}">`;
+  const fields = otpToken
+    ? `<input type="hidden" name="otp_jwt_token" value="${
+      escapeHtml(otpToken)
+    }">
+      <label>Authenticator code <input name="code" autocomplete="one-time-code" autofocus></label>`
+    : `<label>Username or email <input name="username" autocomplete="username" autofocus></label>
+      <label>Password <input name="password" type="password" autocomplete="current-password"></label>`;
+  return `<!doctype html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Sign in (Puter mock)</title>
+  <style>
+    body { font-family: system-ui, sans-serif; max-width: 320px; margin: 48px auto; }
+    label { display: block; margin: 12px 0; }
+    input:not([type=hidden]) { display: block; width: 100%; box-sizing: border-box; }
+    .error { color: #b00020; }
+  </style>
+</head>
+<body>
+  <h1>Sign in</h1>
+  ${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+  <form method="POST" action="/action/sign-in">
+    ${hidden}
+    ${fields}
+    <button type="submit">Sign in</button>
+    <button type="submit" name="cancel" value="1">Cancel</button>
+  </form>
+</body>
+</html>`;
+}
+
+function signInResultPage(message, origin) {
+  // origin: checked by signInOrigin; the browser drops the message unless the
+  // opener really is on it.
+  // The SDK generates numeric msg_ids; send them back with the same type
+  if (/^[0-9]+$/.test(message.msg_id)) message.msg_id = Number(message.msg_id);
+  // JSON is embedded in a <script>; escape "<" so no value can close the tag
+  const payload = JSON.stringify(message).replace(/</g, "\\u003c");
+  const target = JSON.stringify(origin).replace(/</g, "\\u003c");
+  return `<!doctype html>
+<html>
+<head><meta charset="utf-8"><title>Signing in…</title></head>
+<body>
+  <p>${
+    message.success
+      ? "Signed in. You can close this window."
+      : "Sign-in cancelled."
+  }</p>
+  <script>
+    const message = ${payload};
+    if (window.opener) {
+      window.opener.postMessage(message, ${target});
+      window.close();
+    }
+  </script>
+</body>
+</html>`;
+}
+
+async function signInAutoUser() {
+  // Returns the configured auto-approve account, creating it on first use
+  const username = safeEnv("SIGNIN_AUTO_USER");
+  if (!username) return null;
+  const existing = await getUser(username);
+  if (existing) return existing;
+  const r = await createUser({ username, password: newToken() });
+  return r.user ?? null;
 }
 
 // ------------------------------
@@ -577,7 +5368,23 @@ async function handle(req) {
 
   const url = new URL(req.url);
   const { pathname, searchParams } = url;
-  const uid = parseAuthUser(req);
+
+  // Hosted sites by Host header: the whole host belongs to the site
+  const siteName = siteNameFromHost(req.headers.get("host"));
+  if (siteName) {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      return json(405, { error: "Method not allowed" });
+    }
+    let rest;
+    try {
+      rest = decodeURIComponent(pathname.slice(1));
+    } catch {
+      return badRequest("Malformed path");
+    }
+    return await siteResponse(req, siteName, rest);
+  }
+
+  const auth = await resolveAuth(req);
 
   // Root
   if (req.method === "GET" && pathname === "/") {
@@ -588,24 +5395,81 @@ async function handle(req) {
         "/api/simple",
         "/api/hello",
         "/api/randName",
+        "/signup (POST)",
         "/login (POST)",
         "/login/otp (POST)",
+        "/login/recovery-code (POST)",
         "/logout (POST)",
+        "/action/sign-in (GET, POST)",
+        "/passwd (POST)",
+        "/delete-own-user (POST)",
+        "/auth/configure-2fa/{setup,test,enable,disable} (POST)",
         "/api/kv/set (POST)",
         "/api/kv/get (GET)",
+        "/api/kv/expire (POST)",
+        "/api/kv/incr (POST)",
+        "/api/kv/decr (POST)",
         "/api/kv/delete (DELETE)",
         "/api/kv/list (GET)",
+        "/api/kv/mget (POST)",
+        "/api/kv/mset (POST)",
+        "/api/kv/mdelete (POST)",
+        "/api/kv/flush (POST)",
+        "/api/kv/limits (GET, POST)",
         "/api/fs/write (POST)",
         "/api/fs/read (GET)",
+        "/api/fs/raw (GET, HEAD, PUT)",
+        "/api/fs/upload (POST, multipart)",
         "/api/fs/mkdir (POST)",
         "/api/fs/copy (POST)",
         "/api/fs/move (POST)",
+        "/api/fs/rename (POST)",
         "/api/fs/delete (DELETE)",
+        "/api/fs/space (GET, POST)",
+        "/api/fs/trash (GET)",
+        "/api/fs/trash/restore (POST)",
+        "/api/fs/trash/empty (POST)",
+        "/api/fs/versions (GET)",
+        "/api/fs/versions/read (GET)",
+        "/api/fs/versions/restore (POST)",
         "/api/fs/list (GET)",
+        "/api/fs/stat (GET)",
+        "/api/fs/search (GET)",
+        "/api/fs/zip (GET)",
+        "/api/fs/unzip (POST)",
+        "/api/fs/share (POST)",
+        "/api/fs/unshare (POST)",
+        "/api/fs/shares (GET)",
+        "/api/fs/shared (GET)",
+        "/api/fs/links (GET, POST, DELETE)",
+        "/s/:token (GET, public share links)",
+        "/api/events (GET, SSE or WebSocket)",
+        "/api/hosting/create (POST)",
+        "/api/hosting/update (POST)",
+        "/api/hosting/get (GET)",
+        "/api/hosting/list (GET)",
+        "/api/hosting/delete (DELETE)",
+        "/sites/:name/ or <name>.HOSTING_DOMAIN (GET, hosted sites)",
+        "/api/apps/create (POST)",
+        "/api/apps/update (POST)",
+        "/api/apps/get (GET)",
+        "/api/apps/list (GET)",
+        "/api/apps/delete (DELETE)",
+        "/auth/get-user-app-token (POST)",
+        "/api/workers/create (POST)",
+        "/api/workers/get (GET)",
+        "/api/workers/list (GET)",
+        "/api/workers/logs (GET)",
+        "/api/workers/delete (DELETE)",
+        "/workers/:name/* (any method, runs the worker)",
         "/api/ai/chat (POST)",
         "/api/ai/models (GET)",
+        "/v1/chat/completions (POST, OpenAI-compatible)",
+        "/v1/models (GET, OpenAI-compatible)",
+        "/v1/embeddings (POST, OpenAI-compatible)",
+        "/api/user (GET)",
       ],
-      user: uid,
+      user: auth.uid ?? null,
     });
   }
 
@@ -617,6 +5481,23 @@ async function handle(req) {
     return ok({ message: "Hello, World!" });
   }
 
+  if (req.method === "POST" && pathname === "/signup") {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const r = await createUser({
+      username: body?.username,
+      email: body?.email,
+      password: body?.password,
+    });
+    if (r.error) return fail(r);
+    const { token } = await createSession(r.user);
+    return ok({ proceed: true, token, user: publicUser(r.user) });
+  }
+
   if (req.method === "POST" && pathname === "/login") {
     let body;
     try {
@@ -624,28 +5505,21 @@ async function handle(req) {
     } catch {
       return badRequest("Invalid JSON");
     }
-    const username = String(body?.username || "").trim();
-    const password = String(body?.password || "").trim();
-    if (!username || !password) {
+    const login = String(body?.username || body?.email || "").trim();
+    const password = String(body?.password || "");
+    if (!login || !password) {
       return badRequest("username and password are required");
     }
-    const needsOtp = /otp/i.test(username) || /2fa/i.test(username);
-    if (needsOtp) {
-      const otpToken = Math.random().toString(36).slice(2) +
-        Math.random().toString(36).slice(2);
-      await kv.set(["auth", "otp", otpToken], {
-        username,
-        created_at: Date.now(),
+    const r = await passwordLogin(login, password);
+    if (r.error) return fail(r);
+    if (r.otp_jwt_token) {
+      return ok({
+        proceed: true,
+        next_step: "otp",
+        otp_jwt_token: r.otp_jwt_token,
       });
-      return ok({ proceed: true, next_step: "otp", otp_jwt_token: otpToken });
     }
-    const token = Math.random().toString(36).slice(2) +
-      Math.random().toString(36).slice(2);
-    await kv.set(["auth", "token", token], {
-      username,
-      created_at: Date.now(),
-    });
-    return ok({ proceed: true, token });
+    return ok({ proceed: true, token: r.token });
   }
 
   if (req.method === "POST" && pathname === "/login/otp") {
@@ -658,35 +5532,253 @@ async function handle(req) {
     const otpToken = String(body?.token || "").trim();
     const code = String(body?.code || "").trim();
     if (!otpToken || !code) return badRequest("token and code are required");
-    if (!/^[0-9]{6}$/.test(code)) return badRequest("Invalid OTP code");
-    const r = await kv.get(["auth", "otp", otpToken]);
-    if (!r.value) return badRequest("Invalid or expired token");
-    const username = r.value.username || "user";
-    await kv.delete(["auth", "otp", otpToken]);
-    const token = Math.random().toString(36).slice(2) +
-      Math.random().toString(36).slice(2);
-    await kv.set(["auth", "token", token], {
-      username,
-      created_at: Date.now(),
-      via: "otp",
+    const r = await consumeOtpChallenge(otpToken, code);
+    if (r.error) return fail(r);
+    const { token } = await createSession(r.user, { via: "otp" });
+    return ok({ proceed: true, next_step: "complete", token });
+  }
+
+  if (req.method === "POST" && pathname === "/login/recovery-code") {
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const otpToken = String(body?.token || "").trim();
+    const code = String(body?.code || "").trim();
+    if (!otpToken || !code) return badRequest("token and code are required");
+    const r = await consumeOtpChallenge(otpToken, code, { recovery: true });
+    if (r.error) return fail(r);
+    const { token } = await createSession(r.user, {
+      via: "recovery-code",
     });
     return ok({ proceed: true, next_step: "complete", token });
   }
 
   if (req.method === "POST" && pathname === "/logout") {
-    const auth = req.headers.get("authorization") || "";
-    const m = auth.match(/^Bearer\s+(.+)$/i);
-    if (!m) return ok({ proceed: true, status: "already_logged_out" });
-    const token = m[1].trim();
-    await kv.delete(["auth", "token", token]);
+    const token = parseBearerToken(req);
+    if (!token) return ok({ proceed: true, status: "already_logged_out" });
+    await revokeSession(token);
     return ok({ proceed: true, status: "logged_out" });
   }
 
+  // ------------- POPUP SIGN-IN -------------
+  if (req.method === "GET" && pathname === "/action/sign-in") {
+    const msgId = searchParams.get("msg_id") || "";
+    const origin = signInOrigin(req, searchParams.get("origin"));
+    if (!origin) return html(403, signInRefusedPage());
+    const autoUser = await signInAutoUser();
+    if (autoUser) {
+      const { token } = await createSession(autoUser, {
+        via: "popup",
+      });
+      return html(
+        200,
+        signInResultPage({
+          msg_id: msgId,
+          success: true,
+          token,
+          username: autoUser.username,
+        }, origin),
+      );
+    }
+    return html(200, signInPage({ msgId, origin }));
+  }
+
+  if (req.method === "POST" && pathname === "/action/sign-in") {
+    let form;
+    try {
+      form = await req.formData();
+    } catch {
+      return html(
+        400,
+        signInPage({ msgId: "", origin: "", error: "Invalid form" }),
+      );
+    }
+    const msgId = String(form.get("msg_id") || "");
+    const origin = signInOrigin(req, String(form.get("origin") || ""));
+    if (!origin) return html(403, signInRefusedPage());
+    if (form.get("cancel")) {
+      return html(
+        200,
+        signInResultPage(
+          { msg_id: msgId, success: false, error: "cancelled" },
+          origin,
+        ),
+      );
+    }
+
+    let r;
+    const otpToken = String(form.get("otp_jwt_token") || "");
+    if (otpToken) {
+      r = await consumeOtpChallenge(otpToken, String(form.get("code") || ""));
+      if (r.error) {
+        return html(
+          400,
+          signInPage({ msgId, origin, otpToken, error: r.error }),
+        );
+      }
+      r.token = (await createSession(r.user, { via: "popup" })).token;
+    } else {
+      const login = String(form.get("username") || "").trim();
+      const password = String(form.get("password") || "");
+      if (!login || !password) {
+        return html(
+          400,
+          signInPage({
+            msgId,
+            origin,
+            error: "username and password are required",
+          }),
+        );
+      }
+      r = await passwordLogin(login, password);
+      if (r.error) {
+        return html(400, signInPage({ msgId, origin, error: r.error }));
+      }
+      if (r.otp_jwt_token) {
+        return html(
+          200,
+          signInPage({ msgId, origin, otpToken: r.otp_jwt_token }),
+        );
+      }
+    }
+    return html(
+      200,
+      signInResultPage({
+        msg_id: msgId,
+        success: true,
+        token: r.token,
+        username: r.user.username,
+      }, origin),
+    );
+  }
+
   // Rand name
   if (req.method === "GET" && pathname === "/api/randName") {
     return ok({ name: randName() });
   }
 
+  // ------------- PUBLIC SHARE LINKS -------------
+  const linkMatch = pathname.match(/^\/s\/([0-9a-f]+)(?:\/(.*))?$/);
+  if ((req.method === "GET" || req.method === "HEAD") && linkMatch) {
+    let rest;
+    try {
+      rest = decodeURIComponent(linkMatch[2] || "");
+    } catch {
+      return badRequest("Malformed path");
+    }
+    return await fsLinkResponse(req, linkMatch[1], rest, searchParams);
+  }
+
+  // ------------- HOSTED SITES -------------
+  const siteMatch = pathname.match(/^\/sites\/([^/]+)(\/.*)?$/);
+  if ((req.method === "GET" || req.method === "HEAD") && siteMatch) {
+    if (!siteMatch[2]) {
+      return new Response(null, {
+        status: 301,
+        headers: { ...CORS_HEADERS, Location: `${pathname}/${url.search}` },
+      });
+    }
+    let rest;
+    try {
+      rest = decodeURIComponent(siteMatch[2].slice(1));
+    } catch {
+      return badRequest("Malformed path");
+    }
+    return await siteResponse(req, siteMatch[1].toLowerCase(), rest);
+  }
+
+  // ------------- WORKERS (public endpoints) -------------
+  const workerMatch = pathname.match(/^\/workers\/([^/]+)(?:\/(.*))?$/);
+  if (workerMatch) {
+    return await workerResponse(
+      req,
+      workerMatch[1].toLowerCase(),
+      workerMatch[2] || "",
+    );
+  }
+
+  // ------------- OPENAI-COMPATIBLE API -------------
+  // Checks the session itself so that errors come back in OpenAI's shape
+  if (pathname === "/v1" || pathname.startsWith("/v1/")) {
+    return await openaiResponse(req, pathname, auth);
+  }
+
+  // Everything below requires a valid session (or opt-in anonymous access)
+  if (auth.error) return unauthorized(auth.error);
+  // With an app token, KV, FS and events use the app's namespace for the user;
+  // AI chat and user info are allowed as the user and every other route is
+  // refused
+  if (
+    auth.session?.app && !APP_TOKEN_ROUTES.test(pathname) &&
+    !APP_TOKEN_SHARED_ROUTES.test(pathname)
+  ) {
+    return fail({ error: "Not available to app tokens", status: 403 });
+  }
+  const uid = auth.session?.app && APP_TOKEN_ROUTES.test(pathname)
+    ? appDataUid(auth.uid, auth.session.app)
+    : auth.uid;
+
+  // ------------- ACCOUNT ENDPOINTS -------------
+  if (req.method === "POST" && pathname === "/passwd") {
+    // Body: { old_pass, new_pass }
+    if (!auth.user) return unauthorized("Authentication required");
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.old_pass || !body?.new_pass) {
+      return badRequest("old_pass and new_pass are required");
+    }
+    const r = await changePassword(uid, body.old_pass, body.new_pass);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/delete-own-user") {
+    // Body: { password }
+    if (!auth.user) return unauthorized("Authentication required");
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.password) return badRequest("password is required");
+    const r = await deleteUser(uid, body.password);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  // ------------- 2FA ENDPOINTS -------------
+  if (
+    req.method === "POST" && pathname.startsWith("/auth/configure-2fa/")
+  ) {
+    // Actions: setup, test { code }, enable { code }, disable { password }
+    if (!auth.user) return unauthorized("Authentication required");
+    const action = pathname.slice("/auth/configure-2fa/".length);
+    let body = {};
+    if (action !== "setup") {
+      try {
+        body = await req.json();
+      } catch {
+        return badRequest("Invalid JSON");
+      }
+    }
+    let r;
+    if (action === "setup") r = await setup2fa(uid);
+    else if (action === "test") r = await test2fa(uid, body?.code);
+    else if (action === "enable") r = await enable2fa(uid, body?.code);
+    else if (action === "disable") r = await disable2fa(uid, body?.password);
+    else return notFound("Unknown 2FA action");
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
   // ------------- KV ENDPOINTS -------------
   if (req.method === "POST" && pathname === "/api/kv/set") {
     let body = null;
@@ -697,36 +5789,192 @@ async function handle(req) {
     }
     const key = body?.key;
     const value = body?.value;
-    if (!key || value === undefined) {
-      return badRequest("Key and value required");
+    if (value === undefined) return badRequest("Key and value required");
+    const expectedVersion = body?.expectedVersion;
+    if (
+      expectedVersion !== undefined && expectedVersion !== null &&
+      typeof expectedVersion !== "string"
+    ) {
+      return badRequest("expectedVersion must be a string or null");
     }
-    const r = await kvSet(uid, key, value);
+    const expiry = parseExpiry(body);
+    if (expiry.error) return fail(expiry);
+    const r = await kvSet(uid, key, value, {
+      expectedVersion,
+      expireAt: expiry.expireAt,
+    });
+    if (r.error) return fail(r);
     return ok(r);
   }
 
   if (req.method === "GET" && pathname === "/api/kv/get") {
-    const key = searchParams.get("key");
-    if (!key) return badRequest("Key required");
-    const v = await kvGet(uid, key);
-    return ok({ key: ensureScopeKey(key), value: v });
+    const r = await kvGet(uid, searchParams.get("key"));
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/expire") {
+    // Body: { key, expireIn? (ms), expireAt? (epoch ms) }; neither clears the expiry
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const expiry = parseExpiry(body);
+    if (expiry.error) return fail(expiry);
+    const r = await kvExpire(uid, body?.key, expiry.expireAt);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (
+    req.method === "POST" &&
+    (pathname === "/api/kv/incr" || pathname === "/api/kv/decr")
+  ) {
+    // Body: { key, amount? = 1 }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const amount = body?.amount ?? 1;
+    if (typeof amount !== "number" || !Number.isFinite(amount)) {
+      return badRequest("amount must be a number");
+    }
+    const sign = pathname === "/api/kv/decr" ? -1 : 1;
+    const r = await kvIncr(uid, body?.key, sign * amount);
+    if (r.error) return fail(r);
+    return ok(r);
   }
 
   if (req.method === "DELETE" && pathname === "/api/kv/delete") {
-    const key = searchParams.get("key");
-    if (!key) return badRequest("Key required");
-    const r = await kvDelete(uid, key);
+    const r = await kvDelete(uid, searchParams.get("key"));
+    if (r.error) return fail(r);
     return ok(r);
   }
 
   if (req.method === "GET" && pathname === "/api/kv/list") {
-    const prefix = searchParams.get("prefix") || "";
-    const items = await kvList(uid, prefix);
-    return ok({ items });
+    // Query: prefix?, pattern? (glob), limit?, cursor?, keysOnly?, reverse?
+    const limitParam = searchParams.get("limit");
+    const limit = limitParam === null ? undefined : Number(limitParam);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return badRequest("limit must be a positive integer");
+    }
+    let r;
+    try {
+      r = await kvList(uid, {
+        prefix: searchParams.get("prefix") || "",
+        pattern: searchParams.get("pattern") || undefined,
+        limit,
+        cursor: searchParams.get("cursor") || undefined,
+        keysOnly: searchParams.get("keysOnly") === "true",
+        reverse: searchParams.get("reverse") === "true",
+      });
+    } catch {
+      // Deno KV rejects cursors that don't belong to the selected range
+      return badRequest("Invalid cursor");
+    }
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/mget") {
+    // Body: { keys: [key, ...] }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const keys = body?.keys;
+    if (!Array.isArray(keys) || !keys.length) {
+      return badRequest("keys must be a non-empty array");
+    }
+    const r = await kvGetMany(uid, keys);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/mset") {
+    // Body: { items: [{ key, value, expireIn?, expireAt? }, ...] }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const items = body?.items;
+    if (!Array.isArray(items) || !items.length) {
+      return badRequest("items must be a non-empty array");
+    }
+    if (items.length > KV_BATCH_MAX) {
+      return badRequest(`At most ${KV_BATCH_MAX} items per batch`);
+    }
+    const writes = [];
+    for (const item of items) {
+      if (item?.value === undefined) {
+        return badRequest("Every item needs a key and a value");
+      }
+      const expiry = parseExpiry(item);
+      if (expiry.error) return fail(expiry);
+      writes.push({
+        key: item.key,
+        value: item.value,
+        expireAt: expiry.expireAt,
+      });
+    }
+    const r = await kvSetMany(uid, writes);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/mdelete") {
+    // Body: { keys: [key, ...] }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const keys = body?.keys;
+    if (!Array.isArray(keys) || !keys.length) {
+      return badRequest("keys must be a non-empty array");
+    }
+    if (keys.length > KV_BATCH_MAX) {
+      return badRequest(`At most ${KV_BATCH_MAX} keys per batch`);
+    }
+    const r = await kvDeleteMany(uid, keys);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/flush") {
+    const r = await kvFlush(uid);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/kv/limits") {
+    return ok({ limits: await kvLimits(uid), usage: await kvUsage(uid) });
+  }
+
+  if (req.method === "POST" && pathname === "/api/kv/limits") {
+    // Body: { max_key_bytes?, max_value_bytes?, max_keys? } (null resets to the global value)
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON body");
+    }
+    const r = await kvSetLimits(uid, body);
+    if (r.error) return fail(r);
+    return ok(r);
   }
 
   // ------------- FS ENDPOINTS -------------
   if (req.method === "POST" && pathname === "/api/fs/write") {
-    // Body: { path, content, encoding? = "utf8" | "base64" }
+    // Body: { path, content, encoding? = "utf8" | "base64", overwrite?, dedupeName?, createMissingParents?, owner? }
     let body;
     try {
       body = await req.json();
@@ -752,24 +6000,146 @@ async function handle(req) {
       return badRequest("Failed to decode content");
     }
 
-    const res = await fsWrite(uid, path, bytes);
-    if (res.error) return badRequest(res.error);
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const res = await fsWrite(
+      owner,
+      path,
+      bytes,
+      parseFsOptions((k) => body[k]),
+    );
+    if (res.error) return fail(res);
     return ok(res);
   }
 
+  if (
+    (req.method === "GET" || req.method === "HEAD") &&
+    pathname === "/api/fs/raw"
+  ) {
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    return await fsRawResponse(req, owner, path);
+  }
+
+  if (req.method === "PUT" && pathname === "/api/fs/raw") {
+    // Raw request body becomes the file content
+    // Query: path, overwrite?, dedupeName?, createMissingParents?, owner?
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const conditions = fsWriteConditions(req);
+    const precondition = await fsCheckWritePreconditions(
+      owner,
+      path,
+      conditions,
+    );
+    if (precondition) return fail(precondition);
+    const bytes = new Uint8Array(await req.arrayBuffer());
+    const r = await fsWrite(owner, path, bytes, {
+      ...parseFsOptions((k) => searchParams.get(k)),
+      conditions,
+    });
+    if (r.error) return fail(r);
+    const meta = await fsRead(owner, r.path);
+    return ok({ ...r, etag: fileEtag(meta), type: mimeTypeOf(r.path) });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/upload") {
+    // multipart/form-data: path = target directory, every file part is stored in it
+    // (overwrite / dedupeName / createMissingParents / owner may be sent as form fields)
+    let form;
+    try {
+      form = await req.formData();
+    } catch {
+      return badRequest("Expected multipart/form-data");
+    }
+    const dir = asDirPath(String(form.get("path") || "/"));
+    const owner = String(form.get("owner") || uid);
+    const denied = await fsAuthorize(uid, owner, [[dir, "write"]]);
+    if (denied) return fail(denied);
+    const options = parseFsOptions((k) => form.get(k));
+    const files = [...form.values()].filter((v) => v instanceof File);
+    if (!files.length) return badRequest("No files in upload");
+    const saved = [];
+    for (const file of files) {
+      const name = file.name.split(/[\\/]/).pop();
+      if (!name || name === "." || name === "..") {
+        return badRequest("Invalid file name");
+      }
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      const r = await fsWrite(owner, dir + name, bytes, options);
+      if (r.error) return fail(r);
+      saved.push({ ...r, type: mimeTypeOf(r.path) });
+    }
+    return ok({ saved });
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/zip") {
+    // Query: path (directory), owner?; streams the subtree as a zip
+    const path = searchParams.get("path") || "/";
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    const r = await fsZip(owner, path);
+    if (r.error) return fail(r);
+    return new Response(r.stream, {
+      headers: {
+        ...CORS_HEADERS,
+        "Content-Type": "application/zip",
+        "Content-Disposition": `attachment; filename*=UTF-8''${
+          encodeURIComponent(r.name + ".zip")
+        }`,
+        "Cache-Control": "no-cache",
+      },
+    });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/unzip") {
+    // Raw request body is a zip archive, extracted into the directory `path`
+    // Query: path, overwrite?, dedupeName?, createMissingParents?, owner?
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const bytes = new Uint8Array(await req.arrayBuffer());
+    const r = await fsUnzip(
+      owner,
+      path,
+      bytes,
+      parseFsOptions((k) => searchParams.get(k)),
+    );
+    if (r.error && r.saved) {
+      const { error, code, status, saved, dirs } = r;
+      return json(status, { error, code, saved, dirs });
+    }
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
   if (req.method === "GET" && pathname === "/api/fs/read") {
-    // Query: path, encoding? = "utf8" | "base64"
+    // Query: path, encoding? = "utf8" | "base64", owner?
     const path = searchParams.get("path");
     if (!path) return badRequest("path is required");
     const encoding = (searchParams.get("encoding") || "utf8").toLowerCase();
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
 
-    const v = await fsRead(uid, path);
+    const v = await fsRead(owner, path);
     if (!v) return notFound("File not found");
+    const bytes = await fsReadContent(owner, v);
     let content;
     if (encoding === "base64") {
-      content = btoa(String.fromCharCode(...new Uint8Array(v.content)));
+      content = bytesToBase64(bytes);
     } else {
-      content = new TextDecoder().decode(new Uint8Array(v.content));
+      content = new TextDecoder().decode(bytes);
     }
     return ok({
       path: asFilePath(path),
@@ -782,6 +6152,7 @@ async function handle(req) {
   }
 
   if (req.method === "POST" && pathname === "/api/fs/mkdir") {
+    // Body: { path, overwrite?, dedupeName?, createMissingParents?, owner? }
     let body;
     try {
       body = await req.json();
@@ -790,11 +6161,16 @@ async function handle(req) {
     }
     const path = body?.path;
     if (!path) return badRequest("path is required");
-    const r = await fsMkdir(uid, path);
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const r = await fsMkdir(owner, path, parseFsOptions((k) => body[k]));
+    if (r.error) return fail(r);
     return ok(r);
   }
 
   if (req.method === "POST" && pathname === "/api/fs/copy") {
+    // Body: { src, dest, overwrite?, dedupeName?, createMissingParents?, newName?, owner? }
     let body;
     try {
       body = await req.json();
@@ -804,12 +6180,19 @@ async function handle(req) {
     const src = body?.src;
     const dest = body?.dest;
     if (!src || !dest) return badRequest("src and dest are required");
-    const r = await fsCopy(uid, src, dest);
-    if (r.error) return badRequest(r.error);
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [
+      [src, "read"],
+      [dest, "write"],
+    ]);
+    if (denied) return fail(denied);
+    const r = await fsCopy(owner, src, dest, parseFsOptions((k) => body[k]));
+    if (r.error) return fail(r);
     return ok(r);
   }
 
   if (req.method === "POST" && pathname === "/api/fs/move") {
+    // Body: { src, dest, overwrite?, dedupeName?, createMissingParents?, newName?, owner? }
     let body;
     try {
       body = await req.json();
@@ -819,24 +6202,561 @@ async function handle(req) {
     const src = body?.src;
     const dest = body?.dest;
     if (!src || !dest) return badRequest("src and dest are required");
-    const r = await fsMove(uid, src, dest);
-    if (r.error) return badRequest(r.error);
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [
+      [src, "write"],
+      [dest, "write"],
+    ]);
+    if (denied) return fail(denied);
+    const r = await fsMove(owner, src, dest, parseFsOptions((k) => body[k]));
+    if (r.error) return fail(r);
     return ok(r);
   }
 
+  if (req.method === "POST" && pathname === "/api/fs/rename") {
+    // Body: { path, newName, owner? } -> the renamed entry
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const path = body?.path;
+    const newName = body?.newName;
+    if (!path || !newName) return badRequest("path and newName are required");
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const r = await fsRename(owner, path, String(newName));
+    if (r.error) return fail(r);
+    return ok(await fsStatEntry(owner, r.to));
+  }
+
   if (req.method === "DELETE" && pathname === "/api/fs/delete") {
     const path = searchParams.get("path");
     if (!path) return badRequest("path is required");
-    const r = await fsDelete(uid, path);
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    // Items go to the owner's trash unless permanent=true
+    const permanent = /^(1|true)$/.test(searchParams.get("permanent") || "");
+    const r = permanent
+      ? await fsDelete(owner, path)
+      : await fsTrash(owner, path);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/space") {
+    return ok(await fsSpace(uid));
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/space") {
+    // Body: { capacity: bytes | null } (mock-only: lets tests shrink the quota)
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (body?.capacity === undefined) return badRequest("capacity is required");
+    const r = await fsSetCapacity(uid, body.capacity);
+    if (r.error) return badRequest(r.error);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/trash") {
+    return ok({ items: await fsListTrash(uid) });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/trash/restore") {
+    // Body: { uid, path?, overwrite?, dedupeName?, createMissingParents? }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.uid) return badRequest("uid is required");
+    const options = parseFsOptions((k) => body[k]);
+    if (body.path) options.path = String(body.path);
+    const r = await fsRestore(uid, body.uid, options);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/trash/empty") {
+    const r = await fsEmptyTrash(uid);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/versions") {
+    // Query: path, owner? -> newest first
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    const r = await fsListVersions(owner, path);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/versions/read") {
+    // Query: path, id, encoding? = "utf8" | "base64", owner?
+    const path = searchParams.get("path");
+    const id = searchParams.get("id");
+    if (!path || !id) return badRequest("path and id are required");
+    const encoding = (searchParams.get("encoding") || "utf8").toLowerCase();
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    const r = await fsReadVersion(owner, path, id);
+    if (r.error) return fail(r);
+    const bytes = await fsReadContent(owner, r.version);
+    return ok({
+      path: r.path,
+      id: r.version.id,
+      size: r.version.size,
+      mtime: r.version.mtime,
+      encoding,
+      content: encoding === "base64"
+        ? bytesToBase64(bytes)
+        : new TextDecoder().decode(bytes),
+    });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/versions/restore") {
+    // Body: { path, id, owner? }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const path = body?.path;
+    const id = body?.id;
+    if (!path || !id) return badRequest("path and id are required");
+    const owner = String(body.owner || uid);
+    const denied = await fsAuthorize(uid, owner, [[path, "write"]]);
+    if (denied) return fail(denied);
+    const r = await fsRestoreVersion(owner, path, id);
+    if (r.error) return fail(r);
     return ok(r);
   }
 
+  if (req.method === "GET" && pathname === "/api/fs/stat") {
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    const entry = await fsStatEntry(owner, path);
+    if (entry.error) return fail(entry);
+    return ok(entry);
+  }
+
   if (req.method === "GET" && pathname === "/api/fs/list") {
+    // Query: path, depth? (default 1), recursive? (= unlimited depth), owner?
     const path = searchParams.get("path") || "/";
-    const items = await fsList(uid, path);
+    const owner = searchParams.get("owner") || uid;
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    let depth = 1;
+    if (/^(1|true)$/.test(searchParams.get("recursive") || "")) {
+      depth = Infinity;
+    } else if (searchParams.has("depth")) {
+      depth = Number(searchParams.get("depth"));
+      if (!Number.isInteger(depth) || depth < 1) {
+        return badRequest("depth must be a positive integer");
+      }
+    }
+    const items = await fsList(owner, path, { depth });
+    if (items.error) return fail(items);
     return ok({ path: asDirPath(path), items });
   }
 
+  if (req.method === "GET" && pathname === "/api/fs/search") {
+    // Query: path? (default "/"), name?, glob?, type? = "file" | "dir", mime?,
+    // min_size?, max_size?, modified_after?, modified_before? (epoch seconds),
+    // content?, limit? (default 50), cursor?, owner?
+    const path = searchParams.get("path") || "/";
+    const owner = searchParams.get("owner") || uid;
+    const query = {
+      name: searchParams.get("name") || undefined,
+      glob: searchParams.get("glob") || undefined,
+      mime: searchParams.get("mime") || undefined,
+      content: searchParams.get("content") || undefined,
+    };
+    const type = searchParams.get("type");
+    if (type !== null) {
+      if (type !== "file" && type !== "dir") {
+        return badRequest('type must be "file" or "dir"');
+      }
+      query.type = type;
+    }
+    for (
+      const [param, field] of [
+        ["min_size", "minSize"],
+        ["max_size", "maxSize"],
+        ["modified_after", "modifiedAfter"],
+        ["modified_before", "modifiedBefore"],
+      ]
+    ) {
+      if (!searchParams.has(param)) continue;
+      const n = Number(searchParams.get(param));
+      if (!Number.isFinite(n) || n < 0) {
+        return badRequest(`${param} must be a non-negative number`);
+      }
+      query[field] = n;
+    }
+    const limitParam = searchParams.get("limit");
+    if (limitParam !== null) {
+      query.limit = Number(limitParam);
+      if (!(Number.isInteger(query.limit) && query.limit > 0)) {
+        return badRequest("limit must be a positive integer");
+      }
+    }
+    const cursor = searchParams.get("cursor");
+    if (cursor) {
+      // Cursors are the base64 of the last returned path
+      try {
+        query.after = new TextDecoder("utf-8", { fatal: true }).decode(
+          Uint8Array.from(atob(cursor), (c) => c.charCodeAt(0)),
+        );
+      } catch {
+        return badRequest("Invalid cursor");
+      }
+      if (!query.after.startsWith("/")) return badRequest("Invalid cursor");
+    }
+    const denied = await fsAuthorize(uid, owner, [[path, "read"]]);
+    if (denied) return fail(denied);
+    const r = await fsSearch(owner, path, query);
+    if (r.error) return fail(r);
+    return ok({
+      path: asDirPath(path),
+      items: r.items,
+      cursor: r.cursor === null
+        ? null
+        : bytesToBase64(new TextEncoder().encode(r.cursor)),
+    });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/share") {
+    // Body: { path, username, access? = "read" | "write" }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const path = body?.path;
+    const username = body?.username;
+    if (!path || !username) return badRequest("path and username are required");
+    if (auth.user?.feature_flags?.share === false) {
+      return fail({
+        error: "Sharing is disabled for this account",
+        status: 403,
+      });
+    }
+    const r = await fsShare(uid, path, String(username), body.access || "read");
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/unshare") {
+    // Body: { path, username }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const path = body?.path;
+    const username = body?.username;
+    if (!path || !username) return badRequest("path and username are required");
+    const r = await fsUnshare(uid, path, String(username));
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/shares") {
+    const path = searchParams.get("path");
+    if (!path) return badRequest("path is required");
+    const r = await fsSharesOf(uid, path);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/shared") {
+    // Everything other users have shared with the caller
+    return ok({ items: await fsSharedWith(uid) });
+  }
+
+  if (req.method === "POST" && pathname === "/api/fs/links") {
+    // Body: { path, expireIn? | expireAt?, password?, max_downloads? }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const path = body?.path;
+    if (!path) return badRequest("path is required");
+    if (auth.user?.feature_flags?.share === false) {
+      return fail({
+        error: "Sharing is disabled for this account",
+        status: 403,
+      });
+    }
+    const r = await fsCreateLink(uid, path, body);
+    if (r.error) return fail(r);
+    return ok({ ...r, url: new URL(r.url, url).href });
+  }
+
+  if (req.method === "GET" && pathname === "/api/fs/links") {
+    const links = await fsListLinks(uid);
+    return ok({
+      links: links.map((link) => ({
+        ...link,
+        url: new URL(link.url, url).href,
+      })),
+    });
+  }
+
+  if (req.method === "DELETE" && pathname === "/api/fs/links") {
+    const token = searchParams.get("token");
+    if (!token) return badRequest("token is required");
+    const r = await fsRevokeLink(uid, token);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  // ------------- APPS -------------
+  if (req.method === "POST" && pathname === "/auth/get-user-app-token") {
+    // Body: { app_uid }
+    if (!auth.user) return unauthorized("Authentication required");
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.app_uid) return badRequest("app_uid is required");
+    const r = await appToken(auth.user, body.app_uid);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/apps/create") {
+    // Body: { name, index_url, title?, icon?, description?, metadata? }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const r = await appCreate(uid, body ?? {});
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "POST" && pathname === "/api/apps/update") {
+    // Body: { name, attributes: { name?, title?, index_url?, icon?, description?, metadata? } }
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.name) return badRequest("name is required");
+    const r = await appUpdate(uid, String(body.name), body.attributes ?? {});
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/apps/get") {
+    const name = searchParams.get("name");
+    if (!name) return badRequest("name is required");
+    const r = await appGet(name);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "GET" && pathname === "/api/apps/list") {
+    // Query: all? (every user's apps), query?, limit? (default 50), cursor?
+    const limitParam = searchParams.get("limit");
+    const limit = limitParam === null ? undefined : Number(limitParam);
+    if (limit !== undefined && !(Number.isInteger(limit) && limit > 0)) {
+      return badRequest("limit must be a positive integer");
+    }
+    try {
+      return ok(
+        await appList(uid, {
+          all: /^(1|true)$/.test(searchParams.get("all") || ""),
+          query: searchParams.get("query") || undefined,
+          limit,
+          cursor: searchParams.get("cursor") || undefined,
+        }),
+      );
+    } catch {
+      // Deno KV rejects cursors that don't belong to the selected range
+      return badRequest("Invalid cursor");
+    }
+  }
+
+  if (req.method === "DELETE" && pathname === "/api/apps/delete") {
+    const name = searchParams.get("name");
+    if (!name) return badRequest("name is required");
+    const r = await appDelete(uid, name);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  // ------------- WORKERS -------------
+  if (req.method === "POST" && pathname === "/api/workers/create") {
+    // Body: { name, file_path } (redeploying an existing name updates it)
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    if (!body?.name || !body?.file_path) {
+      return badRequest("name and file_path are required");
+    }
+    const r = await workerDeploy(uid, body.name, String(body.file_path));
+    if (r.error) return fail(r);
+    return ok({ ...r, url: new URL(r.url, url).href });
+  }
+
+  if (req.method === "GET" && pathname === "/api/workers/get") {
+    const name = searchParams.get("name");
+    if (!name) return badRequest("name is required");
+    const r = await workerGetOwn(uid, name);
+    if (r.error) return fail(r);
+    const worker = await workerView(r.value);
+    return ok({ ...worker, url: new URL(worker.url, url).href });
+  }
+
+  if (req.method === "GET" && pathname === "/api/workers/list") {
+    const workers = await workerList(uid);
+    return ok({
+      workers: workers.map((worker) => ({
+        ...worker,
+        url: new URL(worker.url, url).href,
+      })),
+    });
+  }
+
+  if (req.method === "GET" && pathname === "/api/workers/logs") {
+    // Query: name, limit? (default 100)
+    const name = searchParams.get("name");
+    if (!name) return badRequest("name is required");
+    const limit = Number(searchParams.get("limit") || 100);
+    if (!(Number.isInteger(limit) && limit > 0 && limit <= 1000)) {
+      return badRequest("limit must be an integer between 1 and 1000");
+    }
+    const r = await workerLogs(uid, name, limit);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  if (req.method === "DELETE" && pathname === "/api/workers/delete") {
+    const name = searchParams.get("name");
+    if (!name) return badRequest("name is required");
+    const r = await workerDelete(uid, name);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  // ------------- HOSTING -------------
+  if (
+    req.method === "POST" &&
+    (pathname === "/api/hosting/create" || pathname === "/api/hosting/update")
+  ) {
+    // Body: { subdomain, root_dir } (create picks a random subdomain if omitted)
+    let body;
+    try {
+      body = await req.json();
+    } catch {
+      return badRequest("Invalid JSON");
+    }
+    const rootDir = body?.root_dir;
+    if (!rootDir) return badRequest("root_dir is required");
+    if (auth.user?.feature_flags?.hosting === false) {
+      return fail({
+        error: "Hosting is disabled for this account",
+        status: 403,
+      });
+    }
+    let r;
+    if (pathname === "/api/hosting/create") {
+      r = await hostingCreate(uid, body.subdomain, String(rootDir));
+    } else {
+      if (!body.subdomain) return badRequest("subdomain is required");
+      r = await hostingUpdate(uid, body.subdomain, String(rootDir));
+    }
+    if (r.error) return fail(r);
+    return ok({ ...r, url: new URL(r.url, url).href });
+  }
+
+  if (req.method === "GET" && pathname === "/api/hosting/get") {
+    const subdomain = searchParams.get("subdomain");
+    if (!subdomain) return badRequest("subdomain is required");
+    const r = await hostingGetOwn(uid, subdomain);
+    if (r.error) return fail(r);
+    const site = await siteView(r.value);
+    return ok({ ...site, url: new URL(site.url, url).href });
+  }
+
+  if (req.method === "GET" && pathname === "/api/hosting/list") {
+    const sites = await hostingList(uid);
+    return ok({
+      sites: sites.map((site) => ({
+        ...site,
+        url: new URL(site.url, url).href,
+      })),
+    });
+  }
+
+  if (req.method === "DELETE" && pathname === "/api/hosting/delete") {
+    const subdomain = searchParams.get("subdomain");
+    if (!subdomain) return badRequest("subdomain is required");
+    const r = await hostingDelete(uid, subdomain);
+    if (r.error) return fail(r);
+    return ok(r);
+  }
+
+  // ------------- CHANGE EVENTS -------------
+  if (req.method === "GET" && pathname === "/api/events") {
+    // Server-Sent Events, or a WebSocket when the request asks to upgrade.
+    // Query: types? (comma-separated, e.g. "fs,kv.set"), path? (FS events at or
+    // below it), prefix? (KV events whose key starts with it), last_event_id?
+    // (the Last-Event-ID header takes precedence). Browsers can't set headers
+    // on EventSource/WebSocket, so auth_token in the query works here too.
+    const types = (searchParams.get("types") || "").split(",")
+      .map((t) => t.trim()).filter(Boolean);
+    const prefix = searchParams.get("prefix");
+    const filter = eventFilter({
+      types,
+      path: searchParams.get("path") || undefined,
+      prefix: prefix ? ensureScopeKey(prefix) : undefined,
+    });
+    const lastId = req.headers.get("last-event-id") ??
+      searchParams.get("last_event_id");
+    const after = lastId === null || lastId === "" ? null : Number(lastId);
+    if (after !== null && !(Number.isInteger(after) && after >= 0)) {
+      return badRequest("last_event_id must be a non-negative integer");
+    }
+    const feed = eventFeed(uid, { after, filter });
+    if ((req.headers.get("upgrade") || "").toLowerCase() === "websocket") {
+      return eventSocketResponse(req, feed);
+    }
+    return eventStreamResponse(feed);
+  }
+
   // ------------- AI ENDPOINT -------------
   if (req.method === "POST" && pathname === "/api/ai/chat") {
     let body;
@@ -849,7 +6769,16 @@ async function handle(req) {
     const model = body?.model || undefined;
     const stream = Boolean(body?.stream);
     if (stream) {
-      return await aiChatStream(uid, messages, model);
+      const mock = body?.mock ?? {};
+      for (const name of ["chunk_size", "delay_ms", "fail_after"]) {
+        if (
+          mock[name] !== undefined &&
+          !(Number.isInteger(mock[name]) && mock[name] >= 0)
+        ) {
+          return badRequest(`mock.${name} must be a non-negative integer`);
+        }
+      }
+      return aiChatStream(uid, messages, model, { mock });
     }
     const r = await aiChatComplete(uid, messages, model);
     return ok(r);
@@ -861,8 +6790,27 @@ async function handle(req) {
 
   // ------------- USER INFO -------------
   if (req.method === "GET" && pathname === "/api/user") {
-    // Very simple user info endpoint (mimics automatic auth availability)
-    return ok({ username: uid, authenticated: uid !== "anonymous" });
+    const session = auth.session;
+    const profile = auth.user ? publicUser(auth.user) : {
+      uuid: null,
+      username: uid,
+      email: null,
+      email_confirmed: false,
+      created_at: null,
+      otp: false,
+      feature_flags: { ...DEFAULT_FEATURE_FLAGS },
+    };
+    return ok({
+      ...profile,
+      authenticated: Boolean(session),
+      session: session
+        ? {
+          created_at: session.created_at,
+          expires_at: session.expires_at,
+          via: session.via || "password",
+        }
+        : null,
+    });
   }
 
   return notFound("Route not found");
@@ -874,4 +6822,14 @@ async function handle(req) {
 //
 // Deno.serve works both locally and on Deno Deploy.
 
-Deno.serve(handle);
+async function handleRequest(req) {
+  try {
+    return await handle(req);
+  } catch (err) {
+    // FS reads that lost a race with an overwrite or delete (fsContentChanged)
+    if (err?.fsError) return fail(err.fsError);
+    throw err;
+  }
+}
+
+Deno.serve(handleRequest);
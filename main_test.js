@@ -1,8 +1,110 @@
-import { assert, assertEquals } from "@std/assert";
-import "./main.js";
+import { assert, assertEquals, assertRejects } from "@std/assert";
+
+// Each run starts from an empty database of its own, so accounts and files
+// left by an earlier run can't get in the way (main.js opens KV_PATH)
+const KV_DIR = await Deno.makeTempDir({ prefix: "puter-mock-test-" });
+const KV_PATH = `${KV_DIR}/kv.sqlite3`;
+Deno.env.set("KV_PATH", KV_PATH);
+const { clock } = await import("./main.js");
+globalThis.addEventListener("unload", () => {
+  Deno.removeSync(KV_DIR, { recursive: true });
+});
 
 const BASE = "http://localhost:8000";
 
+async function withClockOffset(offsetMs, fn) {
+  // Runs fn with the server clock moved forward by offsetMs
+  const realNow = clock.now;
+  clock.now = () => realNow() + offsetMs;
+  try {
+    return await fn();
+  } finally {
+    clock.now = realNow;
+  }
+}
+
+async function signup(username, password = "secret", email) {
+  const res = await fetch(`${BASE}/signup`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password, email }),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function login(username = "tester", password = "secret") {
+  // Creates the account on first use (409 when it already exists)
+  await signup(username, password);
+  const res = await fetch(`${BASE}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  const data = await res.json();
+  return data.token;
+}
+
+async function totp(secret, now = Date.now()) {
+  // Independent RFC 6238 implementation used to drive the 2FA endpoints
+  const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+  let bits = "";
+  for (const ch of secret) {
+    bits += alphabet.indexOf(ch).toString(2).padStart(5, "0");
+  }
+  const keyBytes = new Uint8Array(Math.floor(bits.length / 8));
+  for (let i = 0; i < keyBytes.length; i++) {
+    keyBytes[i] = parseInt(bits.slice(i * 8, i * 8 + 8), 2);
+  }
+  const counter = new DataView(new ArrayBuffer(8));
+  counter.setBigUint64(0, BigInt(Math.floor(now / 30000)));
+  const key = await crypto.subtle.importKey(
+    "raw",
+    keyBytes,
+    { name: "HMAC", hash: "SHA-1" },
+    false,
+    ["sign"],
+  );
+  const mac = new Uint8Array(
+    await crypto.subtle.sign("HMAC", key, counter.buffer),
+  );
+  const offset = mac[19] & 0x0f;
+  const bin = new DataView(mac.buffer).getUint32(offset) & 0x7fffffff;
+  return String(bin % 1000000).padStart(6, "0");
+}
+
+async function enroll2fa(headers) {
+  const setupRes = await fetch(`${BASE}/auth/configure-2fa/setup`, {
+    method: "POST",
+    headers,
+  });
+  const setup = await setupRes.json();
+  const enableRes = await fetch(`${BASE}/auth/configure-2fa/enable`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ code: await totp(setup.secret) }),
+  });
+  assert(enableRes.ok);
+  await enableRes.json();
+  return setup.secret;
+}
+
+async function startLogin(username, password = "secret") {
+  const res = await fetch(`${BASE}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username, password }),
+  });
+  return await res.json();
+}
+
+async function authHeaders(username) {
+  const token = await login(username);
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${token}`,
+  };
+}
+
 Deno.test("root endpoint", async () => {
   const res = await fetch(`${BASE}/`);
   assert(res.ok);
@@ -12,37 +114,46 @@ Deno.test("root endpoint", async () => {
 });
 
 Deno.test("KV set/get", async () => {
+  const headers = await authHeaders();
   const setRes = await fetch(`${BASE}/api/kv/set`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers,
     body: JSON.stringify({ key: "foo", value: "bar" }),
   });
   assert(setRes.ok);
   await setRes.json();
-  const getRes = await fetch(`${BASE}/api/kv/get?key=foo`);
+  const getRes = await fetch(`${BASE}/api/kv/get?key=foo`, { headers });
   assert(getRes.ok);
   const got = await getRes.json();
   assertEquals(got.value, "bar");
 });
 
 Deno.test("FS write/read/list/delete", async () => {
+  const headers = await authHeaders();
   const writeRes = await fetch(`${BASE}/api/fs/write`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ path: "/docs/hello.txt", content: "hello" }),
+    headers,
+    body: JSON.stringify({
+      path: "/docs/hello.txt",
+      content: "hello",
+      createMissingParents: true,
+    }),
   });
   assert(writeRes.ok);
   await writeRes.json();
-  const readRes = await fetch(`${BASE}/api/fs/read?path=/docs/hello.txt`);
+  const readRes = await fetch(`${BASE}/api/fs/read?path=/docs/hello.txt`, {
+    headers,
+  });
   assert(readRes.ok);
   const file = await readRes.json();
   assertEquals(file.content, "hello");
-  const listRes = await fetch(`${BASE}/api/fs/list?path=/docs/`);
+  const listRes = await fetch(`${BASE}/api/fs/list?path=/docs/`, { headers });
   assert(listRes.ok);
   const list = await listRes.json();
   assert(Array.isArray(list.items));
   const delRes = await fetch(`${BASE}/api/fs/delete?path=/docs/hello.txt`, {
     method: "DELETE",
+    headers,
   });
   assert(delRes.ok);
   await delRes.json();
@@ -51,7 +162,7 @@ Deno.test("FS write/read/list/delete", async () => {
 Deno.test("AI chat non-stream mock", async () => {
   const res = await fetch(`${BASE}/api/ai/chat`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: await authHeaders(),
     body: JSON.stringify({
       model: "mock-echo",
       messages: [{ role: "user", content: "Hello" }],
@@ -66,7 +177,7 @@ Deno.test("AI chat non-stream mock", async () => {
 Deno.test("AI chat streaming mock", async () => {
   const res = await fetch(`${BASE}/api/ai/chat`, {
     method: "POST",
-    headers: { "Content-Type": "application/json" },
+    headers: await authHeaders(),
     body: JSON.stringify({
       stream: true,
       model: "mock-echo",
@@ -91,8 +202,132 @@ Deno.test("AI chat streaming mock", async () => {
   assertEquals(last.type, "end");
 });
 
+async function ndjsonEvents(res) {
+  const text = await res.text();
+  return text.trim().split("\n").map((line) => JSON.parse(line));
+}
+
+Deno.test("AI chat streaming mock chunks and failures", async () => {
+  const headers = await authHeaders();
+  const chat = (mock) =>
+    fetch(`${BASE}/api/ai/chat`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({
+        stream: true,
+        model: "mock-echo",
+        messages: [{ role: "user", content: "Hello in small chunks" }],
+        mock,
+      }),
+    });
+
+  let events = await ndjsonEvents(await chat({ chunk_size: 4, delay_ms: 0 }));
+  assertEquals(events[0].type, "start");
+  const deltas = events.filter((e) => e.type === "delta").map((e) => e.data);
+  assert(deltas.every((d) => d.length <= 4));
+  assertEquals(deltas.join(""), "Echo: Hello in small chunks");
+  assertEquals(events.at(-2).type, "usage");
+  assert(events.at(-2).usage.completion_tokens > 0);
+  assertEquals(events.at(-1).type, "end");
+
+  events = await ndjsonEvents(await chat({ fail_after: 2, delay_ms: 0 }));
+  assertEquals(events.filter((e) => e.type === "delta").length, 2);
+  assertEquals(events.at(-1).type, "error");
+  assert(!events.some((e) => e.type === "end"));
+
+  const bad = await chat({ chunk_size: -1 });
+  assertEquals(bad.status, 400);
+  await bad.body?.cancel();
+});
+
+Deno.test("AI chat relays upstream stream and cancels it on abort", async () => {
+  let cancelled;
+  const upstreamCancelled = new Promise((resolve) => cancelled = resolve);
+  let requestBody;
+  const upstream = Deno.serve(
+    { port: 8791, onListen() {} },
+    async (req) => {
+      requestBody = await req.json();
+      const encoder = new TextEncoder();
+      const send = (data) =>
+        encoder.encode(`data: ${JSON.stringify(data)}\n\n`);
+      const words = requestBody.messages[0].content.split(" ");
+      let i = 0;
+      const body = new ReadableStream({
+        async pull(controller) {
+          if (requestBody.messages[0].content === "endless") {
+            await new Promise((r) => setTimeout(r, 10));
+            controller.enqueue(
+              send({ choices: [{ delta: { content: "." } }] }),
+            );
+            return;
+          }
+          if (i < words.length) {
+            const content = (i ? " " : "") + words[i++];
+            controller.enqueue(send({ choices: [{ delta: { content } }] }));
+          } else {
+            controller.enqueue(send({
+              choices: [],
+              usage: { prompt_tokens: 7, completion_tokens: 3 },
+            }));
+            controller.enqueue(encoder.encode("data: [DONE]\n\n"));
+            controller.close();
+          }
+        },
+        cancel() {
+          cancelled();
+        },
+      });
+      return new Response(body, {
+        headers: { "Content-Type": "text/event-stream" },
+      });
+    },
+  );
+  Deno.env.set("OPENAI_API_KEY", "test-key");
+  Deno.env.set("OPENAI_BASE_URL", "http://localhost:8791");
+  try {
+    const headers = await authHeaders();
+    const chat = (content, signal) =>
+      fetch(`${BASE}/api/ai/chat`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          stream: true,
+          model: "gpt-test",
+          messages: [{ role: "user", content }],
+        }),
+        signal,
+      });
+
+    const events = await ndjsonEvents(await chat("one two three"));
+    assertEquals(requestBody.stream, true);
+    assertEquals(events[0], { type: "start", model: "gpt-test" });
+    assertEquals(
+      events.filter((e) => e.type === "delta").map((e) => e.data),
+      ["one", " two", " three"],
+    );
+    assertEquals(events.at(-2).usage.prompt_tokens, 7);
+    assertEquals(events.at(-2).usage.completion_tokens, 3);
+    assertEquals(events.at(-1).type, "end");
+
+    const abort = new AbortController();
+    const res = await chat("endless", abort.signal);
+    const reader = res.body.getReader();
+    await reader.read();
+    abort.abort();
+    await reader.closed.catch(() => {});
+    await upstreamCancelled;
+  } finally {
+    Deno.env.delete("OPENAI_API_KEY");
+    Deno.env.delete("OPENAI_BASE_URL");
+    await upstream.shutdown();
+  }
+});
+
 Deno.test("AI models list", async () => {
-  const res = await fetch(`${BASE}/api/ai/models`);
+  const res = await fetch(`${BASE}/api/ai/models`, {
+    headers: await authHeaders(),
+  });
   assert(res.ok);
   const data = await res.json();
   assert(Array.isArray(data.models));
@@ -100,7 +335,116 @@ Deno.test("AI models list", async () => {
   assert(typeof data.models[0].id === "string");
 });
 
+Deno.test("OpenAI-compatible chat completions and models", async () => {
+  const headers = await authHeaders();
+  const post = (path, body, h = headers) =>
+    fetch(`${BASE}${path}`, {
+      method: "POST",
+      headers: h,
+      body: JSON.stringify(body),
+    });
+  const messages = [{ role: "user", content: "Hi from the SDK" }];
+
+  const denied = await post("/v1/chat/completions", { messages }, {});
+  assertEquals(denied.status, 401);
+  assertEquals((await denied.json()).error.type, "invalid_request_error");
+
+  const res = await post("/v1/chat/completions", {
+    model: "mock-echo",
+    messages,
+  });
+  assert(res.ok);
+  const completion = await res.json();
+  assertEquals(completion.object, "chat.completion");
+  assert(completion.id.startsWith("chatcmpl-"));
+  assertEquals(completion.choices[0].message.content, "Echo: Hi from the SDK");
+  assertEquals(Object.keys(completion.usage).sort(), [
+    "completion_tokens",
+    "prompt_tokens",
+    "total_tokens",
+  ]);
+
+  const stream = await post("/v1/chat/completions", {
+    model: "mock-echo",
+    messages,
+    stream: true,
+    stream_options: { include_usage: true },
+  });
+  assertEquals(stream.headers.get("content-type"), "text/event-stream");
+  const lines = (await stream.text()).split("\n\n").filter(Boolean);
+  assert(lines.every((line) => line.startsWith("data: ")));
+  assertEquals(lines.at(-1), "data: [DONE]");
+  const chunks = lines.slice(0, -1).map((line) => JSON.parse(line.slice(6)));
+  assert(chunks.every((c) => c.object === "chat.completion.chunk"));
+  assertEquals(chunks[0].choices[0].delta.role, "assistant");
+  assertEquals(
+    chunks.map((c) => c.choices[0]?.delta.content ?? "").join(""),
+    "Echo: Hi from the SDK",
+  );
+  assertEquals(chunks.at(-2).choices[0].finish_reason, "stop");
+  assertEquals(chunks.at(-1).choices, []);
+  assert(chunks.at(-1).usage.total_tokens > 0);
+
+  const bad = await post("/v1/chat/completions", { messages: [] });
+  assertEquals(bad.status, 400);
+  assert((await bad.json()).error.message.includes("messages"));
+
+  const models = await (await fetch(`${BASE}/v1/models`, { headers })).json();
+  assertEquals(models.object, "list");
+  assert(models.data.some((m) => m.id === "mock-echo" && m.object === "model"));
+  const one = await fetch(`${BASE}/v1/models/mock-embedding`, { headers });
+  assertEquals((await one.json()).owned_by, "mock");
+  const missing = await fetch(`${BASE}/v1/models/nope`, { headers });
+  assertEquals(missing.status, 404);
+  assertEquals((await missing.json()).error.code, "model_not_found");
+});
+
+Deno.test("OpenAI-compatible embeddings", async () => {
+  const headers = await authHeaders();
+  const embed = async (body) => {
+    const res = await fetch(`${BASE}/v1/embeddings`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+
+  const { data } = await embed({
+    model: "mock-embedding",
+    input: ["red apple pie", "Apple pie, red!", "quantum tunnelling"],
+  });
+  assertEquals(data.object, "list");
+  assertEquals(data.model, "mock-embedding");
+  assertEquals(data.data.map((d) => d.index), [0, 1, 2]);
+  const [a, b, c] = data.data.map((d) => d.embedding);
+  assertEquals(a.length, 256);
+  const dot = (x, y) => x.reduce((sum, v, i) => sum + v * y[i], 0);
+  assert(Math.abs(dot(a, a) - 1) < 1e-9);
+  assert(Math.abs(dot(a, b) - 1) < 1e-9);
+  assert(dot(a, c) < 0.5);
+  assert(data.usage.prompt_tokens > 0);
+
+  const packed = await embed({
+    input: "red apple pie",
+    dimensions: 8,
+    encoding_format: "base64",
+  });
+  const bytes = Uint8Array.from(
+    atob(packed.data.data[0].embedding),
+    (ch) => ch.charCodeAt(0),
+  );
+  const floats = new Float32Array(bytes.buffer);
+  assertEquals(floats.length, 8);
+  assert(Math.abs(dot(floats, floats) - 1) < 1e-6);
+
+  const bad = await embed({ input: [1, 2] });
+  assertEquals(bad.status, 400);
+  assert(bad.data.error.message.includes("input"));
+});
+
 Deno.test("Login basic returns token", async () => {
+  await signup("alice");
   const res = await fetch(`${BASE}/login`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -113,6 +457,8 @@ Deno.test("Login basic returns token", async () => {
 });
 
 Deno.test("Login with OTP flow", async () => {
+  const headers = await authHeaders("bob-otp");
+  const secret = await enroll2fa(headers);
   const startRes = await fetch(`${BASE}/login`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -126,7 +472,10 @@ Deno.test("Login with OTP flow", async () => {
   const otpRes = await fetch(`${BASE}/login/otp`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ token: start.otp_jwt_token, code: "123456" }),
+    body: JSON.stringify({
+      token: start.otp_jwt_token,
+      code: await totp(secret),
+    }),
   });
   assert(otpRes.ok);
   const done = await otpRes.json();
@@ -136,6 +485,7 @@ Deno.test("Login with OTP flow", async () => {
 });
 
 Deno.test("Logout with token", async () => {
+  await signup("charlie");
   const loginRes = await fetch(`${BASE}/login`, {
     method: "POST",
     headers: { "Content-Type": "application/json" },
@@ -152,3 +502,2846 @@ Deno.test("Logout with token", async () => {
   assertEquals(data.proceed, true);
   assertEquals(data.status, "logged_out");
 });
+
+Deno.test("Requests without a valid session are rejected", async () => {
+  const noAuth = await fetch(`${BASE}/api/kv/get?key=foo`);
+  assertEquals(noAuth.status, 401);
+  await noAuth.json();
+  const badToken = await fetch(`${BASE}/api/kv/get?key=foo`, {
+    headers: { Authorization: "Bearer not-a-real-token" },
+  });
+  assertEquals(badToken.status, 401);
+  await badToken.json();
+});
+
+Deno.test("Logout revokes the session", async () => {
+  const token = await login("dana");
+  const headers = { Authorization: `Bearer ${token}` };
+  const before = await fetch(`${BASE}/api/user`, { headers });
+  assert(before.ok);
+  await before.json();
+  const out = await fetch(`${BASE}/logout`, { method: "POST", headers });
+  await out.json();
+  const after = await fetch(`${BASE}/api/user`, { headers });
+  assertEquals(after.status, 401);
+  await after.json();
+});
+
+Deno.test("Sessions of the same user share a namespace", async () => {
+  const first = await authHeaders("erin");
+  const second = await authHeaders("erin");
+  assert(first.Authorization !== second.Authorization);
+  const setRes = await fetch(`${BASE}/api/kv/set`, {
+    method: "POST",
+    headers: first,
+    body: JSON.stringify({ key: "shared", value: 42 }),
+  });
+  await setRes.json();
+  const getRes = await fetch(`${BASE}/api/kv/get?key=shared`, {
+    headers: second,
+  });
+  const got = await getRes.json();
+  assertEquals(got.value, 42);
+});
+
+Deno.test("User info reports username and session", async () => {
+  const res = await fetch(`${BASE}/api/user`, {
+    headers: await authHeaders("frank"),
+  });
+  assert(res.ok);
+  const data = await res.json();
+  assertEquals(data.username, "frank");
+  assertEquals(data.authenticated, true);
+  assert(data.session.expires_at > data.session.created_at);
+});
+
+Deno.test("Expired sessions are rejected", async () => {
+  Deno.env.set("SESSION_TTL_MS", "1");
+  try {
+    const token = await login("gina");
+    await new Promise((r) => setTimeout(r, 10));
+    const res = await fetch(`${BASE}/api/user`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assertEquals(res.status, 401);
+    await res.json();
+  } finally {
+    Deno.env.delete("SESSION_TTL_MS");
+  }
+});
+
+Deno.test("Anonymous access is opt-in", async () => {
+  Deno.env.set("ALLOW_ANONYMOUS", "true");
+  try {
+    const res = await fetch(`${BASE}/api/user`);
+    assert(res.ok);
+    const data = await res.json();
+    assertEquals(data.username, "anonymous");
+    assertEquals(data.authenticated, false);
+  } finally {
+    Deno.env.delete("ALLOW_ANONYMOUS");
+  }
+});
+
+Deno.test("Signup stores the account and rejects duplicates", async () => {
+  const first = await signup("henry", "secret", "Henry@Example.com");
+  assertEquals(first.status, 200);
+  assert(typeof first.data.token === "string");
+  assertEquals(first.data.user.username, "henry");
+  assertEquals(first.data.user.email, "henry@example.com");
+  assertEquals(first.data.user.password, undefined);
+  const again = await signup("henry");
+  assertEquals(again.status, 409);
+  const sameEmail = await signup("henry2", "secret", "henry@example.com");
+  assertEquals(sameEmail.status, 409);
+  const invalid = await signup("x", "secret");
+  assertEquals(invalid.status, 400);
+});
+
+Deno.test("Login checks credentials", async () => {
+  await signup("ivy", "correct-horse", "ivy@example.com");
+  const attempt = async (username, password) => {
+    const res = await fetch(`${BASE}/login`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ username, password }),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const wrong = await attempt("ivy", "nope-nope");
+  assertEquals(wrong.status, 400);
+  assertEquals(wrong.data.error, "Incorrect password.");
+  const unknown = await attempt("nobody-here", "secret");
+  assertEquals(unknown.status, 400);
+  assertEquals(unknown.data.error, "Username not found.");
+  const byEmail = await attempt("ivy@example.com", "correct-horse");
+  assertEquals(byEmail.status, 200);
+  assert(typeof byEmail.data.token === "string");
+});
+
+Deno.test("User info returns the account profile", async () => {
+  const { data: created } = await signup("jack", "secret", "jack@example.com");
+  const res = await fetch(`${BASE}/api/user`, {
+    headers: { Authorization: `Bearer ${created.token}` },
+  });
+  const data = await res.json();
+  assertEquals(data.uuid, created.user.uuid);
+  assertEquals(data.email, "jack@example.com");
+  assertEquals(data.email_confirmed, false);
+  assert(typeof data.created_at === "number");
+  assertEquals(typeof data.feature_flags, "object");
+});
+
+Deno.test("Recorded timestamps follow the server clock", async () => {
+  const day = 24 * 60 * 60 * 1000;
+  await withClockOffset(day, async () => {
+    const later = Date.now() + day - 1000;
+    const headers = await authHeaders("wren");
+    const user = await fetch(`${BASE}/api/user`, { headers })
+      .then((r) => r.json());
+    assert(user.created_at >= later);
+    await fsPost(headers, "write", { path: "/t.txt", content: "x" });
+    const stat = await fetch(`${BASE}/api/fs/stat?path=/t.txt`, { headers })
+      .then((r) => r.json());
+    assert(stat.modified * 1000 >= later);
+    assert(stat.created * 1000 >= later);
+  });
+});
+
+Deno.test("Change password", async () => {
+  const headers = await authHeaders("kate");
+  const wrong = await fetch(`${BASE}/passwd`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ old_pass: "wrong-one", new_pass: "newsecret" }),
+  });
+  assertEquals(wrong.status, 403);
+  await wrong.json();
+  const res = await fetch(`${BASE}/passwd`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ old_pass: "secret", new_pass: "newsecret" }),
+  });
+  assert(res.ok);
+  await res.json();
+  const oldLogin = await fetch(`${BASE}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "kate", password: "secret" }),
+  });
+  assertEquals(oldLogin.status, 400);
+  await oldLogin.json();
+  const newLogin = await fetch(`${BASE}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ username: "kate", password: "newsecret" }),
+  });
+  assert(newLogin.ok);
+  await newLogin.json();
+});
+
+Deno.test("Delete account removes data and sessions", async () => {
+  const headers = await authHeaders("liam");
+  const setRes = await fetch(`${BASE}/api/kv/set`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ key: "k", value: 1 }),
+  });
+  await setRes.json();
+  const res = await fetch(`${BASE}/delete-own-user`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ password: "secret" }),
+  });
+  assert(res.ok);
+  await res.json();
+  const after = await fetch(`${BASE}/api/user`, { headers });
+  assertEquals(after.status, 401);
+  await after.json();
+  const { status, data } = await signup("liam");
+  assertEquals(status, 200);
+  const getRes = await fetch(`${BASE}/api/kv/get?key=k`, {
+    headers: { Authorization: `Bearer ${data.token}` },
+  });
+  assertEquals((await getRes.json()).value, null);
+  // The old token doesn't carry over to the new account with the same name
+  const stale = await fetch(`${BASE}/api/user`, { headers });
+  assertEquals(stale.status, 401);
+  await stale.json();
+});
+
+Deno.test("2FA setup returns a TOTP secret and otpauth URL", async () => {
+  const headers = await authHeaders("mia");
+  const res = await fetch(`${BASE}/auth/configure-2fa/setup`, {
+    method: "POST",
+    headers,
+  });
+  assert(res.ok);
+  const setup = await res.json();
+  assert(/^[A-Z2-7]+$/.test(setup.secret));
+  assert(setup.url.startsWith("otpauth://totp/"));
+  assert(setup.url.includes(`secret=${setup.secret}`));
+  assertEquals(setup.codes.length, 10);
+  const code = await totp(setup.secret);
+  const wrong = String((Number(code) + 500000) % 1000000).padStart(6, "0");
+  const bad = await fetch(`${BASE}/auth/configure-2fa/test`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ code: wrong }),
+  });
+  assertEquals((await bad.json()).ok, false);
+  const good = await fetch(`${BASE}/auth/configure-2fa/test`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ code }),
+  });
+  assertEquals((await good.json()).ok, true);
+});
+
+Deno.test("2FA rejects wrong and stale codes", async () => {
+  const headers = await authHeaders("noah");
+  const secret = await enroll2fa(headers);
+  const start = await startLogin("noah");
+  assertEquals(start.next_step, "otp");
+  const stale = await fetch(`${BASE}/login/otp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({
+      token: start.otp_jwt_token,
+      code: await totp(secret, Date.now() - 5 * 60 * 1000),
+    }),
+  });
+  assertEquals(stale.status, 400);
+  assertEquals((await stale.json()).error, "Invalid OTP code");
+  const garbage = await fetch(`${BASE}/login/otp`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ token: "nope", code: await totp(secret) }),
+  });
+  assertEquals(garbage.status, 400);
+  await garbage.json();
+
+  const sendCode = async (token, code) => {
+    const res = await fetch(`${BASE}/login/otp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ token, code }),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  // Wrong guesses are capped per pending login
+  const guessed = await startLogin("noah");
+  const code = await totp(secret);
+  const wrong = String((Number(code) + 500000) % 1000000).padStart(6, "0");
+  for (let i = 1; i < 5; i++) {
+    const res = await sendCode(guessed.otp_jwt_token, wrong);
+    assertEquals(res.status, 400);
+    assertEquals(res.data.error, "Invalid OTP code");
+  }
+  assertEquals((await sendCode(guessed.otp_jwt_token, wrong)).status, 429);
+  const late = await sendCode(guessed.otp_jwt_token, code);
+  assertEquals(late.data.error, "Invalid or expired token");
+  // A code can't be replayed once it has signed someone in
+  const first = await sendCode((await startLogin("noah")).otp_jwt_token, code);
+  assertEquals(first.status, 200);
+  const replay = await sendCode((await startLogin("noah")).otp_jwt_token, code);
+  assertEquals(replay.status, 400);
+  assertEquals(replay.data.error, "Invalid OTP code");
+
+  // Codes are checked against the server clock
+  const ahead = 5 * 60 * 1000;
+  await withClockOffset(ahead, async () => {
+    const real = await sendCode(
+      (await startLogin("noah")).otp_jwt_token,
+      await totp(secret),
+    );
+    assertEquals(real.status, 400);
+    const shifted = await sendCode(
+      (await startLogin("noah")).otp_jwt_token,
+      await totp(secret, Date.now() + ahead),
+    );
+    assertEquals(shifted.status, 200);
+  });
+});
+
+Deno.test("Pending OTP logins expire", async () => {
+  const headers = await authHeaders("olga");
+  const secret = await enroll2fa(headers);
+  Deno.env.set("OTP_TOKEN_TTL_MS", "1");
+  try {
+    const start = await startLogin("olga");
+    await new Promise((r) => setTimeout(r, 10));
+    const res = await fetch(`${BASE}/login/otp`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        token: start.otp_jwt_token,
+        code: await totp(secret),
+      }),
+    });
+    assertEquals(res.status, 400);
+    assertEquals((await res.json()).error, "Invalid or expired token");
+  } finally {
+    Deno.env.delete("OTP_TOKEN_TTL_MS");
+  }
+});
+
+Deno.test("Recovery codes are single use", async () => {
+  const headers = await authHeaders("paul");
+  const setupRes = await fetch(`${BASE}/auth/configure-2fa/setup`, {
+    method: "POST",
+    headers,
+  });
+  const setup = await setupRes.json();
+  const enableRes = await fetch(`${BASE}/auth/configure-2fa/enable`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ code: await totp(setup.secret) }),
+  });
+  await enableRes.json();
+  const useCode = async () => {
+    const start = await startLogin("paul");
+    const res = await fetch(`${BASE}/login/recovery-code`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        token: start.otp_jwt_token,
+        code: setup.codes[0],
+      }),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const first = await useCode();
+  assertEquals(first.status, 200);
+  assertEquals(first.data.next_step, "complete");
+  const second = await useCode();
+  assertEquals(second.status, 400);
+  // Concurrent logins can't both spend the same code
+  const racing = await Promise.all([0, 1, 2].map(async () => {
+    const start = await startLogin("paul");
+    const res = await fetch(`${BASE}/login/recovery-code`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        token: start.otp_jwt_token,
+        code: setup.codes[1],
+      }),
+    });
+    await res.json();
+    return res.status;
+  }));
+  assertEquals(racing.sort(), [200, 400, 400]);
+});
+
+Deno.test("Disabling 2FA restores single-step login", async () => {
+  const headers = await authHeaders("quinn");
+  await enroll2fa(headers);
+  assertEquals((await startLogin("quinn")).next_step, "otp");
+  const res = await fetch(`${BASE}/auth/configure-2fa/disable`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ password: "secret" }),
+  });
+  assert(res.ok);
+  await res.json();
+  const start = await startLogin("quinn");
+  assertEquals(start.next_step, undefined);
+  assert(typeof start.token === "string");
+});
+
+Deno.test("Popup sign-in page renders a login form", async () => {
+  const res = await fetch(
+    `${BASE}/action/sign-in?embedded_in_popup=true&msg_id=7`,
+  );
+  assert(res.ok);
+  assert(res.headers.get("content-type")?.startsWith("text/html"));
+  const page = await res.text();
+  assert(page.includes('name="msg_id" value="7"'));
+  assert(page.includes('name="password"'));
+});
+
+Deno.test("Popup sign-in posts the token back to the opener", async () => {
+  await signup("rita");
+  const form = new URLSearchParams({
+    msg_id: "3",
+    origin: "http://localhost:5173",
+    username: "rita",
+    password: "secret",
+  });
+  const res = await fetch(`${BASE}/action/sign-in`, {
+    method: "POST",
+    body: form,
+  });
+  assert(res.ok);
+  const page = await res.text();
+  assert(
+    page.includes(
+      'window.opener.postMessage(message, "http://localhost:5173")',
+    ),
+  );
+  const message = JSON.parse(page.match(/const message = (.*);/)[1]);
+  assertEquals(message.msg_id, 3);
+  assertEquals(message.success, true);
+  assertEquals(message.username, "rita");
+  const userRes = await fetch(`${BASE}/api/user`, {
+    headers: { Authorization: `Bearer ${message.token}` },
+  });
+  assertEquals((await userRes.json()).username, "rita");
+
+  const wrong = await fetch(`${BASE}/action/sign-in`, {
+    method: "POST",
+    body: new URLSearchParams({ msg_id: "4", username: "rita", password: "x" }),
+  });
+  assertEquals(wrong.status, 400);
+  assert((await wrong.text()).includes("Incorrect password."));
+});
+
+Deno.test("Popup sign-in auto-approves the configured user", async () => {
+  Deno.env.set("SIGNIN_AUTO_USER", "popup-tester");
+  try {
+    const res = await fetch(`${BASE}/action/sign-in?msg_id=9`);
+    const page = await res.text();
+    const message = JSON.parse(page.match(/const message = (.*);/)[1]);
+    assertEquals(message.success, true);
+    assertEquals(message.username, "popup-tester");
+    assert(typeof message.token === "string");
+    // Only to an allowed opener: this server by default, never "*"
+    assert(page.includes(`postMessage(message, "${BASE}")`));
+    const evil = await fetch(
+      `${BASE}/action/sign-in?msg_id=9&origin=https://evil.example`,
+    );
+    assertEquals(evil.status, 403);
+    assert(!(await evil.text()).includes("token"));
+    const referred = await fetch(`${BASE}/action/sign-in?msg_id=9`, {
+      headers: { Referer: "https://evil.example/page" },
+    });
+    assertEquals(referred.status, 403);
+    await referred.body?.cancel();
+    Deno.env.set("SIGNIN_ALLOWED_ORIGINS", "https://app.example");
+    const listed = await fetch(
+      `${BASE}/action/sign-in?msg_id=9&origin=https://app.example`,
+    );
+    assert((await listed.text()).includes(
+      'postMessage(message, "https://app.example")',
+    ));
+  } finally {
+    Deno.env.delete("SIGNIN_AUTO_USER");
+    Deno.env.delete("SIGNIN_ALLOWED_ORIGINS");
+  }
+});
+
+Deno.test("KV incr/decr", async () => {
+  const headers = await authHeaders("sam");
+  const call = async (op, body) => {
+    const res = await fetch(`${BASE}/api/kv/${op}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  assertEquals((await call("incr", { key: "counter" })).data.value, 1);
+  assertEquals(
+    (await call("incr", { key: "counter", amount: 5 })).data.value,
+    6,
+  );
+  assertEquals(
+    (await call("decr", { key: "counter", amount: 2 })).data.value,
+    4,
+  );
+  await call("set", { key: "label", value: "text" });
+  const bad = await call("incr", { key: "label" });
+  assertEquals(bad.status, 400);
+  assertEquals(bad.data.error, "Value is not a number");
+});
+
+Deno.test("KV concurrent increments are not lost", async () => {
+  const headers = await authHeaders("sam");
+  await Promise.all(
+    Array.from({ length: 20 }, async () => {
+      const res = await fetch(`${BASE}/api/kv/incr`, {
+        method: "POST",
+        headers,
+        body: JSON.stringify({ key: "hits" }),
+      });
+      assert(res.ok);
+      await res.json();
+    }),
+  );
+  const res = await fetch(`${BASE}/api/kv/get?key=hits`, { headers });
+  assertEquals((await res.json()).value, 20);
+});
+
+Deno.test("KV compare-and-set with versions", async () => {
+  const headers = await authHeaders("tara");
+  const set = async (body) => {
+    const res = await fetch(`${BASE}/api/kv/set`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const created = await set({ key: "doc", value: 1, expectedVersion: null });
+  assertEquals(created.status, 200);
+  const exists = await set({ key: "doc", value: 2, expectedVersion: null });
+  assertEquals(exists.status, 409);
+  const getRes = await fetch(`${BASE}/api/kv/get?key=doc`, { headers });
+  const got = await getRes.json();
+  assertEquals(got.version, created.data.version);
+  const updated = await set({
+    key: "doc",
+    value: 3,
+    expectedVersion: got.version,
+  });
+  assertEquals(updated.status, 200);
+  const stale = await set({
+    key: "doc",
+    value: 4,
+    expectedVersion: got.version,
+  });
+  assertEquals(stale.status, 409);
+  assertEquals(stale.data.error, "Version mismatch");
+});
+
+Deno.test("KV keys expire with expireIn", async () => {
+  const headers = await authHeaders("uma");
+  const setRes = await fetch(`${BASE}/api/kv/set`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ key: "cache", value: "v", expireIn: 60_000 }),
+  });
+  assert(setRes.ok);
+  await setRes.json();
+  const getRes = await fetch(`${BASE}/api/kv/get?key=cache`, { headers });
+  const got = await getRes.json();
+  assertEquals(got.value, "v");
+  assert(got.ttl > 0 && got.ttl <= 60_000);
+  await withClockOffset(61_000, async () => {
+    const res = await fetch(`${BASE}/api/kv/get?key=cache`, { headers });
+    const expired = await res.json();
+    assertEquals(expired.value, null);
+    assertEquals(expired.ttl, null);
+    const listRes = await fetch(`${BASE}/api/kv/list?prefix=cache`, {
+      headers,
+    });
+    const list = await listRes.json();
+    assertEquals(list.items.length, 0);
+  });
+});
+
+Deno.test("KV expire sets and clears TTL on existing keys", async () => {
+  const headers = await authHeaders("uma");
+  const post = async (path, body) => {
+    const res = await fetch(`${BASE}/api/kv/${path}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  await post("set", { key: "session-data", value: 1 });
+  const noTtl = await fetch(`${BASE}/api/kv/get?key=session-data`, {
+    headers,
+  });
+  assertEquals((await noTtl.json()).ttl, null);
+  const expireAt = clock.now() + 5_000;
+  const r = await post("expire", { key: "session-data", expireAt });
+  assertEquals(r.status, 200);
+  assertEquals(r.data.expires_at, expireAt);
+  await withClockOffset(10_000, async () => {
+    const res = await fetch(`${BASE}/api/kv/get?key=session-data`, {
+      headers,
+    });
+    assertEquals((await res.json()).value, null);
+  });
+  const cleared = await post("expire", { key: "session-data" });
+  assertEquals(cleared.data.ttl, null);
+  await withClockOffset(10_000, async () => {
+    const res = await fetch(`${BASE}/api/kv/get?key=session-data`, {
+      headers,
+    });
+    assertEquals((await res.json()).value, 1);
+  });
+  const missing = await post("expire", { key: "nope", expireIn: 1000 });
+  assertEquals(missing.status, 404);
+  const invalid = await post("set", { key: "x", value: 1, expireIn: -5 });
+  assertEquals(invalid.status, 400);
+});
+
+Deno.test("KV expired keys count as absent for compare-and-set", async () => {
+  const headers = await authHeaders("uma");
+  const set = async (body) => {
+    const res = await fetch(`${BASE}/api/kv/set`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  await set({ key: "lock", value: "a", expireIn: 1_000 });
+  assertEquals(
+    (await set({ key: "lock", value: "b", expectedVersion: null })).status,
+    409,
+  );
+  await withClockOffset(2_000, async () => {
+    const r = await set({ key: "lock", value: "b", expectedVersion: null });
+    assertEquals(r.status, 200);
+  });
+});
+
+async function kvPost(headers, op, body) {
+  const res = await fetch(`${BASE}/api/kv/${op}`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+Deno.test("KV list paginates with cursors", async () => {
+  const headers = await authHeaders("vera");
+  const items = Array.from({ length: 25 }, (_, i) => ({
+    key: `page:${String(i).padStart(2, "0")}`,
+    value: i,
+  }));
+  assertEquals((await kvPost(headers, "mset", { items })).status, 200);
+  const seen = [];
+  let cursor = "";
+  let pages = 0;
+  do {
+    const res = await fetch(
+      `${BASE}/api/kv/list?prefix=page:&limit=10&cursor=${cursor}`,
+      { headers },
+    );
+    const page = await res.json();
+    seen.push(...page.items.map((it) => it.value));
+    cursor = page.cursor;
+    pages++;
+  } while (cursor);
+  assertEquals(pages, 3);
+  assertEquals(seen, items.map((it) => it.value));
+});
+
+Deno.test("KV list supports patterns, keys-only and reverse", async () => {
+  const headers = await authHeaders("vera");
+  await kvPost(headers, "mset", {
+    items: [
+      { key: "user:1:name", value: "a" },
+      { key: "user:2:name", value: "b" },
+      { key: "user:2:email", value: "c" },
+    ],
+  });
+  const res = await fetch(
+    `${BASE}/api/kv/list?pattern=user:*:name&keysOnly=true&reverse=true`,
+    { headers },
+  );
+  const data = await res.json();
+  assertEquals(data.items, [
+    { key: "myscope_user:2:name" },
+    { key: "myscope_user:1:name" },
+  ]);
+  const bad = await fetch(`${BASE}/api/kv/list?limit=0`, { headers });
+  assertEquals(bad.status, 400);
+  await bad.json();
+});
+
+Deno.test("KV batch get/set/delete and flush", async () => {
+  const headers = await authHeaders("walt");
+  await kvPost(headers, "mset", {
+    items: [{ key: "a", value: 1 }, { key: "b", value: 2, expireIn: 60_000 }],
+  });
+  const got = await kvPost(headers, "mget", { keys: ["a", "b", "missing"] });
+  assertEquals(got.data.items.map((it) => it.value), [1, 2, null]);
+  assert(got.data.items[1].ttl > 0);
+  await kvPost(headers, "mdelete", { keys: ["a"] });
+  const after = await kvPost(headers, "mget", { keys: ["a", "b"] });
+  assertEquals(after.data.items.map((it) => it.value), [null, 2]);
+  const flushed = await kvPost(headers, "flush", {});
+  assertEquals(flushed.data.removed, 1);
+  const listRes = await fetch(`${BASE}/api/kv/list`, { headers });
+  assertEquals((await listRes.json()).items, []);
+
+  // A full batch of new keys fits in one atomic operation, one more doesn't
+  const keys = Array.from({ length: 99 }, (_, i) => `full:${i}`);
+  const full = await kvPost(headers, "mset", {
+    items: keys.map((key, i) => ({ key, value: i })),
+  });
+  assertEquals(full.status, 200);
+  assertEquals((await kvPost(headers, "mdelete", { keys })).status, 200);
+  const over = await kvPost(headers, "mset", {
+    items: [...keys, "one-more"].map((key) => ({ key, value: 0 })),
+  });
+  assertEquals(over.status, 400);
+
+  const dup = await kvPost(headers, "mset", {
+    items: [{ key: "twice", value: 1 }, { key: "twice", value: 2 }],
+  });
+  assertEquals(dup.status, 400);
+  assertEquals(dup.data.code, "duplicate_key");
+  await kvPost(headers, "mset", { items: [{ key: "once", value: 1 }] });
+  const dupDelete = await kvPost(headers, "mdelete", {
+    keys: ["once", "once"],
+  });
+  assertEquals(dupDelete.data.keys, ["myscope_once"]);
+  const limits = await fetch(`${BASE}/api/kv/limits`, { headers });
+  assertEquals((await limits.json()).usage.keys, 0);
+});
+
+Deno.test("KV flush keeps the key count right under concurrent writes", async () => {
+  const headers = await authHeaders("nina");
+  for (const batch of [0, 1]) {
+    await kvPost(headers, "mset", {
+      items: Array.from({ length: 90 }, (_, i) => ({
+        key: `old:${batch}:${i}`,
+        value: i,
+      })),
+    });
+  }
+  const [flushed] = await Promise.all([
+    kvPost(headers, "flush", {}),
+    ...Array.from({ length: 10 }, (_, i) => kvSetKey(headers, `a:${i}`, i)),
+  ]);
+  assertEquals(flushed.status, 200);
+  const listRes = await fetch(`${BASE}/api/kv/list?limit=1000`, { headers });
+  const remaining = (await listRes.json()).items.length;
+  const limits = await fetch(`${BASE}/api/kv/limits`, { headers });
+  assertEquals((await limits.json()).usage.keys, remaining);
+});
+
+Deno.test("KV rejects invalid and oversized keys and values", async () => {
+  const headers = await authHeaders("xena");
+  const empty = await kvPost(headers, "set", { key: "", value: 1 });
+  assertEquals(empty.status, 400);
+  assertEquals(empty.data.code, "invalid_key");
+  const longKey = await kvPost(headers, "set", {
+    key: "k".repeat(2000),
+    value: 1,
+  });
+  assertEquals(longKey.status, 400);
+  assertEquals(longKey.data.code, "key_too_large");
+  const bigValue = await kvPost(headers, "set", {
+    key: "big",
+    value: "x".repeat(100 * 1024),
+  });
+  assertEquals(bigValue.status, 413);
+  assertEquals(bigValue.data.code, "value_too_large");
+});
+
+Deno.test("KV limits are configurable per user", async () => {
+  const headers = await authHeaders("yuri");
+  const setLimits = await kvPost(headers, "limits", {
+    max_keys: 2,
+    max_value_bytes: 16,
+  });
+  assertEquals(setLimits.data.limits.max_keys, 2);
+  assertEquals(
+    (await kvPost(headers, "set", { key: "a", value: 1 })).status,
+    200,
+  );
+  assertEquals(
+    (await kvPost(headers, "set", { key: "b", value: 2 })).status,
+    200,
+  );
+  const third = await kvPost(headers, "set", { key: "c", value: 3 });
+  assertEquals(third.status, 413);
+  assertEquals(third.data.code, "too_many_keys");
+  // Overwriting an existing key doesn't count against the limit
+  assertEquals(
+    (await kvPost(headers, "set", { key: "a", value: 5 })).status,
+    200,
+  );
+  const tooBig = await kvPost(headers, "set", {
+    key: "a",
+    value: "x".repeat(20),
+  });
+  assertEquals(tooBig.data.code, "value_too_large");
+  const delRes = await fetch(`${BASE}/api/kv/delete?key=b`, {
+    method: "DELETE",
+    headers,
+  });
+  await delRes.json();
+  assertEquals(
+    (await kvPost(headers, "set", { key: "c", value: 3 })).status,
+    200,
+  );
+  const usageRes = await fetch(`${BASE}/api/kv/limits`, { headers });
+  const usage = await usageRes.json();
+  assertEquals(usage.usage.keys, 2);
+  const reset = await kvPost(headers, "limits", { max_keys: null });
+  assertEquals(reset.data.limits.max_keys, 10_000);
+});
+
+Deno.test("KV global limits come from the environment", async () => {
+  const headers = await authHeaders("zoe");
+  Deno.env.set("KV_MAX_KEY_BYTES", "8");
+  try {
+    const r = await kvPost(headers, "set", { key: "123456789", value: 1 });
+    assertEquals(r.status, 400);
+    assertEquals(r.data.code, "key_too_large");
+  } finally {
+    Deno.env.delete("KV_MAX_KEY_BYTES");
+  }
+});
+
+Deno.test("KV expired keys free up the key limit", async () => {
+  const headers = await authHeaders("abel");
+  await kvPost(headers, "limits", { max_keys: 1 });
+  await kvPost(headers, "set", { key: "temp", value: 1, expireIn: 1_000 });
+  await withClockOffset(2_000, async () => {
+    const r = await kvPost(headers, "set", { key: "other", value: 2 });
+    assertEquals(r.status, 200);
+  });
+});
+
+function randomBytes(size) {
+  const bytes = new Uint8Array(size);
+  for (let i = 0; i < size; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, i + 65536));
+  }
+  return bytes;
+}
+
+function toBase64(bytes) {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+async function fsPost(headers, op, body) {
+  const res = await fetch(`${BASE}/api/fs/${op}`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, data: await res.json() };
+}
+
+async function fsReadBase64(headers, path) {
+  const res = await fetch(
+    `${BASE}/api/fs/read?path=${encodeURIComponent(path)}&encoding=base64`,
+    { headers },
+  );
+  return { status: res.status, data: await res.json() };
+}
+
+async function countChunks(uid) {
+  // The server uses the default Deno KV database, shared within this process
+  const db = await Deno.openKv(KV_PATH);
+  let n = 0;
+  for await (const _ of db.list({ prefix: ["fs_chunk", uid] })) n++;
+  db.close();
+  return n;
+}
+
+Deno.test("FS reads fail instead of filling in missing chunks", async () => {
+  const headers = await authHeaders("ruth");
+  await fsPost(headers, "write", {
+    path: "/torn.bin",
+    content: toBase64(randomBytes(200 * 1024)),
+    encoding: "base64",
+  });
+  // Simulate a reader that lost the race with an overwrite: its blob's
+  // middle chunk is already gone
+  const db = await Deno.openKv(KV_PATH);
+  for await (const entry of db.list({ prefix: ["fs_chunk", "ruth"] })) {
+    if (entry.key[3] === 1) await db.delete(entry.key);
+  }
+  db.close();
+  const read = await fsReadBase64(headers, "/torn.bin");
+  assertEquals(read.status, 409);
+  assertEquals(read.data.code, "file_changed");
+  await fsPost(headers, "mkdir", { path: "/copies" });
+  const copy = await fsPost(headers, "copy", {
+    src: "/torn.bin",
+    dest: "/copies/",
+  });
+  assertEquals(copy.status, 409);
+  assertEquals(await countChunks("ruth"), 3);
+  const raw = await fetch(`${BASE}/api/fs/raw?path=/torn.bin`, { headers });
+  await assertRejects(() => raw.arrayBuffer());
+});
+
+Deno.test("FS stores multi-megabyte files in chunks", async () => {
+  const headers = await authHeaders("bea");
+  const bytes = randomBytes(3 * 1024 * 1024 + 123);
+  const content = toBase64(bytes);
+  const write = await fsPost(headers, "write", {
+    path: "/media/big.bin",
+    content,
+    encoding: "base64",
+    createMissingParents: true,
+  });
+  assertEquals(write.status, 200);
+  assertEquals(write.data.size, bytes.length);
+  const read = await fsReadBase64(headers, "/media/big.bin");
+  assertEquals(read.data.size, bytes.length);
+  assert(read.data.content === content);
+  assertEquals(await countChunks("bea"), Math.ceil(bytes.length / 61440));
+});
+
+Deno.test("FS overwrite, copy, move and delete keep chunks consistent", async () => {
+  const headers = await authHeaders("cleo");
+  const big = toBase64(randomBytes(200 * 1024));
+  await fsPost(headers, "write", {
+    path: "/a/file.bin",
+    content: big,
+    encoding: "base64",
+    createMissingParents: true,
+  });
+  const chunksPerFile = await countChunks("cleo");
+  assertEquals(chunksPerFile, 4);
+  // Overwriting keeps the old chunks only as the file's previous version
+  await fsPost(headers, "write", {
+    path: "/a/file.bin",
+    content: big,
+    encoding: "base64",
+  });
+  assertEquals(await countChunks("cleo"), 2 * chunksPerFile);
+
+  // Copies don't take the versions along
+  const copy = await fsPost(headers, "copy", { src: "/a/", dest: "/b/" });
+  assertEquals(copy.status, 200);
+  assertEquals((await fsReadBase64(headers, "/b/file.bin")).data.content, big);
+  assertEquals(await countChunks("cleo"), 3 * chunksPerFile);
+
+  const move = await fsPost(headers, "move", {
+    src: "/b/file.bin",
+    dest: "/c/moved.bin",
+    createMissingParents: true,
+  });
+  assertEquals(move.status, 200);
+  assertEquals((await fsReadBase64(headers, "/b/file.bin")).status, 404);
+  assertEquals((await fsReadBase64(headers, "/c/moved.bin")).data.content, big);
+  assertEquals(await countChunks("cleo"), 3 * chunksPerFile);
+
+  for (const path of ["/a/", "/c/"]) {
+    const res = await fetch(`${BASE}/api/fs/delete?path=${path}&permanent=1`, {
+      method: "DELETE",
+      headers,
+    });
+    await res.json();
+  }
+  assertEquals(await countChunks("cleo"), 0);
+});
+
+Deno.test("FS raw upload and download with MIME type and ETag", async () => {
+  const headers = await authHeaders("dora");
+  const bytes = randomBytes(150 * 1024);
+  const put = await fetch(
+    `${BASE}/api/fs/raw?path=/pics/photo.png&createMissingParents=true`,
+    {
+      method: "PUT",
+      headers: { Authorization: headers.Authorization },
+      body: bytes,
+    },
+  );
+  assert(put.ok);
+  const saved = await put.json();
+  assertEquals(saved.size, bytes.length);
+
+  const res = await fetch(`${BASE}/api/fs/raw?path=/pics/photo.png`, {
+    headers: { Authorization: headers.Authorization },
+  });
+  assertEquals(res.status, 200);
+  assertEquals(res.headers.get("content-type"), "image/png");
+  assertEquals(res.headers.get("content-length"), String(bytes.length));
+  assertEquals(res.headers.get("etag"), saved.etag);
+  assert(res.headers.get("last-modified"));
+  assertEquals(new Uint8Array(await res.arrayBuffer()), bytes);
+
+  const cached = await fetch(`${BASE}/api/fs/raw?path=/pics/photo.png`, {
+    headers: {
+      Authorization: headers.Authorization,
+      "If-None-Match": saved.etag,
+    },
+  });
+  assertEquals(cached.status, 304);
+  await cached.body?.cancel();
+
+  // Tokens can also be passed in the query string, e.g. for <img src>
+  const viaQuery = await fetch(
+    `${BASE}/api/fs/raw?path=/pics/photo.png&auth_token=${
+      headers.Authorization.slice(7)
+    }`,
+    { method: "HEAD" },
+  );
+  assertEquals(viaQuery.status, 200);
+  assertEquals(viaQuery.headers.get("content-length"), String(bytes.length));
+  await viaQuery.body?.cancel();
+});
+
+Deno.test("FS raw download honors Range requests", async () => {
+  const headers = await authHeaders("dora");
+  const bytes = randomBytes(130 * 1024);
+  const put = await fetch(`${BASE}/api/fs/raw?path=/video.mp4`, {
+    method: "PUT",
+    headers: { Authorization: headers.Authorization },
+    body: bytes,
+  });
+  await put.json();
+  const get = (range) =>
+    fetch(`${BASE}/api/fs/raw?path=/video.mp4`, {
+      headers: { Authorization: headers.Authorization, Range: range },
+    });
+
+  // Spans the boundary between the first and second chunk
+  const mid = await get("bytes=61000-62000");
+  assertEquals(mid.status, 206);
+  assertEquals(
+    mid.headers.get("content-range"),
+    `bytes 61000-62000/${bytes.length}`,
+  );
+  assertEquals(
+    new Uint8Array(await mid.arrayBuffer()),
+    bytes.slice(61000, 62001),
+  );
+
+  const suffix = await get("bytes=-100");
+  assertEquals(suffix.status, 206);
+  assertEquals(new Uint8Array(await suffix.arrayBuffer()), bytes.slice(-100));
+
+  const open = await get(`bytes=${bytes.length - 10}-`);
+  assertEquals((await open.arrayBuffer()).byteLength, 10);
+
+  const bad = await get(`bytes=${bytes.length}-`);
+  assertEquals(bad.status, 416);
+  assertEquals(bad.headers.get("content-range"), `bytes */${bytes.length}`);
+  await bad.body?.cancel();
+});
+
+Deno.test("FS raw writes check If-Match and If-None-Match", async () => {
+  const headers = await authHeaders("dora");
+  const auth = { Authorization: headers.Authorization };
+  const put = (extra, body) =>
+    fetch(`${BASE}/api/fs/raw?path=/notes.txt`, {
+      method: "PUT",
+      headers: { ...auth, ...extra },
+      body,
+    });
+  const created = await put({ "If-None-Match": "*" }, "v1");
+  assertEquals(created.status, 200);
+  const { etag } = await created.json();
+  const again = await put({ "If-None-Match": "*" }, "v2");
+  assertEquals(again.status, 412);
+  await again.json();
+  const stale = await put({ "If-Match": '"not-the-etag"' }, "v2");
+  assertEquals(stale.status, 412);
+  await stale.json();
+  const updated = await put({ "If-Match": etag }, "v2");
+  assertEquals(updated.status, 200);
+  const { etag: current } = await updated.json();
+  const res = await fetch(`${BASE}/api/fs/raw?path=/notes.txt`, {
+    headers: auth,
+  });
+  assertEquals(res.headers.get("content-type"), "text/plain; charset=utf-8");
+  assertEquals(await res.text(), "v2");
+
+  // Writers racing with the same If-Match: exactly one of them wins
+  const racers = await Promise.all(
+    ["a", "b", "c", "d"].map((c) =>
+      put({ "If-Match": current }, c.repeat(512 * 1024))
+    ),
+  );
+  await Promise.all(racers.map((r) => r.body?.cancel()));
+  assertEquals(racers.filter((r) => r.status === 200).length, 1);
+  assertEquals(racers.filter((r) => r.status === 412).length, 3);
+});
+
+Deno.test("FS multipart upload", async () => {
+  const headers = await authHeaders("dora");
+  const form = new FormData();
+  form.append("path", "/uploads");
+  form.append("createMissingParents", "true");
+  form.append("file", new Blob(["hello"]), "a.txt");
+  form.append("file", new Blob([new Uint8Array([1, 2, 3])]), "b.bin");
+  const res = await fetch(`${BASE}/api/fs/upload`, {
+    method: "POST",
+    headers: { Authorization: headers.Authorization },
+    body: form,
+  });
+  assert(res.ok);
+  const data = await res.json();
+  assertEquals(data.saved.map((f) => f.path), [
+    "/uploads/a.txt",
+    "/uploads/b.bin",
+  ]);
+  const raw = await fetch(`${BASE}/api/fs/raw?path=/uploads/b.bin`, {
+    headers: { Authorization: headers.Authorization },
+  });
+  assertEquals(raw.headers.get("content-type"), "application/octet-stream");
+  assertEquals(
+    new Uint8Array(await raw.arrayBuffer()),
+    new Uint8Array([1, 2, 3]),
+  );
+});
+
+Deno.test("FS write honors overwrite, dedupeName and createMissingParents", async () => {
+  const headers = await authHeaders("eli");
+  const write = (body) => fsPost(headers, "write", body);
+  const missing = await write({ path: "/proj/a.txt", content: "1" });
+  assertEquals(missing.status, 422);
+  assertEquals(missing.data.code, "dest_does_not_exist");
+  const created = await write({
+    path: "/proj/a.txt",
+    content: "1",
+    createMissingParents: true,
+  });
+  assertEquals(created.status, 200);
+  const noOverwrite = await write({
+    path: "/proj/a.txt",
+    content: "2",
+    overwrite: false,
+  });
+  assertEquals(noOverwrite.status, 409);
+  assertEquals(noOverwrite.data.code, "item_with_same_name_exists");
+  const deduped = await write({
+    path: "/proj/a.txt",
+    content: "2",
+    dedupeName: true,
+  });
+  assertEquals(deduped.data.path, "/proj/a (1).txt");
+  const deduped2 = await write({
+    path: "/proj/a.txt",
+    content: "3",
+    dedupeName: true,
+  });
+  assertEquals(deduped2.data.path, "/proj/a (2).txt");
+  const overwritten = await write({ path: "/proj/a.txt", content: "4" });
+  assertEquals(overwritten.status, 200);
+  const readRes = await fetch(`${BASE}/api/fs/read?path=/proj/a.txt`, {
+    headers,
+  });
+  assertEquals((await readRes.json()).content, "4");
+
+  // Concurrent writers without overwrite: only one of them creates the file
+  const racers = await Promise.all(
+    ["a", "b", "c", "d"].map((c) =>
+      write({
+        path: "/proj/race.txt",
+        content: c.repeat(512 * 1024),
+        overwrite: false,
+      })
+    ),
+  );
+  assertEquals(racers.map((r) => r.status).sort(), [200, 409, 409, 409]);
+  const winner = racers.find((r) => r.status === 200).data;
+  assertEquals(winner.path, "/proj/race.txt");
+});
+
+Deno.test("FS reports file/dir type conflicts", async () => {
+  const headers = await authHeaders("eli");
+  await fsPost(headers, "mkdir", {
+    path: "/conflict",
+    createMissingParents: true,
+  });
+  const fileOverDir = await fsPost(headers, "write", {
+    path: "/conflict",
+    content: "x",
+  });
+  assertEquals(fileOverDir.status, 422);
+  assertEquals(fileOverDir.data.code, "cannot_overwrite_a_directory");
+  await fsPost(headers, "write", { path: "/plain.txt", content: "x" });
+  const underFile = await fsPost(headers, "write", {
+    path: "/plain.txt/child.txt",
+    content: "x",
+    createMissingParents: true,
+  });
+  assertEquals(underFile.data.code, "dest_is_not_a_directory");
+  const mkdirOverFile = await fsPost(headers, "mkdir", { path: "/plain.txt" });
+  assertEquals(mkdirOverFile.status, 409);
+  assertEquals(mkdirOverFile.data.code, "item_with_same_name_exists");
+});
+
+Deno.test("FS mkdir options", async () => {
+  const headers = await authHeaders("fay");
+  const nested = await fsPost(headers, "mkdir", { path: "/x/y/z" });
+  assertEquals(nested.data.code, "dest_does_not_exist");
+  const created = await fsPost(headers, "mkdir", {
+    path: "/x/y/z",
+    createMissingParents: true,
+  });
+  assertEquals(created.data.path, "/x/y/z/");
+  const again = await fsPost(headers, "mkdir", { path: "/x/y/z" });
+  assertEquals(again.status, 409);
+  const deduped = await fsPost(headers, "mkdir", {
+    path: "/x/y/z",
+    dedupeName: true,
+  });
+  assertEquals(deduped.data.path, "/x/y/z (1)/");
+  await fsPost(headers, "write", { path: "/x/y/z/keep.txt", content: "k" });
+  const replaced = await fsPost(headers, "mkdir", {
+    path: "/x/y/z",
+    overwrite: true,
+  });
+  assertEquals(replaced.status, 200);
+  const list = await fetch(`${BASE}/api/fs/list?path=/x/y/z/`, { headers });
+  assertEquals((await list.json()).items, []);
+});
+
+Deno.test("FS copy and move conflicts", async () => {
+  const headers = await authHeaders("gus");
+  await fsPost(headers, "write", {
+    path: "/src/doc.txt",
+    content: "v1",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", {
+    path: "/dst/doc.txt",
+    content: "old",
+    createMissingParents: true,
+  });
+  const clash = await fsPost(headers, "copy", {
+    src: "/src/doc.txt",
+    dest: "/dst/",
+  });
+  assertEquals(clash.status, 409);
+  assertEquals(clash.data.code, "item_with_same_name_exists");
+  const deduped = await fsPost(headers, "copy", {
+    src: "/src/doc.txt",
+    dest: "/dst/",
+    dedupeName: true,
+  });
+  assertEquals(deduped.data.to, "/dst/doc (1).txt");
+  const renamed = await fsPost(headers, "copy", {
+    src: "/src/doc.txt",
+    dest: "/dst",
+    newName: "renamed.txt",
+  });
+  assertEquals(renamed.data.to, "/dst/renamed.txt");
+  const overwritten = await fsPost(headers, "move", {
+    src: "/src/doc.txt",
+    dest: "/dst/",
+    overwrite: true,
+  });
+  assertEquals(overwritten.status, 200);
+  const read = await fetch(`${BASE}/api/fs/read?path=/dst/doc.txt`, {
+    headers,
+  });
+  assertEquals((await read.json()).content, "v1");
+  const gone = await fsPost(headers, "move", {
+    src: "/src/doc.txt",
+    dest: "/dst/",
+  });
+  assertEquals(gone.status, 404);
+  assertEquals(gone.data.code, "subject_does_not_exist");
+  const noParent = await fsPost(headers, "copy", {
+    src: "/dst/doc.txt",
+    dest: "/nowhere/doc.txt",
+  });
+  assertEquals(noParent.data.code, "dest_does_not_exist");
+});
+
+Deno.test("FS move with overwrite replaces the target only once moved", async () => {
+  const headers = await authHeaders("tess");
+  await fsPost(headers, "write", {
+    path: "/old/inner/data.txt",
+    content: "old data",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", {
+    path: "/new/fresh.txt",
+    content: "fresh",
+    createMissingParents: true,
+  });
+  const moved = await fsPost(headers, "move", {
+    src: "/new",
+    dest: "/",
+    newName: "old",
+    overwrite: true,
+  });
+  assertEquals(moved.status, 200);
+  const names = (await listAll(headers, "/")).data.items.map((e) => e.path);
+  assertEquals(names, ["/old", "/old/fresh.txt"]);
+  assertEquals(await countChunks("tess"), 1);
+  const space = await fetch(`${BASE}/api/fs/space`, { headers });
+  assertEquals((await space.json()).used, 5);
+
+  // A failed move leaves the target alone
+  const missing = await fsPost(headers, "move", {
+    src: "/nothing.txt",
+    dest: "/old/fresh.txt",
+    overwrite: true,
+  });
+  assertEquals(missing.status, 404);
+  assertEquals(await countChunks("tess"), 1);
+});
+
+Deno.test("FS copy with overwrite replaces the target only once copied", async () => {
+  const headers = await authHeaders("vito");
+  await fsPost(headers, "write", {
+    path: "/keep/old.txt",
+    content: "old",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", {
+    path: "/src/a.txt",
+    content: "a",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", { path: "/src/b.txt", content: "bb" });
+  const space = async () =>
+    (await fetch(`${BASE}/api/fs/space`, { headers }).then((r) => r.json()))
+      .used;
+  assertEquals(await space(), 6);
+
+  // b.txt loses its content mid-copy: the copy fails and /keep is untouched
+  const db = await Deno.openKv(KV_PATH);
+  let blob;
+  for await (const e of db.list({ prefix: ["fs_entry", "vito"] })) {
+    if (e.key[3] === "b.txt") blob = e.value.blob;
+  }
+  await db.delete(["fs_chunk", "vito", blob, 0]);
+  db.close();
+  const copy = () =>
+    fsPost(headers, "copy", {
+      src: "/src",
+      dest: "/",
+      newName: "keep",
+      overwrite: true,
+    });
+  const failed = await copy();
+  assertEquals(failed.status, 409);
+  assertEquals(failed.data.code, "file_changed");
+  assertEquals(
+    (await listAll(headers, "/keep")).data.items.map((e) => e.path),
+    ["/keep/old.txt"],
+  );
+  assertEquals(await space(), 6);
+
+  await fsPost(headers, "write", { path: "/src/b.txt", content: "bb" });
+  const copied = await copy();
+  assertEquals(copied.status, 200);
+  assertEquals(
+    (await listAll(headers, "/keep")).data.items.map((e) => e.path),
+    ["/keep/a.txt", "/keep/b.txt"],
+  );
+  assertEquals(await space(), 6);
+});
+
+Deno.test("FS refuses to move a directory into itself", async () => {
+  const headers = await authHeaders("hal");
+  await fsPost(headers, "mkdir", {
+    path: "/tree/inner",
+    createMissingParents: true,
+  });
+  const intoChild = await fsPost(headers, "move", {
+    src: "/tree",
+    dest: "/tree/inner/",
+  });
+  assertEquals(intoChild.status, 422);
+  assertEquals(intoChild.data.code, "cannot_move_item_into_itself");
+  const copyInto = await fsPost(headers, "copy", {
+    src: "/tree/",
+    dest: "/tree/inner/",
+  });
+  assertEquals(copyInto.data.code, "cannot_copy_item_into_itself");
+  const same = await fsPost(headers, "move", { src: "/tree", dest: "/tree" });
+  assertEquals(same.status, 422);
+});
+
+Deno.test("FS stat returns Puter-shaped entries", async () => {
+  const headers = await authHeaders("iris");
+  await fsPost(headers, "write", {
+    path: "/pics/cat.png",
+    content: "meow",
+    createMissingParents: true,
+  });
+  const stat = async (path) => {
+    const res = await fetch(`${BASE}/api/fs/stat?path=${path}`, { headers });
+    return { status: res.status, data: await res.json() };
+  };
+  const file = await stat("/pics/cat.png");
+  assertEquals(file.status, 200);
+  assertEquals(file.data.name, "cat.png");
+  assertEquals(file.data.path, "/pics/cat.png");
+  assertEquals(file.data.dirname, "/pics");
+  assertEquals(file.data.is_dir, false);
+  assertEquals(file.data.type, "image/png");
+  assertEquals(file.data.size, 4);
+  assertEquals(file.data.owner.username, "iris");
+  assertEquals(typeof file.data.modified, "number");
+  const dir = await stat("/pics/");
+  assertEquals(dir.data.is_dir, true);
+  assertEquals(dir.data.is_empty, false);
+  assertEquals(file.data.parent_uid, dir.data.uid);
+  const root = await stat("/");
+  assertEquals(dir.data.parent_uid, root.data.uid);
+
+  // Overwriting keeps the uid
+  await fsPost(headers, "write", { path: "/pics/cat.png", content: "purr" });
+  assertEquals((await stat("/pics/cat.png")).data.uid, file.data.uid);
+
+  const missing = await stat("/pics/dog.png");
+  assertEquals(missing.status, 404);
+  assertEquals(missing.data.code, "subject_does_not_exist");
+});
+
+Deno.test("FS rename keeps the uid and rejects conflicts", async () => {
+  const headers = await authHeaders("jon");
+  await fsPost(headers, "write", {
+    path: "/notes/a.txt",
+    content: "a",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", { path: "/notes/b.txt", content: "b" });
+  const before = await fetch(`${BASE}/api/fs/stat?path=/notes/a.txt`, {
+    headers,
+  }).then((r) => r.json());
+  const renamed = await fsPost(headers, "rename", {
+    path: "/notes/a.txt",
+    newName: "c.md",
+  });
+  assertEquals(renamed.status, 200);
+  assertEquals(renamed.data.path, "/notes/c.md");
+  assertEquals(renamed.data.type, "text/markdown");
+  assertEquals(renamed.data.uid, before.uid);
+  assertEquals(renamed.data.created, before.created);
+  const clash = await fsPost(headers, "rename", {
+    path: "/notes/c.md",
+    newName: "b.txt",
+  });
+  assertEquals(clash.status, 409);
+  assertEquals(clash.data.code, "item_with_same_name_exists");
+  const bad = await fsPost(headers, "rename", {
+    path: "/notes/c.md",
+    newName: "../x",
+  });
+  assertEquals(bad.data.code, "invalid_file_name");
+  const dirRenamed = await fsPost(headers, "rename", {
+    path: "/notes",
+    newName: "journal",
+  });
+  assertEquals(dirRenamed.data.path, "/journal");
+  assertEquals(dirRenamed.data.is_dir, true);
+  const read = await fetch(`${BASE}/api/fs/read?path=/journal/c.md`, {
+    headers,
+  });
+  assertEquals((await read.json()).content, "a");
+});
+
+Deno.test("FS list supports depth and recursive modes", async () => {
+  const headers = await authHeaders("kim");
+  for (const path of ["/p/a.txt", "/p/q/b.txt", "/p/q/r/c.txt"]) {
+    await fsPost(headers, "write", {
+      path,
+      content: path,
+      createMissingParents: true,
+    });
+  }
+  await fsPost(headers, "mkdir", { path: "/p/empty" });
+  const list = async (query) => {
+    const res = await fetch(`${BASE}/api/fs/list?path=/p&${query}`, {
+      headers,
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const paths = (r) => r.data.items.map((item) => item.path);
+  assertEquals(paths(await list("")), ["/p/a.txt", "/p/empty", "/p/q"]);
+  assertEquals(paths(await list("depth=2")), [
+    "/p/a.txt",
+    "/p/empty",
+    "/p/q",
+    "/p/q/b.txt",
+    "/p/q/r",
+  ]);
+  const all = await list("recursive=true");
+  assertEquals(all.data.items.length, 6);
+  const byPath = new Map(all.data.items.map((item) => [item.path, item]));
+  assertEquals(byPath.get("/p/q/r/c.txt").parent_uid, byPath.get("/p/q/r").uid);
+  assertEquals(byPath.get("/p/empty").is_empty, true);
+  assertEquals(byPath.get("/p/q").is_empty, false);
+  assertEquals((await list("depth=0")).status, 400);
+  const missing = await fetch(`${BASE}/api/fs/list?path=/nope`, { headers });
+  assertEquals(missing.status, 404);
+  assertEquals((await missing.json()).code, "subject_does_not_exist");
+});
+
+async function buildTree(headers, root, dirs, filesPerDir) {
+  // root/d0..dN/s0..sN/f0..fM.txt, every file holding its own path
+  const paths = [];
+  for (let d = 0; d < dirs; d++) {
+    for (let s = 0; s < dirs; s++) {
+      for (let f = 0; f < filesPerDir; f++) {
+        const path = `${root}/d${d}/s${s}/f${f}.txt`;
+        await fsPost(headers, "write", {
+          path,
+          content: path,
+          createMissingParents: true,
+        });
+        paths.push(path);
+      }
+    }
+  }
+  return paths;
+}
+
+async function listAll(headers, path) {
+  const res = await fetch(
+    `${BASE}/api/fs/list?path=${encodeURIComponent(path)}&recursive=true`,
+    { headers },
+  );
+  return { status: res.status, data: await res.json() };
+}
+
+Deno.test("FS moves large trees without touching their contents", async () => {
+  const headers = await authHeaders("lars");
+  const paths = await buildTree(headers, "/big", 4, 10);
+  const entries = 4 + 4 * 4 + paths.length;
+  assertEquals((await listAll(headers, "/big")).data.items.length, entries);
+  const top = await fetch(`${BASE}/api/fs/list?path=/big`, { headers });
+  assertEquals((await top.json()).items.length, 4);
+
+  const deep = "/d3/s3/f9.txt";
+  const before = await fetch(`${BASE}/api/fs/stat?path=/big${deep}`, {
+    headers,
+  }).then((r) => r.json());
+  const etag = (await fetch(`${BASE}/api/fs/raw?path=/big${deep}`, {
+    method: "HEAD",
+    headers,
+  })).headers.get("ETag");
+  const chunks = await countChunks("lars");
+
+  const moved = await fsPost(headers, "move", { src: "/big", dest: "/moved" });
+  assertEquals(moved.status, 200);
+  assertEquals((await listAll(headers, "/big")).status, 404);
+  const after = await listAll(headers, "/moved");
+  assertEquals(after.data.items.length, entries);
+  const deepAfter = after.data.items.find((i) => i.path === `/moved${deep}`);
+  assertEquals(deepAfter.uid, before.uid);
+  const raw = await fetch(`${BASE}/api/fs/raw?path=/moved${deep}`, {
+    headers,
+  });
+  assertEquals(raw.headers.get("ETag"), etag);
+  assertEquals(await raw.text(), `/big${deep}`);
+  assertEquals(await countChunks("lars"), chunks);
+});
+
+Deno.test("FS copies and deletes large trees completely", async () => {
+  const headers = await authHeaders("mona");
+  const paths = await buildTree(headers, "/src", 3, 12);
+  const entries = 3 + 3 * 3 + paths.length;
+  const chunks = await countChunks("mona");
+  assertEquals(chunks, paths.length);
+
+  const copied = await fsPost(headers, "copy", { src: "/src", dest: "/dup" });
+  assertEquals(copied.status, 200);
+  const original = await listAll(headers, "/src");
+  const copy = await listAll(headers, "/dup");
+  assertEquals(
+    copy.data.items.map((i) => i.path.slice("/dup".length)),
+    original.data.items.map((i) => i.path.slice("/src".length)),
+  );
+  const uids = new Set(original.data.items.map((i) => i.uid));
+  assert(copy.data.items.every((i) => !uids.has(i.uid)));
+  assertEquals(await countChunks("mona"), 2 * chunks);
+  const sample = await fetch(`${BASE}/api/fs/read?path=/dup/d2/s1/f11.txt`, {
+    headers,
+  });
+  assertEquals((await sample.json()).content, "/src/d2/s1/f11.txt");
+
+  const del = await fetch(`${BASE}/api/fs/delete?path=/src&permanent=true`, {
+    method: "DELETE",
+    headers,
+  });
+  assertEquals((await del.json()).removedChildren, entries);
+  assertEquals((await listAll(headers, "/src")).status, 404);
+  assertEquals((await listAll(headers, "/dup")).data.items.length, entries);
+  assertEquals(await countChunks("mona"), chunks);
+
+  await fetch(`${BASE}/api/fs/delete?path=/&permanent=true`, {
+    method: "DELETE",
+    headers,
+  }).then((r) => r.json());
+  assertEquals((await listAll(headers, "/")).data.items, []);
+  assertEquals(await countChunks("mona"), 0);
+  const db = await Deno.openKv(KV_PATH);
+  let nodes = 0;
+  for await (const _ of db.list({ prefix: ["fs_node", "mona"] })) nodes++;
+  db.close();
+  assertEquals(nodes, 0);
+});
+
+Deno.test("FS imports entries stored by path before the directory index", async () => {
+  const headers = await authHeaders("nell");
+  const db = await Deno.openKv(KV_PATH);
+  const now = Date.now();
+  await db.set(["fs", "nell", "/"], { type: "dir", ctime: now, mtime: now });
+  await db.set(["fs", "nell", "/old/"], {
+    type: "dir",
+    ctime: now,
+    mtime: now,
+  });
+  await db.set(["fs", "nell", "/old/a.txt"], {
+    type: "file",
+    ctime: now,
+    mtime: now,
+    size: 3,
+    content: Array.from(new TextEncoder().encode("abc")),
+  });
+  const list = await listAll(headers, "/");
+  assertEquals(list.data.items.map((i) => i.path), ["/old", "/old/a.txt"]);
+  const read = await fetch(`${BASE}/api/fs/read?path=/old/a.txt`, { headers });
+  assertEquals((await read.json()).content, "abc");
+  let legacy = 0;
+  for await (const _ of db.list({ prefix: ["fs", "nell"] })) legacy++;
+  db.close();
+  assertEquals(legacy, 0);
+});
+
+Deno.test("FS sharing grants read and write access to other users", async () => {
+  const owner = await authHeaders("otto");
+  const friend = await authHeaders("pia");
+  const stranger = await authHeaders("rex");
+  await fsPost(owner, "write", {
+    path: "/team/plan.txt",
+    content: "v1",
+    createMissingParents: true,
+  });
+  await fsPost(owner, "write", { path: "/private.txt", content: "secret" });
+  const read = (headers, path) =>
+    fetch(`${BASE}/api/fs/read?path=${path}&owner=otto`, { headers })
+      .then(async (r) => ({ status: r.status, data: await r.json() }));
+
+  // Nothing is visible before sharing, not even whether a path exists
+  assertEquals((await read(friend, "/team/plan.txt")).status, 403);
+  assertEquals((await read(friend, "/nope.txt")).status, 403);
+
+  const shared = await fsPost(owner, "share", {
+    path: "/team",
+    username: "pia",
+    access: "read",
+  });
+  assertEquals(shared.status, 200);
+  assertEquals((await read(friend, "/team/plan.txt")).data.content, "v1");
+  assertEquals((await read(friend, "/private.txt")).status, 403);
+  assertEquals((await read(stranger, "/team/plan.txt")).status, 403);
+  const list = await fetch(`${BASE}/api/fs/list?path=/team&owner=otto`, {
+    headers: friend,
+  });
+  assertEquals((await list.json()).items[0].owner.username, "otto");
+
+  // Read access doesn't allow writes, deletes or moves
+  const denied = await fsPost(friend, "write", {
+    path: "/team/plan.txt",
+    content: "v2",
+    owner: "otto",
+  });
+  assertEquals(denied.status, 403);
+  assertEquals(denied.data.code, "forbidden");
+  const del = await fetch(
+    `${BASE}/api/fs/delete?path=/team/plan.txt&owner=otto`,
+    { method: "DELETE", headers: friend },
+  );
+  assertEquals(del.status, 403);
+  await del.json();
+  const copyOut = await fsPost(friend, "copy", {
+    src: "/team/plan.txt",
+    dest: "/plan.txt",
+    owner: "otto",
+  });
+  assertEquals(copyOut.status, 403);
+
+  // Upgrading to write; the grant follows the directory through a rename
+  await fsPost(owner, "share", {
+    path: "/team",
+    username: "pia",
+    access: "write",
+  });
+  await fsPost(owner, "rename", { path: "/team", newName: "crew" });
+  const written = await fsPost(friend, "write", {
+    path: "/crew/notes.txt",
+    content: "from pia",
+    owner: "otto",
+  });
+  assertEquals(written.status, 200);
+  const moved = await fsPost(friend, "move", {
+    src: "/crew/notes.txt",
+    dest: "/crew/plan-notes.txt",
+    owner: "otto",
+  });
+  assertEquals(moved.status, 200);
+  const escape = await fsPost(friend, "move", {
+    src: "/crew/plan.txt",
+    dest: "/plan.txt",
+    owner: "otto",
+  });
+  assertEquals(escape.status, 403);
+  const ownRead = await fetch(`${BASE}/api/fs/read?path=/crew/plan-notes.txt`, {
+    headers: owner,
+  });
+  assertEquals((await ownRead.json()).content, "from pia");
+
+  const withMe = await fetch(`${BASE}/api/fs/shared`, { headers: friend })
+    .then((r) => r.json());
+  assertEquals(withMe.items.length, 1);
+  assertEquals(withMe.items[0].path, "/crew");
+  assertEquals(withMe.items[0].access, "write");
+  assertEquals(withMe.items[0].owner.username, "otto");
+  const grants = await fetch(`${BASE}/api/fs/shares?path=/crew`, {
+    headers: owner,
+  }).then((r) => r.json());
+  assertEquals(grants.shares.map((s) => s.username), ["pia"]);
+
+  await fsPost(owner, "unshare", { path: "/crew", username: "pia" });
+  assertEquals((await read(friend, "/crew/plan.txt")).status, 403);
+  const none = await fetch(`${BASE}/api/fs/shared`, { headers: friend })
+    .then((r) => r.json());
+  assertEquals(none.items, []);
+});
+
+Deno.test("FS share validates the grant", async () => {
+  const headers = await authHeaders("sol");
+  await fsPost(headers, "mkdir", { path: "/box" });
+  const badAccess = await fsPost(headers, "share", {
+    path: "/box",
+    username: "otto",
+    access: "admin",
+  });
+  assertEquals(badAccess.status, 400);
+  const noUser = await fsPost(headers, "share", {
+    path: "/box",
+    username: "nobody-here",
+  });
+  assertEquals(noUser.status, 404);
+  const noPath = await fsPost(headers, "share", {
+    path: "/missing",
+    username: "otto",
+  });
+  assertEquals(noPath.data.code, "subject_does_not_exist");
+  const self = await fsPost(headers, "share", {
+    path: "/box",
+    username: "sol",
+  });
+  assertEquals(self.status, 400);
+});
+
+Deno.test("FS public links stream files with download limits", async () => {
+  const headers = await authHeaders("tom");
+  await fsPost(headers, "write", { path: "/report.txt", content: "quarterly" });
+  const created = await fsPost(headers, "links", {
+    path: "/report.txt",
+    max_downloads: 2,
+  });
+  assertEquals(created.status, 200);
+  assert(created.data.url.startsWith(`${BASE}/s/`));
+  assertEquals(created.data.token.length, 64);
+
+  // Renaming the file doesn't break the link
+  await fsPost(headers, "rename", { path: "/report.txt", newName: "q3.txt" });
+  const first = await fetch(created.data.url);
+  assertEquals(first.status, 200);
+  assertEquals(first.headers.get("Content-Type"), "text/plain; charset=utf-8");
+  assertEquals(await first.text(), "quarterly");
+  const head = await fetch(created.data.url, { method: "HEAD" });
+  assertEquals(head.status, 200);
+  await head.body?.cancel();
+  assertEquals(await (await fetch(created.data.url)).text(), "quarterly");
+  const used = await fetch(created.data.url);
+  assertEquals(used.status, 410);
+  await used.body?.cancel();
+
+  const links = await fetch(`${BASE}/api/fs/links`, { headers })
+    .then((r) => r.json());
+  assertEquals(links.links[0].path, "/q3.txt");
+  assertEquals(links.links[0].downloads, 2);
+
+  const missing = await fetch(`${BASE}/s/${"0".repeat(64)}`);
+  assertEquals(missing.status, 404);
+  await missing.body?.cancel();
+});
+
+Deno.test("FS public links honor passwords, expiry and revocation", async () => {
+  const headers = await authHeaders("ursula");
+  await fsPost(headers, "write", { path: "/key.txt", content: "k" });
+  const locked = await fsPost(headers, "links", {
+    path: "/key.txt",
+    password: "open sesame",
+    expireIn: 60_000,
+  });
+  assertEquals(locked.data.password, true);
+  const url = locked.data.url;
+  const ask = await fetch(url);
+  assertEquals(ask.status, 401);
+  assert((await ask.text()).includes('type="password"'));
+  const wrong = await fetch(`${url}?password=nope`);
+  assertEquals(wrong.status, 403);
+  await wrong.body?.cancel();
+  const right = await fetch(`${url}?password=open%20sesame`);
+  assertEquals(await right.text(), "k");
+  await withClockOffset(61_000, async () => {
+    const expired = await fetch(`${url}?password=open%20sesame`);
+    assertEquals(expired.status, 410);
+    await expired.body?.cancel();
+  });
+
+  const bad = await fsPost(headers, "links", {
+    path: "/key.txt",
+    max_downloads: 0,
+  });
+  assertEquals(bad.status, 400);
+
+  const open = await fsPost(headers, "links", { path: "/key.txt" });
+  const revoke = await fetch(
+    `${BASE}/api/fs/links?token=${open.data.token}`,
+    { method: "DELETE", headers },
+  );
+  assertEquals(revoke.status, 200);
+  await revoke.json();
+  const gone = await fetch(open.data.url);
+  assertEquals(gone.status, 404);
+  await gone.body?.cancel();
+});
+
+Deno.test("FS public directory links render an index", async () => {
+  const headers = await authHeaders("vic");
+  await fsPost(headers, "write", {
+    path: "/album/sub dir/photo.png",
+    content: "png",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", { path: "/album/<b>.txt", content: "x" });
+  await fsPost(headers, "write", { path: "/outside.txt", content: "no" });
+  const link = await fsPost(headers, "links", { path: "/album" });
+  const index = await fetch(link.data.url);
+  assertEquals(index.status, 200);
+  const page = await index.text();
+  assert(page.includes("&lt;b&gt;.txt"));
+  assert(page.includes(`/s/${link.data.token}/sub%20dir/`));
+  const nested = await fetch(`${link.data.url}/sub%20dir/photo.png`);
+  assertEquals(nested.headers.get("Content-Type"), "image/png");
+  assertEquals(await nested.text(), "png");
+  const escape = await fetch(`${link.data.url}/..%2Foutside.txt`);
+  assertEquals(escape.status, 404);
+  await escape.body?.cancel();
+});
+
+Deno.test("FS delete moves items to the trash until restored or emptied", async () => {
+  const headers = await authHeaders("wes");
+  await fsPost(headers, "write", {
+    path: "/proj/src/main.js",
+    content: "main",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", { path: "/todo.txt", content: "todo" });
+  const del = (path) =>
+    fetch(`${BASE}/api/fs/delete?path=${path}`, { method: "DELETE", headers })
+      .then(async (r) => ({ status: r.status, data: await r.json() }));
+  const trash = () =>
+    fetch(`${BASE}/api/fs/trash`, { headers }).then((r) => r.json());
+
+  assertEquals((await del("/proj")).data.trashed, true);
+  await del("/todo.txt");
+  assertEquals((await del("/nothing")).status, 404);
+  const stat = await fetch(`${BASE}/api/fs/stat?path=/proj`, { headers });
+  assertEquals(stat.status, 404);
+  await stat.json();
+  const items = (await trash()).items;
+  assertEquals(items.map((i) => i.original_path).sort(), [
+    "/proj",
+    "/todo.txt",
+  ]);
+  const proj = items.find((i) => i.name === "proj");
+  assertEquals(proj.is_dir, true);
+
+  // A new item took the old name: restoring needs dedupeName (or overwrite)
+  await fsPost(headers, "mkdir", { path: "/proj" });
+  const clash = await fsPost(headers, "trash/restore", { uid: proj.uid });
+  assertEquals(clash.data.code, "item_with_same_name_exists");
+  const restored = await fsPost(headers, "trash/restore", {
+    uid: proj.uid,
+    dedupeName: true,
+  });
+  assertEquals(restored.data.path, "/proj (1)/");
+  const read = await fetch(`${BASE}/api/fs/read?path=/proj (1)/src/main.js`, {
+    headers,
+  });
+  assertEquals((await read.json()).content, "main");
+
+  const chunks = await countChunks("wes");
+  const emptied = await fsPost(headers, "trash/empty", {});
+  assertEquals(emptied.data.items, 1);
+  assertEquals((await trash()).items, []);
+  assertEquals(await countChunks("wes"), chunks - 1);
+});
+
+Deno.test("FS keeps a bounded version history per file", async () => {
+  const headers = await authHeaders("xavi");
+  for (let i = 1; i <= 13; i++) {
+    await fsPost(headers, "write", { path: "/doc.txt", content: `v${i}` });
+  }
+  const listVersions = () =>
+    fetch(`${BASE}/api/fs/versions?path=/doc.txt`, { headers })
+      .then((r) => r.json());
+  const { versions } = await listVersions();
+  // The default keeps the 10 newest replaced contents, newest first
+  assertEquals(versions.length, 10);
+  assertEquals(versions[0].size, 3);
+  const readVersion = (id) =>
+    fetch(`${BASE}/api/fs/versions/read?path=/doc.txt&id=${id}`, { headers })
+      .then((r) => r.json());
+  assertEquals((await readVersion(versions[0].id)).content, "v12");
+  assertEquals((await readVersion(versions[9].id)).content, "v3");
+  assertEquals(await countChunks("xavi"), 11);
+
+  const restored = await fsPost(headers, "versions/restore", {
+    path: "/doc.txt",
+    id: versions[1].id,
+  });
+  assertEquals(restored.status, 200);
+  const read = await fetch(`${BASE}/api/fs/read?path=/doc.txt`, { headers });
+  assertEquals((await read.json()).content, "v11");
+  // Restoring is undoable: the replaced content became the newest version
+  const after = (await listVersions()).versions;
+  assertEquals(after.length, 10);
+  assertEquals((await readVersion(after[0].id)).content, "v13");
+
+  const missing = await fsPost(headers, "versions/restore", {
+    path: "/doc.txt",
+    id: "nope",
+  });
+  assertEquals(missing.status, 404);
+
+  const purge = await fetch(`${BASE}/api/fs/delete?path=/doc.txt&permanent=1`, {
+    method: "DELETE",
+    headers,
+  });
+  await purge.json();
+  assertEquals(await countChunks("xavi"), 0);
+});
+
+Deno.test("FS tracks space usage and enforces the quota", async () => {
+  const headers = await authHeaders("yara");
+  const space = () =>
+    fetch(`${BASE}/api/fs/space`, { headers }).then((r) => r.json());
+  const del = (query) =>
+    fetch(`${BASE}/api/fs/delete?${query}`, { method: "DELETE", headers })
+      .then((r) => r.json());
+  assertEquals(await space(), { used: 0, capacity: 1024 * 1024 * 1024 });
+
+  await fsPost(headers, "write", { path: "/a.txt", content: "x".repeat(1000) });
+  assertEquals((await space()).used, 1000);
+  // Previous versions don't count, the current content does
+  await fsPost(headers, "write", { path: "/a.txt", content: "y".repeat(400) });
+  assertEquals((await space()).used, 400);
+  await fsPost(headers, "copy", { src: "/a.txt", dest: "/b.txt" });
+  await fsPost(headers, "move", {
+    src: "/b.txt",
+    dest: "/dir/b.txt",
+    createMissingParents: true,
+  });
+  assertEquals((await space()).used, 800);
+  // Trashed items count until the trash is emptied
+  await del("path=/dir");
+  assertEquals((await space()).used, 800);
+  await fsPost(headers, "trash/empty", {});
+  assertEquals((await space()).used, 400);
+
+  const shrunk = await fsPost(headers, "space", { capacity: 700 });
+  assertEquals(shrunk.data, { used: 400, capacity: 700 });
+  const full = await fsPost(headers, "write", {
+    path: "/big.txt",
+    content: "z".repeat(700),
+  });
+  assertEquals(full.status, 413);
+  assertEquals(full.data.code, "storage_limit_reached");
+  const raw = await fetch(`${BASE}/api/fs/raw?path=/big.bin`, {
+    method: "PUT",
+    headers: { Authorization: headers.Authorization },
+    body: new Uint8Array(700),
+  });
+  assertEquals(raw.status, 413);
+  await raw.json();
+  const copy = await fsPost(headers, "copy", { src: "/a.txt", dest: "/c.txt" });
+  assertEquals(copy.status, 413);
+  // Replacing a file only needs room for the difference
+  const grow = await fsPost(headers, "write", {
+    path: "/a.txt",
+    content: "w".repeat(700),
+  });
+  assertEquals(grow.status, 200);
+  assertEquals((await space()).used, 700);
+  // Rejected writes leave no chunks behind: a.txt plus its two versions
+  assertEquals(await countChunks("yara"), 3);
+
+  // A lost counter is rebuilt from the tree
+  await del("path=/a.txt&permanent=true");
+  await fsPost(headers, "write", { path: "/d.txt", content: "12345" });
+  const db = await Deno.openKv(KV_PATH);
+  await db.delete(["fs_usage", "yara"]);
+  db.close();
+  assertEquals(await space(), { used: 5, capacity: 700 });
+
+  // Purging a large tree while other writes land keeps the counter exact
+  for (let i = 0; i < 60; i++) {
+    await fsPost(headers, "write", {
+      path: `/many/${i}.txt`,
+      content: "m",
+      createMissingParents: true,
+    });
+  }
+  assertEquals((await space()).used, 65);
+  await Promise.all([
+    del("path=/many&permanent=true"),
+    ...[0, 1, 2, 3, 4].map((i) =>
+      fsPost(headers, "write", { path: `/w${i}.txt`, content: "0123456789" })
+    ),
+  ]);
+  assertEquals((await space()).used, 55);
+  await fsPost(headers, "space", { capacity: null });
+  assertEquals((await space()).capacity, 1024 * 1024 * 1024);
+});
+
+Deno.test("FS search filters by name, type, size, mtime and content", async () => {
+  const headers = await authHeaders("zane");
+  const files = {
+    "/docs/Report.md": "Quarterly numbers",
+    "/docs/notes.txt": "remember the milk",
+    "/docs/old/report-2019.md": "archived",
+    "/img/logo.png": "\x89PNG",
+    "/data.json": '{"milk": true}',
+  };
+  for (const [path, content] of Object.entries(files)) {
+    await fsPost(headers, "write", {
+      path,
+      content,
+      createMissingParents: true,
+    });
+  }
+  await fsPost(headers, "mkdir", { path: "/reports" });
+  const search = async (query) => {
+    const res = await fetch(`${BASE}/api/fs/search?${query}`, { headers });
+    return { status: res.status, data: await res.json() };
+  };
+  const paths = (r) => r.data.items.map((item) => item.path);
+
+  assertEquals(paths(await search("name=REPORT")), [
+    "/docs/Report.md",
+    "/docs/old/report-2019.md",
+    "/reports",
+  ]);
+  assertEquals(paths(await search("glob=*.md&path=/docs/old")), [
+    "/docs/old/report-2019.md",
+  ]);
+  assertEquals(paths(await search("type=dir")), [
+    "/docs",
+    "/docs/old",
+    "/img",
+    "/reports",
+  ]);
+  assertEquals(paths(await search("mime=image/*")), ["/img/logo.png"]);
+  assertEquals(paths(await search("min_size=10&max_size=14")), ["/data.json"]);
+  assertEquals(paths(await search("content=MILK")), [
+    "/data.json",
+    "/docs/notes.txt",
+  ]);
+  const now = Math.floor(Date.now() / 1000);
+  assertEquals(paths(await search(`modified_before=${now - 60}`)), []);
+  assertEquals(
+    (await search(`modified_after=${now - 60}`)).data.items.length,
+    9,
+  );
+  const reports = (await search("name=report")).data.items;
+  assertEquals(reports.find((e) => e.path === "/reports").is_empty, true);
+
+  // Pages resume after the cursor, also from inside a directory
+  const seen = [];
+  let cursor = "";
+  do {
+    const page = await search(`limit=2&cursor=${encodeURIComponent(cursor)}`);
+    assertEquals(page.status, 200);
+    seen.push(...paths(page));
+    cursor = page.data.cursor;
+  } while (cursor);
+  assertEquals(seen, paths(await search("limit=100")));
+  assertEquals(seen.length, 9);
+
+  assertEquals((await search("cursor=!!")).status, 400);
+  assertEquals((await search("type=link")).status, 400);
+  assertEquals((await search("min_size=big")).status, 400);
+  assertEquals((await search("path=/nope")).status, 404);
+  assertEquals((await search("path=/data.json")).status, 422);
+});
+
+function storedZip(entries) {
+  // Minimal stored-only zip (CRCs left at 0) for malformed-archive tests
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of entries) {
+    const n = enc.encode(name);
+    const data = enc.encode(content);
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, n.length, true);
+    parts.push(new Uint8Array(local.buffer), n, data);
+    const cd = new DataView(new ArrayBuffer(46));
+    cd.setUint32(0, 0x02014b50, true);
+    cd.setUint32(20, data.length, true);
+    cd.setUint32(24, data.length, true);
+    cd.setUint16(28, n.length, true);
+    cd.setUint32(42, offset, true);
+    central.push(new Uint8Array(cd.buffer), n);
+    offset += 30 + n.length + data.length;
+  }
+  const size = central.reduce((s, p) => s + p.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, entries.length, true);
+  end.setUint16(10, entries.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, new Uint8Array(end.buffer)]);
+}
+
+Deno.test("FS exports directories as zips and extracts uploaded zips", async () => {
+  const headers = await authHeaders("abby");
+  const files = {
+    "/proj/readme.md": "# Project",
+    "/proj/src/main.js": "console.log(1);\n".repeat(5000),
+    "/proj/src/üñí.txt": "unicode",
+  };
+  for (const [path, content] of Object.entries(files)) {
+    await fsPost(headers, "write", {
+      path,
+      content,
+      createMissingParents: true,
+    });
+  }
+  await fsPost(headers, "mkdir", { path: "/proj/empty" });
+
+  const res = await fetch(`${BASE}/api/fs/zip?path=/proj`, { headers });
+  assertEquals(res.status, 200);
+  assertEquals(res.headers.get("content-type"), "application/zip");
+  assert(res.headers.get("content-disposition").includes("proj.zip"));
+  const zip = new Uint8Array(await res.arrayBuffer());
+  assert(zip.length < 5000);
+
+  const unzip = (query, body) =>
+    fetch(`${BASE}/api/fs/unzip?${query}`, { method: "POST", headers, body })
+      .then(async (r) => ({ status: r.status, data: await r.json() }));
+  const r = await unzip("path=/copy&createMissingParents=true", zip);
+  assertEquals(r.status, 200);
+  assertEquals(r.data.saved.length, 3);
+  assertEquals(r.data.dirs, ["/copy/empty", "/copy/src"]);
+  for (const [path, content] of Object.entries(files)) {
+    const copy = path.replace("/proj/", "/copy/");
+    const read = await fetch(
+      `${BASE}/api/fs/read?path=${encodeURIComponent(copy)}`,
+      { headers },
+    );
+    assertEquals((await read.json()).content, content);
+  }
+  assertEquals((await listAll(headers, "/copy")).data.items.length, 5);
+
+  // Overwrite rules apply per file
+  const clash = await unzip("path=/copy&overwrite=false", zip);
+  assertEquals(clash.status, 409);
+  const deduped = await unzip("path=/copy&dedupeName=true", zip);
+  assertEquals(deduped.data.saved[0].path, "/copy/readme (1).md");
+
+  const missing = await unzip("path=/nowhere", zip);
+  assertEquals(missing.data.code, "dest_does_not_exist");
+  for (const name of ["../evil.txt", "/etc/passwd", "a/../../b", "C:\\x"]) {
+    const bad = await unzip(
+      "path=/copy",
+      storedZip([["ok.txt", "ok"], [name, "x"]]),
+    );
+    assertEquals(bad.status, 400);
+    assertEquals(bad.data.code, "invalid_file_name");
+  }
+  assertEquals(
+    (await fetch(`${BASE}/api/fs/stat?path=/copy/ok.txt`, { headers })).status,
+    404,
+  );
+  // Entries whose CRC doesn't match are rejected (an empty file's CRC is 0)
+  const corrupt = await unzip(
+    "path=/copy",
+    storedZip([["empty.txt", ""], ["x.txt", "data"]]),
+  );
+  assertEquals(corrupt.data.code, "invalid_archive");
+  // A deflated entry can't claim more than deflate could produce from it
+  const bomb = new Uint8Array(
+    await storedZip([["bomb.bin", "xxxx"]]).arrayBuffer(),
+  );
+  const header = new DataView(bomb.buffer, 30 + 8 + 4);
+  header.setUint16(10, 8, true);
+  header.setUint32(24, 512 * 1024 * 1024, true);
+  const bombed = await unzip("path=/copy", bomb);
+  assertEquals(bombed.data.code, "invalid_archive");
+  // Nothing is written unless every entry can be
+  await fsPost(headers, "write", {
+    path: "/partial/src/üñí.txt",
+    content: "mine",
+    createMissingParents: true,
+  });
+  const partial = await unzip("path=/partial&overwrite=false", zip);
+  assertEquals(partial.status, 409);
+  assertEquals(
+    (await listAll(headers, "/partial")).data.items.map((e) => e.path),
+    ["/partial/src", "/partial/src/üñí.txt"],
+  );
+  assertEquals(
+    (await fetch(`${BASE}/api/fs/stat?path=/copy/empty.txt`, { headers }))
+      .status,
+    404,
+  );
+  const junk = await unzip("path=/copy", "not a zip");
+  assertEquals(junk.data.code, "invalid_archive");
+  const notDir = await fetch(`${BASE}/api/fs/zip?path=/proj/readme.md`, {
+    headers,
+  });
+  assertEquals(notDir.status, 422);
+  await notDir.body.cancel();
+});
+
+function kvSetKey(headers, key, value) {
+  return fetch(`${BASE}/api/kv/set`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ key, value }),
+  }).then((r) => r.json());
+}
+
+function sseReader(res, timeoutMs = 5000) {
+  // Returns next(): the next SSE message as { id, event, data } (comments
+  // skipped). next() fails if nothing arrives within timeoutMs, so a missing
+  // event fails the test instead of hanging the run.
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = "";
+  const read = () => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`No SSE event within ${timeoutMs}ms`)),
+        timeoutMs,
+      );
+    });
+    return Promise.race([reader.read(), timeout]).finally(() =>
+      clearTimeout(timer)
+    );
+  };
+  const next = async () => {
+    while (true) {
+      const end = buffer.indexOf("\n\n");
+      if (end >= 0) {
+        const frame = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const fields = {};
+        for (const line of frame.split("\n")) {
+          if (line.startsWith(":")) continue;
+          const i = line.indexOf(": ");
+          fields[line.slice(0, i)] = line.slice(i + 2);
+        }
+        if (fields.data) return { ...fields, data: JSON.parse(fields.data) };
+        continue;
+      }
+      const { done, value } = await read();
+      if (done) return null;
+      buffer += value;
+    }
+  };
+  return { next, close: () => reader.cancel() };
+}
+
+Deno.test("change events stream over SSE with filters and resume", async () => {
+  const headers = await authHeaders("cole");
+  const res = await fetch(`${BASE}/api/events?types=fs,kv.set&path=/live`, {
+    headers,
+  });
+  assertEquals(res.headers.get("content-type"), "text/event-stream");
+  const events = sseReader(res);
+  const seen = [];
+  try {
+    await fsPost(headers, "mkdir", { path: "/live" });
+    await fsPost(headers, "write", { path: "/elsewhere.txt", content: "x" });
+    await fsPost(headers, "write", { path: "/live/a.txt", content: "hello" });
+    await kvSetKey(headers, "k", 1);
+    await fetch(`${BASE}/api/kv/delete?key=k`, { method: "DELETE", headers })
+      .then((r) => r.json());
+    await fsPost(headers, "move", { src: "/live/a.txt", dest: "/b.txt" });
+    await fetch(`${BASE}/api/fs/delete?path=/b.txt`, {
+      method: "DELETE",
+      headers,
+    }).then((r) => r.json());
+
+    for (let i = 0; i < 4; i++) seen.push(await events.next());
+  } finally {
+    await events.close();
+  }
+  assertEquals(seen.map((m) => m.event), [
+    "fs.mkdir",
+    "fs.write",
+    "kv.set",
+    "fs.move",
+  ]);
+  assertEquals(seen[1].data.path, "/live/a.txt");
+  assertEquals(seen[1].data.size, 5);
+  assertEquals(seen[2].data.key, "myscope_k");
+  assertEquals(seen[3].data, {
+    ...seen[3].data,
+    from: "/live/a.txt",
+    to: "/b.txt",
+  });
+  assertEquals(seen[3].id, String(seen[3].data.id));
+
+  // Reconnecting with Last-Event-ID replays what came after it
+  const resumed = await fetch(`${BASE}/api/events`, {
+    headers: { ...headers, "Last-Event-ID": seen[2].id },
+  });
+  const replay = sseReader(resumed);
+  const kinds = [];
+  try {
+    for (let i = 0; i < 3; i++) kinds.push((await replay.next()).event);
+  } finally {
+    await replay.close();
+  }
+  assertEquals(kinds, ["kv.delete", "fs.move", "fs.delete"]);
+});
+
+Deno.test("change events are delivered over WebSocket", async () => {
+  const token = await login("dale");
+  const headers = await authHeaders("dale");
+  const socket = new WebSocket(
+    `ws://localhost:8000/api/events?types=kv&auth_token=${token}`,
+  );
+  await new Promise((res) => socket.onopen = res);
+  const message = new Promise((res) =>
+    socket.onmessage = (e) => res(JSON.parse(e.data))
+  );
+  await fsPost(headers, "write", { path: "/ignored.txt", content: "x" });
+  await kvSetKey(headers, "ws", true);
+  const event = await message;
+  assertEquals(event.type, "kv.set");
+  assertEquals(event.key, "myscope_ws");
+  const closed = new Promise((res) => socket.onclose = res);
+  socket.close();
+  await closed;
+});
+
+Deno.test("hosting publishes FS directories as static sites", async () => {
+  const headers = await authHeaders("finn");
+  const files = {
+    "/www/index.html": "<h1>Home</h1>",
+    "/www/style.css": "h1 { color: red }",
+    "/www/docs/index.html": "<h1>Docs</h1>",
+    "/www/404.html": "<h1>Missing</h1>",
+  };
+  for (const [path, content] of Object.entries(files)) {
+    await fsPost(headers, "write", {
+      path,
+      content,
+      createMissingParents: true,
+    });
+  }
+  await fsPost(headers, "write", {
+    path: "/other/index.html",
+    content: "other",
+    createMissingParents: true,
+  });
+  const hosting = async (op, body) => {
+    const res = await fetch(`${BASE}/api/hosting/${op}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const created = await hosting("create", {
+    subdomain: "Finn-Site",
+    root_dir: "/www",
+  });
+  assertEquals(created.status, 200);
+  assertEquals(created.data.subdomain, "finn-site");
+  assertEquals(created.data.root_dir.path, "/www");
+  assertEquals(created.data.url, `${BASE}/sites/finn-site/`);
+
+  const get = async (path, init) => {
+    const res = await fetch(`${BASE}${path}`, { redirect: "manual", ...init });
+    return {
+      status: res.status,
+      type: res.headers.get("content-type"),
+      location: res.headers.get("location"),
+      body: await res.text(),
+    };
+  };
+  const home = await get("/sites/finn-site/");
+  assertEquals([home.status, home.body], [200, "<h1>Home</h1>"]);
+  assert(home.type.startsWith("text/html"));
+  assert((await get("/sites/finn-site/style.css")).type.startsWith("text/css"));
+  assertEquals((await get("/sites/finn-site/docs/")).body, "<h1>Docs</h1>");
+  assertEquals(
+    (await get("/sites/finn-site/docs")).location,
+    `${BASE}/sites/finn-site/docs/`,
+  );
+  assertEquals((await get("/sites/finn-site")).status, 301);
+  const missing = await get("/sites/finn-site/nope.html");
+  assertEquals([missing.status, missing.body], [404, "<h1>Missing</h1>"]);
+  // fetch() won't send a custom Host header, so speak HTTP/1.1 directly
+  const conn = await Deno.connect({ port: 8000 });
+  await conn.write(new TextEncoder().encode(
+    "GET /docs/ HTTP/1.1\r\nHost: finn-site.localhost:8000\r\nConnection: close\r\n\r\n",
+  ));
+  const raw = await new Response(conn.readable).text();
+  assert(raw.startsWith("HTTP/1.1 200"));
+  assert(raw.endsWith("<h1>Docs</h1>"));
+  assertEquals((await get("/sites/nobody/")).status, 404);
+
+  // Sites follow their directory, can be repointed and are unique per name
+  await fsPost(headers, "rename", { path: "/www", newName: "public" });
+  assertEquals((await get("/sites/finn-site/")).body, "<h1>Home</h1>");
+  const other = await authHeaders("gwen");
+  const taken = await fetch(`${BASE}/api/hosting/create`, {
+    method: "POST",
+    headers: other,
+    body: JSON.stringify({ subdomain: "finn-site", root_dir: "/" }),
+  });
+  assertEquals(taken.status, 409);
+  await taken.json();
+  const updated = await hosting("update", {
+    subdomain: "finn-site",
+    root_dir: "/other",
+  });
+  assertEquals(updated.data.root_dir.path, "/other");
+  assertEquals((await get("/sites/finn-site/")).body, "other");
+  assertEquals((await hosting("create", { root_dir: "/nope" })).status, 404);
+  assertEquals(
+    (await hosting("create", { subdomain: "-bad", root_dir: "/other" })).status,
+    400,
+  );
+
+  const list = await fetch(`${BASE}/api/hosting/list`, { headers });
+  assertEquals(
+    (await list.json()).sites.map((site) => site.subdomain),
+    ["finn-site"],
+  );
+
+  // Accounts with the hosting feature flag off can't publish or repoint sites
+  const db = await Deno.openKv(KV_PATH);
+  const user = (await db.get(["users", "finn"])).value;
+  await db.set(["users", "finn"], {
+    ...user,
+    feature_flags: { hosting: false },
+  });
+  for (
+    const [op, body] of [
+      ["create", { subdomain: "finn-two", root_dir: "/other" }],
+      ["update", { subdomain: "finn-site", root_dir: "/public" }],
+    ]
+  ) {
+    const res = await hosting(op, body);
+    assertEquals(res.status, 403, op);
+    assertEquals(res.data.error, "Hosting is disabled for this account");
+  }
+  await db.set(["users", "finn"], user);
+  db.close();
+
+  const del = await fetch(`${BASE}/api/hosting/delete?subdomain=finn-site`, {
+    method: "DELETE",
+    headers,
+  });
+  assertEquals((await del.json()).deleted, true);
+  assertEquals((await get("/sites/finn-site/")).status, 404);
+});
+
+Deno.test("apps registry supports CRUD, filtering and pagination", async () => {
+  const headers = await authHeaders("hugo");
+  const apps = async (op, body) => {
+    const res = await fetch(`${BASE}/api/apps/${op}`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify(body),
+    });
+    return { status: res.status, data: await res.json() };
+  };
+  const created = await apps("create", {
+    name: "hugo-notes",
+    index_url: "https://example.com/notes/",
+    description: "Take notes",
+    metadata: { category: "productivity" },
+  });
+  assertEquals(created.status, 200);
+  assert(created.data.uid.startsWith("app-"));
+  assertEquals(created.data.title, "hugo-notes");
+  assertEquals(created.data.owner, { username: "hugo" });
+  for (const name of ["hugo-paint", "hugo-chess"]) {
+    await apps("create", { name, index_url: `https://example.com/${name}` });
+  }
+  assertEquals(
+    (await apps("create", { name: "hugo-notes", index_url: "https://x.io" }))
+      .status,
+    409,
+  );
+  assertEquals(
+    (await apps("create", { name: "Bad Name", index_url: "https://x.io" }))
+      .status,
+    400,
+  );
+  assertEquals(
+    (await apps("create", { name: "hugo-js", index_url: "javascript:1" }))
+      .status,
+    400,
+  );
+
+  const renamed = await apps("update", {
+    name: "hugo-notes",
+    attributes: { name: "hugo-memo", title: "Memo" },
+  });
+  assertEquals([renamed.data.name, renamed.data.title], ["hugo-memo", "Memo"]);
+  assertEquals(renamed.data.uid, created.data.uid);
+  const gone = await fetch(`${BASE}/api/apps/get?name=hugo-notes`, {
+    headers,
+  });
+  assertEquals(gone.status, 404);
+  await gone.json();
+
+  const list = async (query) =>
+    (await fetch(`${BASE}/api/apps/list?${query}`, { headers })).json();
+  const names = (page) => page.items.map((app) => app.name);
+  assertEquals(names(await list("")), [
+    "hugo-chess",
+    "hugo-memo",
+    "hugo-paint",
+  ]);
+  assertEquals(names(await list("query=NOTES")), ["hugo-memo"]);
+  const first = await list("limit=2");
+  assertEquals(names(first), ["hugo-chess", "hugo-memo"]);
+  const second = await list(`limit=2&cursor=${first.cursor}`);
+  assertEquals([names(second), second.cursor], [["hugo-paint"], null]);
+
+  // Other users can see the app but not change it
+  const other = await authHeaders("ines");
+  const seen = await fetch(`${BASE}/api/apps/get?name=hugo-memo`, {
+    headers: other,
+  });
+  assertEquals((await seen.json()).index_url, "https://example.com/notes/");
+  assert(
+    names(
+      await (await fetch(`${BASE}/api/apps/list?all=true&query=hugo-`, {
+        headers: other,
+      })).json(),
+    ).includes("hugo-paint"),
+  );
+  const denied = await fetch(`${BASE}/api/apps/delete?name=hugo-memo`, {
+    method: "DELETE",
+    headers: other,
+  });
+  assertEquals(denied.status, 403);
+  await denied.json();
+  const deleted = await fetch(`${BASE}/api/apps/delete?name=hugo-paint`, {
+    method: "DELETE",
+    headers,
+  });
+  assertEquals((await deleted.json()).deleted, true);
+});
+
+Deno.test("app tokens isolate each app's KV and FS data", async () => {
+  const headers = await authHeaders("jade");
+  const appUid = async (name) => {
+    const res = await fetch(`${BASE}/api/apps/create`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ name, index_url: "https://example.com/" }),
+    });
+    return (await res.json()).uid;
+  };
+  const appHeaders = async (uid) => {
+    const res = await fetch(`${BASE}/auth/get-user-app-token`, {
+      method: "POST",
+      headers,
+      body: JSON.stringify({ app_uid: uid }),
+    });
+    const { token } = await res.json();
+    return { ...headers, Authorization: `Bearer ${token}` };
+  };
+  const first = await appHeaders(await appUid("jade-one"));
+  const second = await appHeaders(await appUid("jade-two"));
+
+  for (
+    const [h, value] of [[headers, "user"], [first, "one"], [second, "two"]]
+  ) {
+    await kvSetKey(h, "who", value);
+    await fsPost(h, "write", { path: "/who.txt", content: value });
+  }
+  for (
+    const [h, value] of [[headers, "user"], [first, "one"], [second, "two"]]
+  ) {
+    const kvRes = await fetch(`${BASE}/api/kv/get?key=who`, { headers: h });
+    assertEquals((await kvRes.json()).value, value);
+    const fsRes = await fetch(`${BASE}/api/fs/read?path=/who.txt`, {
+      headers: h,
+    });
+    assertEquals((await fsRes.json()).content, value);
+  }
+  const list = await fetch(`${BASE}/api/fs/list?path=/`, { headers: first });
+  assertEquals((await list.json()).items.map((e) => e.name), ["who.txt"]);
+
+  // App tokens can't mint tokens or reach the user's account, sites or apps
+  const nested = await fetch(`${BASE}/auth/get-user-app-token`, {
+    method: "POST",
+    headers: first,
+    body: JSON.stringify({ app_uid: "x" }),
+  });
+  assertEquals(nested.status, 403);
+  await nested.json();
+  for (
+    const [method, path, body] of [
+      ["POST", "/api/hosting/create", {
+        subdomain: "jade-leak",
+        root_dir: "/",
+      }],
+      ["GET", "/api/hosting/list"],
+      ["POST", "/api/apps/create", { name: "jade-three", index_url: "x" }],
+      ["GET", "/api/apps/list"],
+      ["POST", "/passwd", { old_pass: "secret", new_pass: "other" }],
+    ]
+  ) {
+    const res = await fetch(`${BASE}${path}`, {
+      method,
+      headers: first,
+      body: body && JSON.stringify(body),
+    });
+    assertEquals(res.status, 403, path);
+    await res.json();
+  }
+  // ...but user info and AI chat still work, as the user
+  const user = await fetch(`${BASE}/api/user`, { headers: first });
+  assertEquals(user.status, 200);
+  assertEquals((await user.json()).username, "jade");
+  const chat = await fetch(`${BASE}/api/ai/chat`, {
+    method: "POST",
+    headers: first,
+    body: JSON.stringify({ messages: [{ role: "user", content: "hi" }] }),
+  });
+  assert(chat.ok);
+  await chat.json();
+  // App tokens stop working with their app
+  await fetch(`${BASE}/api/apps/delete?name=jade-one`, {
+    method: "DELETE",
+    headers,
+  }).then((r) => r.json());
+  const revoked = await fetch(`${BASE}/api/kv/get?key=who`, { headers: first });
+  assertEquals(revoked.status, 401);
+  await revoked.json();
+});
+
+Deno.test("workers run FS scripts with a router and the owner's storage", async () => {
+  const headers = await authHeaders("kurt");
+  await fsPost(headers, "write", {
+    path: "/data/greeting.txt",
+    content: "Hi",
+    createMissingParents: true,
+  });
+  await fsPost(headers, "write", {
+    path: "/w/api.js",
+    content: `
+router.get("/hello/:name", ({ params }) => "Hello " + params.name);
+router.post("/count", async ({ request }) => {
+  const { by } = await request.json();
+  console.log("counting by", by);
+  return { count: await puter.kv.incr("hits", by) };
+});
+router.get("/greeting", async () => {
+  const text = await (await puter.fs.read("/data/greeting.txt")).text();
+  await puter.fs.write("/data/seen.txt", text + "!");
+  return new Response(text, { status: 201, headers: { "X-From": "worker" } });
+});
+router.get("/files/*", ({ params }) => params["*"]);
+router.get("/echo", ({ request }) => ({
+  url: request.url,
+  authorization: request.headers.get("authorization"),
+  cookie: request.headers.get("cookie"),
+}));
+router.get("/secret", () => Deno.readTextFile("/etc/hostname"));
+router.get("/spin", () => { while (true) {} });
+`,
+    createMissingParents: true,
+  });
+  const deploy = await fetch(`${BASE}/api/workers/create`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ name: "kurt-api", file_path: "/w/api.js" }),
+  });
+  const deployed = await deploy.json();
+  assertEquals(deployed.url, `${BASE}/workers/kurt-api/`);
+  assertEquals(deployed.file_path, "/w/api.js");
+
+  const call = async (path, init) => {
+    const res = await fetch(`${BASE}/workers/kurt-api${path}`, init);
+    return { status: res.status, headers: res.headers, body: await res.text() };
+  };
+  assertEquals((await call("/hello/ann")).body, "Hello ann");
+  const count = await call("/count", {
+    method: "POST",
+    body: JSON.stringify({ by: 5 }),
+  });
+  assertEquals(JSON.parse(count.body), { count: 5 });
+  const kvRes = await fetch(`${BASE}/api/kv/get?key=hits`, { headers });
+  assertEquals((await kvRes.json()).value, 5);
+  const greeting = await call("/greeting");
+  assertEquals([greeting.status, greeting.body], [201, "Hi"]);
+  assertEquals(greeting.headers.get("x-from"), "worker");
+  const seen = await fetch(`${BASE}/api/fs/read?path=/data/seen.txt`, {
+    headers,
+  });
+  assertEquals((await seen.json()).content, "Hi!");
+  assertEquals((await call("/files/a/b.txt")).body, "a/b.txt");
+  assertEquals((await call("/nope")).status, 404);
+  // The caller's credentials stay with this server
+  const echo = await call(
+    `/echo?q=1&auth_token=${headers.Authorization.slice(7)}`,
+    {
+      headers: { Authorization: headers.Authorization, Cookie: "sid=abc" },
+    },
+  );
+  assertEquals(JSON.parse(echo.body), {
+    url: `${BASE}/echo?q=1`,
+    authorization: null,
+    cookie: null,
+  });
+  // Oversized bodies are refused while they stream in
+  const chunk = new Uint8Array(1024 * 1024);
+  let sent = 0;
+  const upload = await fetch(`${BASE}/workers/kurt-api/count`, {
+    method: "POST",
+    body: new ReadableStream({
+      pull(controller) {
+        if (sent++ < 11) controller.enqueue(chunk);
+        else controller.close();
+      },
+    }),
+  });
+  assertEquals(upload.status, 413);
+  await upload.json();
+  // No permissions inside the worker
+  assertEquals((await call("/secret")).status, 500);
+
+  Deno.env.set("WORKER_TIMEOUT_MS", "300");
+  try {
+    assertEquals((await call("/spin")).status, 504);
+  } finally {
+    Deno.env.delete("WORKER_TIMEOUT_MS");
+  }
+
+  const logs = await fetch(`${BASE}/api/workers/logs?name=kurt-api`, {
+    headers,
+  });
+  const messages = (await logs.json()).logs.map((l) => l.message);
+  assert(messages.includes("counting by 5"));
+  assert(messages.some((m) => m.startsWith("GET /spin 504")));
+  assert(messages.some((m) => m.includes("NotCapable")));
+
+  // Each worker keeps only its newest 1000 lines
+  const db = await Deno.openKv(KV_PATH);
+  const seq = (await db.get(["worker_log_seq", "kurt-api"])).value;
+  assertEquals(
+    (await db.get(["worker_log", "kurt-api", seq])).value.message,
+    messages[0],
+  );
+  await db.set(["worker_log", "kurt-api", 7], { message: "ancient" });
+  await db.set(["worker_log_seq", "kurt-api"], 1006);
+  await call("/hello/ann");
+  assertEquals((await db.get(["worker_log", "kurt-api", 7])).value, null);
+  assert((await db.get(["worker_log", "kurt-api", 1007])).value);
+  db.close();
+
+  const list = await fetch(`${BASE}/api/workers/list`, { headers });
+  assertEquals((await list.json()).workers.map((w) => w.name), ["kurt-api"]);
+  const other = await authHeaders("lena");
+  await fsPost(other, "write", { path: "/x.js", content: "" });
+  const taken = await fetch(`${BASE}/api/workers/create`, {
+    method: "POST",
+    headers: other,
+    body: JSON.stringify({ name: "kurt-api", file_path: "/x.js" }),
+  });
+  assertEquals(taken.status, 409);
+  await taken.json();
+
+  // Workers run with the owner's own storage, so app tokens can't manage them
+  const app = await fetch(`${BASE}/api/apps/create`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({
+      name: "kurt-app",
+      index_url: "https://example.com/",
+    }),
+  }).then((r) => r.json());
+  const { token } = await fetch(`${BASE}/auth/get-user-app-token`, {
+    method: "POST",
+    headers,
+    body: JSON.stringify({ app_uid: app.uid }),
+  }).then((r) => r.json());
+  const appHeaders = { ...headers, Authorization: `Bearer ${token}` };
+  await fsPost(appHeaders, "write", { path: "/w.js", content: "" });
+  for (
+    const [method, path, body] of [
+      ["POST", "/api/workers/create", {
+        name: "kurt-leak",
+        file_path: "/w.js",
+      }],
+      ["GET", "/api/workers/get?name=kurt-api"],
+      ["GET", "/api/workers/logs?name=kurt-api"],
+      ["DELETE", "/api/workers/delete?name=kurt-api"],
+    ]
+  ) {
+    const res = await fetch(`${BASE}${path}`, {
+      method,
+      headers: appHeaders,
+      body: body && JSON.stringify(body),
+    });
+    assertEquals(res.status, 403, path);
+    await res.json();
+  }
+
+  const del = await fetch(`${BASE}/api/workers/delete?name=kurt-api`, {
+    method: "DELETE",
+    headers,
+  });
+  assertEquals((await del.json()).deleted, true);
+  assertEquals((await call("/hello/ann")).status, 404);
+});